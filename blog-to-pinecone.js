@@ -0,0 +1,144 @@
+// Crawl the company blog and store its articles in the vector store
+import path from "path";
+import { fileURLToPath } from "url";
+import { Document } from "@langchain/core/documents";
+import * as dotenv from "dotenv";
+import { BLOG_PAGE_URL, crawlBlog } from "./lib/blog-crawler.js";
+import { createChunkId, syncWithManifest } from "./lib/index-manifest.js";
+import { createCachedEmbeddings } from "./lib/embedding-cache.js";
+import { saveKeywordIndex } from "./lib/keyword-index.js";
+import { splitMarkdown } from "./lib/markdown-splitter.js";
+import { createVectorStore, getIndexName } from "./lib/vector-store.js";
+import { createEmbeddings, getEmbeddingModelName } from "./lib/providers.js";
+
+// Load environment variables
+dotenv.config();
+
+// Constants
+const BLOG_NAMESPACE = "blog";
+const CHUNK_SIZE = 1000; // Max tokens per chunk, chunks follow article sections
+// "sync" only embeds new/changed chunks, "full" re-embeds everything (pass --full)
+const INDEX_MODE = process.argv.includes("--full") ? "full" : "sync";
+
+// Split crawled articles into chunks, with the article URL as the source link
+const processBlogArticles = async (articles) => {
+  const allDocuments = [];
+
+  for (const article of articles) {
+    // The title becomes the top of every chunk's heading path
+    const textChunks = await splitMarkdown(
+      `# ${article.title}\n\n${article.content}`,
+      { chunkSize: CHUNK_SIZE }
+    );
+
+    const docs = textChunks.map(
+      (chunk, i) =>
+        new Document({
+          pageContent: chunk.content,
+          metadata: {
+            source: article.url,
+            url: article.url,
+            title: article.title,
+            author: article.author,
+            publishedAt: article.publishedAt,
+            ...(article.tags.length > 0 && { tags: article.tags }),
+            section: chunk.headings[chunk.headings.length - 1] || "",
+            headingPath: chunk.headingPath,
+            // Blog headings have no stable ids, link to the article itself
+            anchor: "",
+            chunk: i + 1,
+            totalChunks: textChunks.length,
+            chunkId: createChunkId(article.url, chunk.content),
+            chunkMethod: "markdown",
+            tokenSize: CHUNK_SIZE,
+            createdAt: new Date().toISOString(),
+            // Both fields, so category and categories filters find it
+            category: "blog",
+            categories: ["blog"],
+          },
+        })
+    );
+
+    allDocuments.push(...docs);
+  }
+
+  console.log(`Total chunks created: ${allDocuments.length}`);
+  return allDocuments;
+};
+
+// Main function to crawl the blog and store articles in Pinecone
+async function processBlogToPinecone() {
+  console.log("Starting Blog to Pinecone process...");
+
+  try {
+    const baseUrl = process.env.BLOG_BASE_URL || BLOG_PAGE_URL;
+    const { articles, stats } = await crawlBlog({
+      baseUrl,
+      delayMs: Number(process.env.BLOG_CRAWL_DELAY_MS || 1000),
+    });
+    console.log(
+      `Crawled ${stats.listings} listing pages and ${stats.articles} articles (${stats.duplicates} duplicates, ${stats.failed} failed)`
+    );
+
+    const documents = await processBlogArticles(articles);
+
+    if (documents.length === 0) {
+      console.log("No articles to process. Exiting.");
+      return;
+    }
+
+    // Initialize embeddings, cached on disk by content hash and model.
+    // Batches are retried by syncWithManifest, so the client does not retry
+    // on its own.
+    const embeddings = createCachedEmbeddings(
+      createEmbeddings({ maxRetries: 0 }),
+      { model: getEmbeddingModelName() }
+    );
+    console.log("Embeddings model initialized");
+
+    // Index name for our documents
+    const indexName = getIndexName();
+
+    // Blog articles live in their own namespace, next to the wiki
+    const vectorStore = await createVectorStore(embeddings, {
+      indexName,
+      namespace: BLOG_NAMESPACE,
+    });
+
+    // Embed new/changed chunks and delete vectors of removed articles.
+    // A page that failed to load or was never reached is not a removed
+    // article, so only prune after a clean and complete crawl.
+    const prune = stats.failed === 0 && stats.remaining === 0;
+    await syncWithManifest(vectorStore, documents, {
+      indexName,
+      namespace: BLOG_NAMESPACE,
+      full: INDEX_MODE === "full",
+      prune,
+    });
+    console.log(
+      `Embedding cache: ${embeddings.stats.hits} hits, ${embeddings.stats.misses} misses`
+    );
+
+    // BM25 index for hybrid search, kept in line with the vectors
+    saveKeywordIndex(documents, {
+      indexName,
+      namespace: BLOG_NAMESPACE,
+      prune,
+    });
+
+    console.log("\nBlog to Pinecone process completed successfully!");
+  } catch (error) {
+    console.error("Error in Blog to Pinecone process:", error);
+    throw error;
+  }
+}
+
+export { processBlogArticles, processBlogToPinecone };
+
+// Run the process when executed directly (`node blog-to-pinecone.js [--full]`)
+if (
+  process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  processBlogToPinecone().catch(() => process.exit(1));
+}
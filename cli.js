@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+// Knowledge-base CLI - ingest, ask, search, stats and purge without editing source files
+import path from "path";
+import { parseArgs } from "util";
+import * as dotenv from "dotenv";
+import { WIKI_NAMESPACE, processWikiToPinecone } from "./wiki-to-pinecone.js";
+import { askQuestion, hybridSearch } from "./enhanced-rag-chain.js";
+import { loadManifest, purgeSource } from "./lib/index-manifest.js";
+import { loadKeywordIndex } from "./lib/keyword-index.js";
+import { estimateTokens } from "./lib/markdown-splitter.js";
+import { createEmbeddings } from "./lib/providers.js";
+import {
+  createVectorStore,
+  describeVectorStore,
+  getIndexName,
+} from "./lib/vector-store.js";
+
+// Load environment variables
+dotenv.config();
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  ingest <dir>            Index a directory of wiki exports
+      --namespace <ns>    Target namespace (default: ${WIKI_NAMESPACE})
+      --full              Re-embed every chunk, not only new/changed ones
+      --dry-run           Preview the chunks without embedding anything
+      --concurrency <n>   Embedding batches in flight (default: 2)
+      --no-prune          Keep the vectors of documents missing from <dir>,
+                          e.g. when ingesting one subdirectory
+  ask "<question>"        Answer a question with sources
+      --session <id>      Conversation session id (default: cli)
+      --weights <w>       Retriever weights, e.g. vector=1,keyword=2
+      --strategy <s>      Retrieval strategy: single, multi-query or hyde
+      --llm-budget <n>    Maximum extra LLM calls of the strategy
+      --context <mode>    Context expansion: none, neighbours or section
+      --language <code>   Answer language: en or pl (default: the question's)
+      --groundedness <m>  Unsupported claims: annotate, revise or off
+      --agent             Let the model search with tools (agent mode)
+      --max-steps <n>     Tool calls of the agent (default: 5)
+      --no-cache          Answer even if a similar question was cached
+      --prompt <version>  Answer prompt version (default: the session's)
+      --namespace <ns>    Namespace to search (default: ${WIKI_NAMESPACE})
+  search "<query>"        Hybrid (vector + keyword) search without calling the LLM
+      --k <n>             Number of results (default: 4)
+      --filter <filter>   Metadata filter, JSON or key=value[,key=value]
+      --weights <w>       Retriever weights, e.g. vector=1,keyword=0.5
+      --namespace <ns>    Namespace to search (default: ${WIKI_NAMESPACE})
+  stats                   Vector counts and indexed documents per namespace
+  purge --source <src>    Delete all vectors of one source document
+      --namespace <ns>    Namespace to purge from (default: ${WIKI_NAMESPACE})
+      --dry-run           Only report how many vectors would be deleted
+`;
+
+const OPTIONS = {
+  namespace: { type: "string", default: WIKI_NAMESPACE },
+  full: { type: "boolean", default: false },
+  concurrency: { type: "string", default: "2" },
+  "dry-run": { type: "boolean", default: false },
+  "no-prune": { type: "boolean" },
+  session: { type: "string", default: "cli" },
+  k: { type: "string", default: "4" },
+  filter: { type: "string" },
+  weights: { type: "string" },
+  strategy: { type: "string" },
+  "llm-budget": { type: "string" },
+  context: { type: "string" },
+  language: { type: "string" },
+  groundedness: { type: "string" },
+  agent: { type: "boolean" },
+  "max-steps": { type: "string" },
+  "no-cache": { type: "boolean" },
+  prompt: { type: "string" },
+  source: { type: "string" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// Parse a metadata filter (or retriever weights) given as JSON or as
+// key=value pairs
+const parseFilter = (filter) => {
+  if (!filter) return undefined;
+  if (filter.trim().startsWith("{")) return JSON.parse(filter);
+
+  return Object.fromEntries(
+    filter.split(",").map((pair) => {
+      const [key, ...rest] = pair.split("=");
+      const value = rest.join("=").trim();
+      if (!key.trim() || !value) {
+        throw new Error(`Invalid filter "${pair}", expected key=value`);
+      }
+      return [
+        key.trim(),
+        /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value,
+      ];
+    })
+  );
+};
+
+// Print chunks the way they would be embedded
+const previewChunks = (documents) => {
+  console.log("\n=== CHUNK PREVIEW ===");
+  documents.forEach((doc, i) => {
+    const { source, headingPath, chunk, totalChunks, categories } =
+      doc.metadata;
+    console.log(
+      `\n[${i + 1}] ${source}${headingPath ? ` > ${headingPath}` : ""} (chunk ${chunk}/${totalChunks}, ~${estimateTokens(doc.pageContent)} tokens, ${categories.join(", ")})`
+    );
+    console.log(doc.pageContent.substring(0, 200).replace(/\n+/g, " "));
+  });
+
+  const tokens = documents.reduce(
+    (sum, doc) => sum + estimateTokens(doc.pageContent),
+    0
+  );
+  console.log(`\n${documents.length} chunks, ~${tokens} tokens to embed`);
+};
+
+async function ingest(dir, values) {
+  if (!dir) {
+    throw new Error("ingest needs a directory, e.g. ingest ./drive-download");
+  }
+
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error("--concurrency must be a positive integer");
+  }
+
+  const documents = await processWikiToPinecone({
+    dir: path.resolve(dir),
+    namespace: values.namespace,
+    full: values.full,
+    dryRun: values["dry-run"],
+    concurrency,
+    prune: !values["no-prune"],
+  });
+
+  if (values["dry-run"]) previewChunks(documents);
+}
+
+async function ask(question, values) {
+  if (!question) {
+    throw new Error(
+      'ask needs a question, e.g. ask "What are the company holidays?"'
+    );
+  }
+
+  const llmBudget =
+    values["llm-budget"] === undefined
+      ? undefined
+      : Number(values["llm-budget"]);
+  if (
+    llmBudget !== undefined &&
+    !(Number.isInteger(llmBudget) && llmBudget >= 0)
+  ) {
+    throw new Error("--llm-budget must be a non-negative integer");
+  }
+
+  const agentMaxSteps =
+    values["max-steps"] === undefined ? undefined : Number(values["max-steps"]);
+  if (
+    agentMaxSteps !== undefined &&
+    !(Number.isInteger(agentMaxSteps) && agentMaxSteps >= 1)
+  ) {
+    throw new Error("--max-steps must be a positive integer");
+  }
+
+  const result = await askQuestion(question, values.session, {
+    namespace: values.namespace,
+    weights: parseFilter(values.weights),
+    strategy: values.strategy,
+    llmBudget,
+    contextExpansion: values.context,
+    answerLanguage: values.language,
+    groundedness: values.groundedness,
+    agent: values.agent,
+    agentMaxSteps,
+    cache: !values["no-cache"],
+    promptVersion: values.prompt,
+  });
+  if (result.status !== "success") {
+    throw new Error(result.message || result.error);
+  }
+}
+
+async function search(query, values) {
+  if (!query) {
+    throw new Error('search needs a query, e.g. search "integration budget"');
+  }
+
+  const k = Number(values.k);
+  if (!Number.isInteger(k) || k < 1) {
+    throw new Error("--k must be a positive integer");
+  }
+
+  const filter = parseFilter(values.filter);
+  const vectorStore = await createVectorStore(createEmbeddings(), {
+    namespace: values.namespace,
+  });
+  const keywordIndex = loadKeywordIndex(getIndexName(), values.namespace);
+  if (!keywordIndex) {
+    console.warn(
+      `No keyword index for ${values.namespace}, searching vectors only. Run ingest to build it.`
+    );
+  }
+  const { documents } = await hybridSearch(vectorStore, query, {
+    k,
+    filter,
+    keywordIndex,
+    weights: parseFilter(values.weights),
+  });
+
+  console.log(
+    `\n${documents.length} results for "${query}"${filter ? ` with filter ${JSON.stringify(filter)}` : ""}`
+  );
+  documents.forEach((doc, i) => {
+    const { source, headingPath, category, score, ranks } = doc.metadata;
+    const retrievers = Object.entries(ranks)
+      .map(([retriever, rank]) => `${retriever} #${rank}`)
+      .join(", ");
+    console.log(
+      `\n${i + 1}. ${source}${headingPath ? ` > ${headingPath}` : ""} (${retrievers}${score !== undefined ? `, score: ${score.toFixed(4)}` : ""}, ${category || "N/A"})`
+    );
+    console.log(doc.pageContent.substring(0, 300).replace(/\n+/g, " "));
+  });
+}
+
+async function stats() {
+  const indexName = getIndexName();
+  const description = await describeVectorStore({ indexName });
+
+  console.log(
+    `Index: ${indexName} (${process.env.VECTOR_STORE || "pinecone"}, dimension ${description.dimension ?? "unknown"})`
+  );
+  console.log(`Total vectors: ${description.totalRecordCount}`);
+
+  const namespaces = new Set([
+    WIKI_NAMESPACE,
+    ...Object.keys(description.namespaces || {}),
+  ]);
+  for (const namespace of namespaces) {
+    const manifest = loadManifest(indexName, namespace);
+    const documents = Object.values(manifest.documents);
+    const chunks = documents.reduce((sum, doc) => sum + doc.chunkIds.length, 0);
+
+    console.log(`\nNamespace: ${namespace}`);
+    console.log(
+      `  Vectors: ${description.namespaces?.[namespace]?.recordCount || 0}`
+    );
+    console.log(
+      `  Indexed documents (manifest): ${documents.length}, chunks: ${chunks}`
+    );
+    console.log(`  Last sync: ${manifest.updatedAt || "never"}`);
+  }
+}
+
+async function purge(values) {
+  if (!values.source) throw new Error("purge needs --source <source>");
+
+  const vectorStore = await createVectorStore(createEmbeddings(), {
+    namespace: values.namespace,
+  });
+  const count = await purgeSource(vectorStore, values.source, {
+    indexName: getIndexName(),
+    namespace: values.namespace,
+    dryRun: values["dry-run"],
+  });
+
+  console.log(
+    values["dry-run"]
+      ? `Would delete ${count} vectors of ${values.source} from ${values.namespace}`
+      : `Deleted ${count} vectors of ${values.source} from ${values.namespace}`
+  );
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const [command, argument] = positionals;
+
+  switch (!values.help && command) {
+    case "ingest":
+      return ingest(argument, values);
+    case "ask":
+      return ask(argument, values);
+    case "search":
+      return search(argument, values);
+    case "stats":
+      return stats();
+    case "purge":
+      return purge(values);
+    default:
+      console.log(USAGE);
+      if (command && !values.help) {
+        throw new Error(`Unknown command: ${command}`);
+      }
+  }
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
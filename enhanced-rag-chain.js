@@ -1,9 +1,5 @@
 // Enhanced RAG Question-Answering Chain with Hybrid Search and Source Attribution
-import { Pinecone } from "@pinecone-database/pinecone";
 import { Document } from "@langchain/core/documents";
-import { PineconeStore } from "@langchain/pinecone";
-import { AzureOpenAIEmbeddings } from "@langchain/openai";
-import { AzureChatOpenAI } from "@langchain/openai";
 import { StringOutputParser } from "@langchain/core/output_parsers";
 import {
   RunnablePassthrough,
@@ -11,100 +7,283 @@ import {
 } from "@langchain/core/runnables";
 import { ChatPromptTemplate } from "@langchain/core/prompts";
 import * as dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadKeywordIndex, searchKeywordIndex } from "./lib/keyword-index.js";
+import { reciprocalRankFusion } from "./lib/rank-fusion.js";
+import { createReranker, rerankDocuments } from "./lib/reranker.js";
+import {
+  createQueryCondenser,
+  createMultiQueryGenerator,
+  createHydeGenerator,
+  expandQuery,
+} from "./lib/query-transform.js";
+import {
+  MIN_FILTERED_RESULTS,
+  createFilterExtractor,
+  toMetadataFilter,
+} from "./lib/self-query.js";
+import { loadTaxonomy } from "./lib/classifier.js";
+import {
+  DEFAULT_TOKEN_BUDGET,
+  createSourceChunkFetcher,
+  expandContext,
+} from "./lib/context-expansion.js";
+import { createVectorStore, getIndexName } from "./lib/vector-store.js";
+import { createChatModel, createEmbeddings } from "./lib/providers.js";
+import { citationUrl, extractCitations } from "./lib/citations.js";
+import {
+  GROUNDEDNESS_MODES,
+  createGroundednessVerifier,
+} from "./lib/groundedness.js";
+import {
+  createStreamScreen,
+  createTopicGuard,
+  loadGuardrailPolicy,
+  refusal,
+  screenContext,
+  screenOutput,
+  screenQuestion,
+} from "./lib/guardrails.js";
+import {
+  DEFAULT_MAX_STEPS,
+  createRetrievalAgent,
+  createWikiTools,
+} from "./lib/agent.js";
+import { createAnswerCache } from "./lib/answer-cache.js";
+import { createPromptSelector } from "./lib/prompts.js";
+import {
+  appendToConversation,
+  createConversationStore,
+  createHistorySummarizer,
+} from "./lib/conversation-store.js";
+import {
+  LANGUAGES,
+  CORPUS_LANGUAGE,
+  detectLanguage,
+  createQueryTranslator,
+} from "./lib/language.js";
 
 // Load environment variables
 dotenv.config();
 
-// Create a map to store conversation history for different sessions
-const conversationHistories = new Map();
-
-// Function to get or create a conversation history for a session
-const getOrCreateConversationHistory = (sessionId = "default") => {
-  if (!conversationHistories.has(sessionId)) {
-    // Initialize a new conversation history for this session
-    conversationHistories.set(sessionId, []);
-  }
-  return conversationHistories.get(sessionId);
+// Answer when no chunk passes the reranker cutoff. Fixed text, no LLM call and
+// no sources, so unanswerable questions never come with a misleading link.
+const NOT_FOUND_ANSWER =
+  "I couldn't find the answer to this question in the wiki.";
+const NOT_FOUND_ANSWERS = {
+  en: NOT_FOUND_ANSWER,
+  pl: "Nie znalazłem odpowiedzi na to pytanie w wiki.",
 };
 
-// Add a message to the conversation history
-const addMessageToHistory = (sessionId, role, content) => {
-  const history = getOrCreateConversationHistory(sessionId);
-  history.push({ role, content });
+// Answer refused by a guardrail: fixed text without sources, not added to
+// the conversation history
+const refusedResult = (answer, guardrails, language, prompt) => ({
+  answer,
+  sources: [],
+  citations: [],
+  groundedness: null,
+  claims: [],
+  notFound: false,
+  refused: true,
+  language,
+  guardrails,
+  cache: null,
+  prompt,
+});
+
+// Conversation history of every session, in the store selected with
+// CONVERSATION_STORE (created on first use and shared by all chains). A
+// store that failed to open is not kept, the next request tries again.
+let conversationStore = null;
+const getConversationStore = () =>
+  (conversationStore ||= createConversationStore().catch((error) => {
+    conversationStore = null;
+    throw error;
+  }));
+
+// Conversation of a session: the summary of older turns and recent messages
+const getConversation = async (sessionId = "default") =>
+  (await getConversationStore()).get(sessionId);
+
+// Add a question and its answer to the conversation history, the answer
+// with the version of the prompt it was written with; beyond 10 messages the
+// oldest are condensed into the running summary. Nothing is added once the
+// request is cancelled (signal).
+const addExchangeToHistory = async (
+  sessionId,
+  question,
+  answer,
+  summarize,
+  prompt,
+  signal
+) =>
+  appendToConversation(
+    await getConversationStore(),
+    sessionId,
+    [
+      { role: "human", content: question },
+      { role: "assistant", content: answer, promptVersion: prompt?.version },
+    ],
+    { summarize, signal }
+  );
 
-  // Limit history to last 10 messages to prevent context overload
-  if (history.length > 10) {
-    history.shift();
+// Answers to earlier questions, one cache per index/namespace shared by all
+// chains (ANSWER_CACHE=off disables it)
+const answerCaches = new Map();
+const getAnswerCache = (indexName, namespace) => {
+  if (process.env.ANSWER_CACHE === "off") return null;
+  const key = `${indexName}/${namespace}`;
+  if (!answerCaches.has(key)) {
+    answerCaches.set(key, createAnswerCache({ indexName, namespace }));
   }
-
-  return history;
+  return answerCaches.get(key);
 };
 
 // Format conversation history for inclusion in the prompt
-const formatConversationHistory = (history) => {
-  if (!history || history.length === 0) {
+const formatConversationHistory = ({ summary, messages } = {}) => {
+  if (!summary && (!messages || messages.length === 0)) {
     return "No previous conversation.";
   }
 
-  return history
-    .map(
+  return [
+    ...(summary ? [`Summary of the earlier conversation: ${summary}`] : []),
+    ...messages.map(
       (message) =>
         `${message.role === "human" ? "User" : "Assistant"}: ${message.content}`
-    )
-    .join("\n\n");
+    ),
+  ].join("\n\n");
 };
 
-// Function to perform hybrid search (combination of semantic and keyword search)
-// This is a simplified implementation since actual hybrid search depends on vector store capabilities
-async function hybridSearch(vectorStore, query, k = 12) {
+// Default weight of each retriever in rank fusion, override per query
+const DEFAULT_SEARCH_WEIGHTS = { vector: 1, keyword: 1 };
+
+// Function to perform hybrid search: vector search and BM25 keyword search,
+// combined with reciprocal rank fusion. Without a keyword index (nothing
+// ingested since it was introduced) this falls back to vector search only.
+// Options: k results, metadata filter, keywordIndex, per-retriever weights,
+// the texts each retriever searches (several for multi-query, hypothetical
+// answers for HyDE; the query itself by default) and embeddings already
+// computed for some of those texts (queryEmbeddings, text to vector).
+async function hybridSearch(
+  vectorStore,
+  query,
+  {
+    k = 12,
+    filter,
+    keywordIndex = null,
+    weights = {},
+    vectorQueries = [query],
+    keywordQueries = [query],
+    queryEmbeddings = new Map(),
+  } = {}
+) {
   console.log(`Performing hybrid search for: "${query}"`);
+  const searchWeights = { ...DEFAULT_SEARCH_WEIGHTS, ...weights };
+
+  // Each retriever returns k candidates per text, fusion keeps the best k
+  // overall. Rankings of extra texts are named "vector:2", "keyword:3", ...
+  const rankings = {};
+  const rankingWeights = {};
+  const vectorScores = new Map();
+  const rankingName = (retriever, i) =>
+    i === 0 ? retriever : `${retriever}:${i + 1}`;
+
+  if (searchWeights.vector > 0) {
+    const results = await Promise.all(
+      vectorQueries.map((text) =>
+        queryEmbeddings.has(text)
+          ? vectorStore.similaritySearchVectorWithScore(
+              queryEmbeddings.get(text),
+              k,
+              filter
+            )
+          : vectorStore.similaritySearchWithScore(text, k, filter)
+      )
+    );
+    results.forEach((vectorResults, i) => {
+      const name = rankingName("vector", i);
+      rankingWeights[name] = searchWeights.vector;
+      rankings[name] = vectorResults.map(([doc, score]) => {
+        // Best similarity over all texts, only set when a vector search
+        // found the chunk
+        const id = doc.metadata.chunkId || doc.pageContent;
+        vectorScores.set(id, Math.max(score, vectorScores.get(id) ?? score));
+        return doc;
+      });
+    });
+  }
 
-  // Using fixed k value of 12 for all queries to ensure comprehensive results
-  console.log(`Using fixed retrieval count k=${k} for all queries`);
+  if (keywordIndex && searchWeights.keyword > 0) {
+    keywordQueries.forEach((text, i) => {
+      const name = rankingName("keyword", i);
+      rankingWeights[name] = searchWeights.keyword;
+      rankings[name] = searchKeywordIndex(keywordIndex, text, k, filter).map(
+        ([doc]) => doc
+      );
+    });
+  }
 
-  // Perform semantic search with scores
-  const resultsWithScores = await vectorStore.similaritySearchWithScore(
-    query,
-    k
+  console.log(
+    `Retrieved ${Object.entries(rankings)
+      .map(([retriever, docs]) => `${docs.length} ${retriever}`)
+      .join(", ")} results (weights: ${Object.entries(searchWeights)
+      .map(([retriever, weight]) => `${retriever} ${weight}`)
+      .join(", ")})`
   );
-  console.log(`Retrieved ${resultsWithScores.length} results with scores`);
-
-  // Process results - each result is a tuple of [document, score]
-  const processedDocs = resultsWithScores.map(([doc, score]) => {
-    // Add the score to document metadata for later use
-    return {
-      ...doc,
-      metadata: {
-        ...doc.metadata,
-        score: score,
-      },
-      pageContent: doc.pageContent,
-    };
-  });
-
-  // Sort by score (lower is better)
-  processedDocs.sort((a, b) => a.metadata.score - b.metadata.score);
-
-  // Get document titles for reference
-  const documentSources = processedDocs.map((doc) => {
-    const source = doc.metadata.source || doc.metadata.title || "Unknown";
-    return `${source} (relevance: ${doc.metadata.score.toFixed(4)})`;
-  });
 
-  // Log search findings
+  const processedDocs = reciprocalRankFusion(rankings, {
+    weights: rankingWeights,
+    k,
+  }).map(({ document, fusionScore, ranks }) => ({
+    ...document,
+    metadata: {
+      ...document.metadata,
+      score: vectorScores.get(
+        document.metadata.chunkId || document.pageContent
+      ),
+      fusionScore,
+      ranks,
+    },
+    pageContent: document.pageContent,
+  }));
+
+  // Log search findings with the rank each retriever gave, to debug why a
+  // chunk was retrieved
   console.log(`Top results:`);
-  documentSources.slice(0, 5).forEach((source, i) => {
-    console.log(`  ${i + 1}. ${source}`);
+  processedDocs.slice(0, 5).forEach((doc, i) => {
+    console.log(
+      `  ${i + 1}. ${formatSourceLink(doc)} (${formatRanks(doc.metadata.ranks)})`
+    );
   });
 
   return {
     documents: processedDocs,
-    sources: processedDocs.map(
-      (doc) => doc.metadata.source || doc.metadata.title || "Unknown"
-    ),
+    sources: processedDocs.map(formatSourceLink),
   };
 }
 
+// Per-retriever ranks of a chunk, e.g. "vector #2, keyword #1"
+const formatRanks = (ranks = {}) =>
+  Object.entries(ranks)
+    .map(([retriever, rank]) => `${retriever} #${rank}`)
+    .join(", ");
+
+// Link to the exact section of a document when the chunk has a heading anchor
+const formatSourceLink = (doc) => {
+  const source = doc.metadata.source || doc.metadata.title || "Unknown";
+  return doc.metadata.anchor ? `${source}#${doc.metadata.anchor}` : source;
+};
+
+// Why each chunk was retrieved (and kept or dropped), for debugging
+const describeRetrieval = (scored) =>
+  scored.map((doc) => ({
+    source: formatSourceLink(doc),
+    ranks: doc.metadata.ranks,
+    fusionScore: doc.metadata.fusionScore,
+    rerankScore: doc.metadata.rerankScore,
+  }));
+
 // Helper function to format documents as a string with enhanced source attribution
 const formatDocumentsWithSourcesAsString = (searchResults) => {
   const { documents } = searchResults;
@@ -114,13 +293,20 @@ const formatDocumentsWithSourcesAsString = (searchResults) => {
       // Enhance metadata formatting for better source attribution
       const source = document.metadata.source || "Unknown";
       const title = document.metadata.title || source;
-      const category = document.metadata.category || "General";
-      const relevance = document.metadata.score
-        ? `Relevance: ${document.metadata.score.toFixed(4)}`
+      const relevance =
+        document.metadata.rerankScore !== undefined
+          ? `Relevance: ${document.metadata.rerankScore.toFixed(2)}`
+          : "";
+
+      const section = document.metadata.headingPath
+        ? ` | Section: ${document.metadata.headingPath}`
+        : "";
+      const chunks = document.metadata.chunkRange
+        ? ` | Chunks: ${document.metadata.chunkRange} of ${document.metadata.totalChunks}`
         : "";
 
       // Format metadata for context with document number for reference
-      const metadataStr = `Document ${index + 1} | Source: ${source} | Title: ${title} | ${relevance}`;
+      const metadataStr = `Document ${index + 1} | Source: ${formatSourceLink(document)} | Title: ${title}${section}${chunks} | ${relevance}`;
 
       // Return formatted document with metadata
       return `[${metadataStr}]\n${document.pageContent}`;
@@ -128,57 +314,8 @@ const formatDocumentsWithSourcesAsString = (searchResults) => {
     .join("\n\n");
 };
 
-// Helper function to extract sources for attribution
-const extractSources = (searchResults) => {
-  return searchResults.sources;
-};
-
-// Create Azure OpenAI embeddings instance
-const createEmbeddings = () => {
-  console.log("AZURE_OPENAI_ENDPOINT:", process.env.AZURE_OPENAI_ENDPOINT);
-
-  if (!process.env.AZURE_OPENAI_ENDPOINT) {
-    throw new Error(
-      "AZURE_OPENAI_ENDPOINT is not defined in environment variables"
-    );
-  }
-
-  return new AzureOpenAIEmbeddings({
-    azureOpenAIApiDeploymentName:
-      process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT_NAME,
-    modelName: process.env.AZURE_EMBEDDING_MODEL,
-    azureOpenAIApiVersion: process.env.AZURE_OPENAI_API_VERSION,
-    azureOpenAIApiInstanceName: new URL(
-      process.env.AZURE_OPENAI_ENDPOINT
-    ).hostname.split(".")[0],
-    azureOpenAIApiKey: process.env.AZURE_OPENAI_API_KEY,
-  });
-};
-
-// Create Azure Chat OpenAI model with gpt-4o
-const createChatModel = () => {
-  return new AzureChatOpenAI({
-    azureOpenAIApiKey: process.env.AZURE_OPENAI_API_KEY,
-    azureOpenAIApiVersion: process.env.AZURE_OPENAI_API_VERSION,
-    azureOpenAIApiInstanceName: new URL(
-      process.env.AZURE_OPENAI_ENDPOINT
-    ).hostname.split(".")[0],
-    azureOpenAIApiDeploymentName: process.env.AZURE_OPENAI_DEPLOYMENT_NAME,
-    modelName: process.env.AZURE_OPENAI_CHAT_MODEL, // Should be set to gpt-4o or gpt-4o-mini in .env
-    temperature: 0.1, // Lower temperature for more factual answers
-  });
-};
-
-// Initialize Pinecone client
-const initPinecone = () => {
-  const pinecone = new Pinecone({
-    apiKey: process.env.PINECONE_API_KEY,
-  });
-  return pinecone;
-};
-
 // Create an enhanced RAG chain for question answering with hybrid search
-async function createEnhancedRagChain() {
+async function createEnhancedRagChain({ namespace = "wiki" } = {}) {
   try {
     // Initialize embeddings
     const embeddings = createEmbeddings();
@@ -188,99 +325,746 @@ async function createEnhancedRagChain() {
     const chatModel = createChatModel();
     console.log("Chat model initialized");
 
-    // Initialize Pinecone client
-    const pinecone = initPinecone();
-    console.log("Pinecone client initialized");
-
     // Index name for our documents
-    const indexName = process.env.PINECONE_INDEX;
+    const indexName = getIndexName();
 
-    // Get the index
-    const index = pinecone.Index(indexName);
-    console.log(`Using Pinecone index: ${indexName}`);
-
-    // Create a vector store from the existing index
-    const vectorStore = await PineconeStore.fromExistingIndex(embeddings, {
-      pineconeIndex: index,
-      namespace: "wiki", // Use the namespace where your wiki documents are stored
-      textKey: "text",
+    // Connect to the configured vector store (VECTOR_STORE)
+    const vectorStore = await createVectorStore(embeddings, {
+      indexName,
+      namespace, // The namespace where the documents are stored, "wiki" by default
     });
-    console.log("Vector store initialized");
-
-    // Create system prompt template with enhanced source attribution and conversation history
-    const SYSTEM_TEMPLATE = `You are a helpful assistant for Amsterdam Standard company.
-Use the following pieces of context and conversation history to answer the question at the end.
-If you don't know the answer, just say that you don't know, don't try to make up an answer.
-Keep your answers informative and concise.
-
-IMPORTANT ABOUT RELEVANCE:
-- Each document includes a relevance score - lower scores indicate higher relevance
-- Documents are already sorted by relevance (most relevant first)
-- When answering, prioritize information from documents with lower relevance scores
-- For comprehensive questions (like those about all offices or locations), be sure to include ALL relevant information
-
-ABOUT MULTILINGUAL SUPPORT:
-- Users may ask questions in different languages, particularly in Polish, but the database is in English
-- If a question is asked in Polish, respond in Polish, but think in English
-- If a question is asked in English, respond in English
-- Always maintain the same level of helpfulness regardless of the language used
-
-CONVERSATION HISTORY:
-{conversationHistory}
+    console.log(`Vector store initialized: ${indexName}/${namespace}`);
 
-When synthesizing information, ensure you're providing complete and accurate answers by considering ALL the relevant documents in the context.
-
-At the end of your answer, include a "Sources:" section that lists the document sources used.
-
-Context:
-----------------
-{context}`;
+    // BM25 index built over the same chunks at ingestion time
+    const keywordIndex = loadKeywordIndex(indexName, namespace);
+    if (keywordIndex) {
+      console.log(
+        `Keyword index loaded with ${keywordIndex.docs.length} chunks`
+      );
+    } else {
+      console.warn(
+        `No keyword index for ${indexName}/${namespace}, using vector search only. Run ingestion to build it.`
+      );
+    }
+
+    // Rewrites follow-up questions into standalone search queries
+    const condenseQuestion = createQueryCondenser(chatModel);
+
+    // Condenses old turns into the running summary (HISTORY_SUMMARY=off
+    // drops them instead)
+    const summarizeHistory =
+      process.env.HISTORY_SUMMARY === "off"
+        ? null
+        : createHistorySummarizer(chatModel);
+
+    // Questions in other languages are searched in English (CROSS_LINGUAL=off
+    // searches them as asked)
+    const translateQuery =
+      process.env.CROSS_LINGUAL === "off"
+        ? null
+        : createQueryTranslator(chatModel);
+
+    // Query expansion for the multi-query and HyDE retrieval strategies
+    const generators = {
+      multiQuery: createMultiQueryGenerator(chatModel),
+      hyde: createHydeGenerator(chatModel),
+    };
 
-    const prompt = ChatPromptTemplate.fromMessages([
-      ["system", SYSTEM_TEMPLATE],
-      ["human", "{question}"],
-    ]);
+    // Taxonomy of categories and locations, for self-query and the agent's
+    // tools
+    let taxonomy = null;
+    try {
+      taxonomy = loadTaxonomy();
+    } catch (error) {
+      console.warn(`Taxonomy not loaded: ${error.message}`);
+    }
+
+    // Self-query: metadata filters inferred from the question, picking from
+    // the taxonomy and the documents in the keyword index
+    let extractFilter = null;
+    if (process.env.SELF_QUERY !== "off" && taxonomy) {
+      try {
+        const documents = [
+          ...new Map(
+            (keywordIndex?.docs || []).map(({ metadata }) => [
+              metadata.source,
+              {
+                source: metadata.source,
+                title: metadata.title || metadata.source,
+              },
+            ])
+          ).values(),
+        ];
+        extractFilter = createFilterExtractor(chatModel, taxonomy, documents);
+      } catch (error) {
+        console.warn(`Self-query disabled: ${error.message}`);
+      }
+    }
+
+    // Checks the claims of every answer against the context blocks
+    const verifyGroundedness = createGroundednessVerifier(chatModel);
+
+    // Answers to earlier, similar questions
+    const answerCache = getAnswerCache(indexName, namespace);
+
+    // Guardrails against prompt injection, off-topic questions and leaked
+    // instructions, configured in guardrails.json
+    const guardrailPolicy = loadGuardrailPolicy();
+    const checkTopic = createTopicGuard(chatModel, guardrailPolicy);
+
+    // Second-stage reranker, chunks below the cutoff are not used at all
+    const reranker = createReranker(chatModel);
+    console.log(`Reranker: ${reranker?.name || "none"}`);
+
+    // System prompt with source attribution and conversation history, read
+    // from the versioned templates in prompts/answer
+    const selectPrompt = createPromptSelector("answer", {
+      inputs: ["context", "conversationHistory", "answerLanguage"],
+      required: ["context"],
+    });
+    // Load the default version once now, so a broken template fails here
+    console.log(`Answer prompt: ${selectPrompt().version} by default`);
 
     // Build the enhanced RAG chain with hybrid search
-    const chain = async (question, sessionId = "default") => {
+    // Options: weights of the vector and keyword retrievers, retrieval
+    // strategy ("single", "multi-query" or "hyde") with its budget of extra
+    // LLM calls (llmBudget), an explicit metadata filter or selfQuery: false
+    // to skip filter inference, the reranker cutoff for this question, the
+    // context expansion ("none", "neighbours" or "section") with its token
+    // budget (contextTokenBudget), and the answer language ("en" or "pl",
+    // detected from the question by default), and what to do with claims the
+    // context does not support (groundedness: "annotate", "revise" or
+    // "off"). Agent mode (agent: true, at most agentMaxSteps tool calls)
+    // lets the model gather the context with tools. cache: false skips the
+    // answer cache, and promptVersion picks the version of the answer prompt
+    // instead of the session's (A/B split) or the default one. For
+    // streaming, onRetrieval gets the numbered candidate sources before the
+    // LLM call, onToken every delta of the answer as it is written,
+    // onReplace the checked answer if it differs from the streamed one, and
+    // signal (an AbortSignal) cancels the LLM calls; a cancelled question is
+    // neither added to the history nor cached.
+    const chain = async (question, sessionId = "default", options = {}) => {
       console.log(
         `Processing question for session ${sessionId}: "${question}"`
       );
-      const conversationHistory = getOrCreateConversationHistory(sessionId);
+      if (options.answerLanguage && !LANGUAGES[options.answerLanguage]) {
+        throw new Error(
+          `Unknown answer language "${options.answerLanguage}", use ${Object.keys(LANGUAGES).join(", ")}`
+        );
+      }
+      const groundednessMode =
+        options.groundedness || process.env.GROUNDEDNESS || "annotate";
+      if (!GROUNDEDNESS_MODES.includes(groundednessMode)) {
+        throw new Error(
+          `Unknown groundedness mode "${groundednessMode}", use ${GROUNDEDNESS_MODES.join(", ")}`
+        );
+      }
+
+      // Version of the answer prompt, recorded with the answer
+      const { template: systemTemplate, ...promptInfo } = selectPrompt({
+        version: options.promptVersion,
+        sessionId,
+      });
+      const prompt = ChatPromptTemplate.fromMessages([
+        ["system", systemTemplate],
+        ["human", "{question}"],
+      ]);
+
+      // Refuse questions that try to override the instructions, before any
+      // LLM call
+      const guardrails = [screenQuestion(question, guardrailPolicy)];
+      if (guardrails[0].action === "block") {
+        return refusedResult(
+          refusal(
+            guardrailPolicy,
+            "injection",
+            options.answerLanguage ||
+              detectLanguage(question) ||
+              CORPUS_LANGUAGE
+          ),
+          guardrails,
+          null,
+          promptInfo
+        );
+      }
+
+      const conversation = await getConversation(sessionId);
+
+      // Step 1: Turn a follow-up ("and what about Kraków?") into a standalone
+      // search query; self-contained questions are searched as they are
+      const { query: standaloneQuery, condensed } = await condenseQuestion(
+        question,
+        conversation.messages,
+        { signal: options.signal }
+      );
+      if (condensed) {
+        console.log(
+          `Condensed follow-up into search query: "${standaloneQuery}"`
+        );
+      }
+
+      // Step 2: Detect the language of the question and search the English
+      // corpus in English; the answer keeps the user's language unless the
+      // request forces one
+      const detected =
+        detectLanguage(question) ||
+        detectLanguage(standaloneQuery) ||
+        CORPUS_LANGUAGE;
+      const answerLanguage = options.answerLanguage || detected;
+      const agentMode = options.agent ?? process.env.AGENT_MODE === "on";
+
+      // A question close enough to one answered before gets the stored
+      // answer and citations, unless a source it cites was re-indexed since.
+      // The key is the standalone question, the answer language and the
+      // variant: prompt version and the request options that change the
+      // answer. A follow-up depends on the earlier turns, so it is neither
+      // looked up nor cached.
+      const cache = options.cache === false || condensed ? null : answerCache;
+      const cacheVariant = JSON.stringify({
+        strategy: options.strategy,
+        llmBudget: options.llmBudget,
+        filter: options.filter,
+        selfQuery: options.selfQuery,
+        weights: options.weights,
+        cutoff: options.cutoff,
+        contextExpansion: options.contextExpansion,
+        contextTokenBudget: options.contextTokenBudget,
+        groundedness: groundednessMode,
+        agent: agentMode,
+        agentMaxSteps: options.agentMaxSteps,
+        prompt: promptInfo.version,
+      });
+      const questionEmbedding = cache
+        ? await embeddings.embedQuery(standaloneQuery)
+        : null;
+      const cached = cache?.lookup(questionEmbedding, {
+        language: answerLanguage,
+        variant: cacheVariant,
+      });
+      if (cached) {
+        const { entry, similarity } = cached;
+        console.log(
+          `Answer cache hit (${similarity.toFixed(3)}): "${entry.question}"`
+        );
+        const language = {
+          detected,
+          answer: answerLanguage,
+          translated: false,
+        };
+        options.onRetrieval?.({
+          searchQuery: entry.result.searchQuery,
+          language,
+          sources: entry.result.retrievalSources,
+        });
+        options.onToken?.(entry.result.answer);
+        await addExchangeToHistory(
+          sessionId,
+          question,
+          entry.result.answer,
+          summarizeHistory,
+          promptInfo,
+          options.signal
+        );
+        const { retrievalSources, ...result } = entry.result;
+        return {
+          ...result,
+          language,
+          guardrails,
+          prompt: promptInfo,
+          cache: {
+            question: entry.question,
+            similarity,
+            cachedAt: entry.createdAt,
+          },
+        };
+      }
+
+      // On a miss the search reuses the embedding of the question
+      const queryEmbeddings = new Map(
+        questionEmbedding ? [[standaloneQuery, questionEmbedding]] : []
+      );
 
-      // For all queries, proceed with normal processing
-      // Step 1: Perform hybrid search to retrieve relevant documents
-      const searchResults = await hybridSearch(vectorStore, question);
+      let searchQuery = standaloneQuery;
+      if (detected !== CORPUS_LANGUAGE && translateQuery) {
+        searchQuery = await translateQuery(standaloneQuery, detected, {
+          signal: options.signal,
+        });
+        console.log(
+          `Translated ${LANGUAGES[detected]} query for search: "${searchQuery}"`
+        );
+      }
+      const language = {
+        detected,
+        answer: answerLanguage,
+        translated: searchQuery !== standaloneQuery,
+      };
 
-      // Step 2: Format documents for context
-      const formattedContext =
-        formatDocumentsWithSourcesAsString(searchResults);
+      // Refuse questions outside the scope of the wiki (as searched, so
+      // follow-ups are judged with their context)
+      const topicDecision = await checkTopic(searchQuery, {
+        signal: options.signal,
+      });
+      guardrails.push(topicDecision);
+      if (topicDecision.action === "refuse") {
+        return refusedResult(
+          refusal(guardrailPolicy, "offTopic", answerLanguage),
+          guardrails,
+          language,
+          promptInfo
+        );
+      }
+
+      // Steps 3-6: Search with the retrieval strategy, or let the agent
+      // gather the context with tools (agent mode)
+      const retrieveWithSearch = async () => {
+        // Step 3: Expand the query with the retrieval strategy (paraphrases
+        // for multi-query, a hypothetical answer for HyDE)
+        const expansion = await expandQuery(searchQuery, {
+          strategy:
+            options.strategy || process.env.RETRIEVAL_STRATEGY || "single",
+          maxLlmCalls: options.llmBudget,
+          generators,
+          signal: options.signal,
+        });
+        // Keywords of the original wording still match untranslated pages
+        if (language.translated) {
+          expansion.keywordQueries.push(standaloneQuery);
+        }
+        if (expansion.llmCalls > 0) {
+          console.log(
+            `Strategy ${expansion.strategy} (${expansion.llmCalls} LLM calls): searching ${expansion.vectorQueries.length} vector and ${expansion.keywordQueries.length} keyword queries`
+          );
+        }
+
+        // Step 4: Infer a metadata filter (category, location, document) from
+        // the question, unless the request sets one or disables self-query
+        const inferred =
+          options.filter || options.selfQuery === false || !extractFilter
+            ? null
+            : await extractFilter(searchQuery, { signal: options.signal });
+        const filter = options.filter || toMetadataFilter(inferred);
+        if (inferred && filter) {
+          console.log(`Inferred metadata filter: ${JSON.stringify(filter)}`);
+        }
+
+        // Step 5: Perform hybrid search to retrieve relevant documents
+        const search = (searchFilter) =>
+          hybridSearch(vectorStore, searchQuery, {
+            filter: searchFilter,
+            keywordIndex,
+            weights: options.weights,
+            vectorQueries: expansion.vectorQueries,
+            keywordQueries: expansion.keywordQueries,
+            queryEmbeddings,
+          });
+        let searchResults = await search(filter);
+
+        // An inferred filter that leaves too little is probably wrong (or the
+        // metadata is missing), search everything instead
+        const fallback =
+          Boolean(inferred && filter) &&
+          searchResults.documents.length < MIN_FILTERED_RESULTS;
+        if (fallback) {
+          console.log(
+            `Filtered search found ${searchResults.documents.length} chunks, searching without filter`
+          );
+          searchResults = await search(undefined);
+        }
+
+        // Step 6: Rerank and drop chunks below the relevance cutoff
+        const { documents, scored } = await rerankDocuments(
+          reranker,
+          searchQuery,
+          searchResults.documents,
+          { cutoff: options.cutoff, signal: options.signal }
+        );
+
+        const strategy = {
+          name: expansion.strategy,
+          llmCalls: expansion.llmCalls,
+          vectorQueries: expansion.vectorQueries,
+          keywordQueries: expansion.keywordQueries,
+        };
+        const filterInfo = {
+          inferred,
+          applied: fallback ? null : filter || null,
+          fallback,
+        };
+        return {
+          documents,
+          strategy,
+          filterInfo,
+          retrieval: describeRetrieval(scored),
+          agent: null,
+        };
+      };
 
-      // Step 3: Get sources for attribution
-      const sources = extractSources(searchResults);
+      const retrieveWithAgent = async () => {
+        // Tool results are screened for injected instructions before the
+        // agent reads them, not only once they become the context
+        const screened = (documents) => {
+          const { documents: safe, decisions } = screenContext(
+            documents,
+            guardrailPolicy
+          );
+          guardrails.push(...decisions);
+          return safe;
+        };
+        const fetchSourceChunks = createSourceChunkFetcher({
+          keywordIndex,
+          vectorStore,
+          query: searchQuery,
+        });
+        const runAgent = createRetrievalAgent(
+          chatModel,
+          createWikiTools({
+            search: async (query, filter) =>
+              screened(
+                (
+                  await hybridSearch(vectorStore, query, {
+                    filter,
+                    keywordIndex,
+                    weights: options.weights,
+                  })
+                ).documents
+              ),
+            fetchSourceChunks: async (source, totalChunks) =>
+              screened(await fetchSourceChunks(source, totalChunks)),
+            keywordIndex,
+            taxonomy,
+          })
+        );
+        const {
+          documents: gathered,
+          trace,
+          stopReason,
+        } = await runAgent(searchQuery, {
+          maxSteps:
+            options.agentMaxSteps ||
+            Number(process.env.AGENT_MAX_STEPS) ||
+            DEFAULT_MAX_STEPS,
+          tokenBudget:
+            options.contextTokenBudget ||
+            Number(process.env.CONTEXT_TOKEN_BUDGET) ||
+            DEFAULT_TOKEN_BUDGET,
+          signal: options.signal,
+        });
+
+        // What the agent gathered is held to the same relevance cutoff as a
+        // search, without cutting it down to the usual number of chunks
+        const { documents, scored } = await rerankDocuments(
+          reranker,
+          searchQuery,
+          gathered,
+          {
+            cutoff: options.cutoff,
+            topN: gathered.length,
+            signal: options.signal,
+          }
+        );
+
+        return {
+          documents,
+          strategy: {
+            name: "agent",
+            llmCalls: trace.length + (stopReason === "step-limit" ? 0 : 1),
+            vectorQueries: trace
+              .filter((call) => call.tool === "search_wiki")
+              .map((call) => call.input.query),
+            keywordQueries: [],
+          },
+          filterInfo: { inferred: null, applied: null, fallback: false },
+          retrieval: describeRetrieval(scored),
+          agent: { steps: trace, stopReason },
+        };
+      };
 
-      // Step 4: Format the conversation history
-      const formattedHistory = formatConversationHistory(conversationHistory);
+      let retrieved = agentMode
+        ? await retrieveWithAgent()
+        : await retrieveWithSearch();
+      // An agent that found nothing relevant (or could not call the tools)
+      // does not get the last word, the question is searched as usual
+      if (agentMode && retrieved.documents.length === 0) {
+        console.log("Agent gathered no relevant context, searching as usual");
+        retrieved = { ...(await retrieveWithSearch()), agent: retrieved.agent };
+      }
+      const { documents, strategy, filterInfo, retrieval, agent } = retrieved;
+
+      // Nothing relevant (or safe) enough: answer deterministically, without
+      // sources
+      const notFoundResult = async () => {
+        const notFoundAnswer =
+          NOT_FOUND_ANSWERS[answerLanguage] || NOT_FOUND_ANSWER;
+        await addExchangeToHistory(
+          sessionId,
+          question,
+          notFoundAnswer,
+          summarizeHistory,
+          promptInfo,
+          options.signal
+        );
+        options.onRetrieval?.({ searchQuery, language, sources: [] });
+        return {
+          answer: notFoundAnswer,
+          sources: [],
+          citations: [],
+          groundedness: null,
+          claims: [],
+          notFound: true,
+          searchQuery,
+          language,
+          strategy,
+          filter: filterInfo,
+          retrieval,
+          agent,
+          refused: false,
+          guardrails,
+          cache: null,
+          prompt: promptInfo,
+        };
+      };
+      if (documents.length === 0) {
+        console.log("No chunk passed the relevance cutoff");
+        return notFoundResult();
+      }
+
+      // Step 7: Expand the hits with their neighbouring chunks (or their
+      // parent section) so procedures split over chunks stay whole; the
+      // agent fetches whole documents itself
+      const expanded =
+        strategy.name === "agent"
+          ? documents
+          : await expandContext(documents, {
+              mode:
+                options.contextExpansion ||
+                process.env.CONTEXT_EXPANSION ||
+                "neighbours",
+              tokenBudget:
+                options.contextTokenBudget ||
+                Number(process.env.CONTEXT_TOKEN_BUDGET) ||
+                DEFAULT_TOKEN_BUDGET,
+              fetchSourceChunks: createSourceChunkFetcher({
+                keywordIndex,
+                vectorStore,
+                query: searchQuery,
+              }),
+            });
+
+      // Neutralise or quarantine blocks carrying injected instructions (the
+      // agent's tool results were screened already)
+      const { documents: contextDocuments, decisions } =
+        strategy.name === "agent"
+          ? { documents: expanded, decisions: [] }
+          : screenContext(expanded, guardrailPolicy);
+      guardrails.push(...decisions);
+      if (contextDocuments.length === 0) {
+        console.log("Every context block was quarantined");
+        return notFoundResult();
+      }
+
+      // Candidate sources, numbered like the context blocks the answer cites
+      const retrievalSources = contextDocuments.map((doc, index) => ({
+        id: index + 1,
+        source: doc.metadata.source,
+        title: doc.metadata.title || doc.metadata.source,
+        section: doc.metadata.headingPath || doc.metadata.section || "",
+        url: citationUrl(doc.metadata),
+      }));
+      options.onRetrieval?.({
+        searchQuery,
+        language,
+        sources: retrievalSources,
+      });
 
-      // Step 5: Generate messages with the prompt template
+      // Step 8: Format documents for context, numbered for citations
+      const formattedContext = formatDocumentsWithSourcesAsString({
+        documents: contextDocuments,
+      });
+
+      // Step 9: Format the conversation history
+      const formattedHistory = formatConversationHistory(conversation);
+
+      // Step 10: Generate messages with the prompt template
       const messages = await prompt.invoke({
         question: question,
         context: formattedContext,
         conversationHistory: formattedHistory,
+        answerLanguage: LANGUAGES[answerLanguage],
       });
 
-      // Step 6: Generate answer using the LLM
-      const response = await chatModel.invoke(messages);
-
-      // Step 7: Add to conversation history
-      addMessageToHistory(sessionId, "human", question);
-      addMessageToHistory(sessionId, "assistant", response.content);
+      // Step 11: Generate answer using the LLM, streamed token by token when
+      // the caller listens for tokens. The streamed text is provisional: it
+      // is screened as it is written so leaked instructions are never shown,
+      // and replaced (onReplace) if the checks below change it.
+      const screen = options.onToken
+        ? createStreamScreen(systemTemplate, guardrailPolicy)
+        : null;
+      let content = "";
+      if (screen) {
+        const stream = await chatModel.stream(messages, {
+          signal: options.signal,
+        });
+        for await (const chunk of stream) {
+          if (typeof chunk.content !== "string" || !chunk.content) continue;
+          content += chunk.content;
+          const safe = screen.push(chunk.content);
+          if (safe) options.onToken(safe);
+        }
+      } else {
+        const response = await chatModel.invoke(messages, {
+          signal: options.signal,
+        });
+        content = response.content;
+      }
+
+      // Step 12: Resolve the [n] citations
+      let {
+        answer,
+        citations,
+        documents: citedDocuments,
+      } = extractCitations(content, contextDocuments);
+
+      // Step 13: Check every claim against the blocks it cites; failed claims
+      // are annotated, or the answer is revised and its citations resolved
+      // again. The cited blocks come first so the markers still match.
+      let groundedness = null;
+      let claims = [];
+      if (groundednessMode !== "off") {
+        const evidence = [
+          ...citedDocuments,
+          ...contextDocuments.filter((doc) => !citedDocuments.includes(doc)),
+        ];
+        const verification = await verifyGroundedness(answer, evidence, {
+          mode: groundednessMode,
+          language: answerLanguage,
+          signal: options.signal,
+        });
+        if (verification) {
+          ({ score: groundedness, claims } = verification);
+          if (verification.revised) {
+            ({
+              answer,
+              citations,
+              documents: citedDocuments,
+            } = extractCitations(verification.answer, evidence));
+            // Claims keep pointing at the same blocks, under their numbers in
+            // the revised answer (blocks it no longer cites are dropped)
+            claims = claims.map((claim) => ({
+              ...claim,
+              citations: claim.citations
+                .map(
+                  (number) => citedDocuments.indexOf(evidence[number - 1]) + 1
+                )
+                .filter(Boolean),
+            }));
+          } else {
+            answer = verification.answer;
+          }
+        }
+      }
+
+      // Step 14: Withhold answers repeating the system prompt, claims
+      // included
+      const outputDecision = screenOutput(
+        answer,
+        systemTemplate,
+        guardrailPolicy
+      );
+      guardrails.push(outputDecision);
+      const withheld = outputDecision.action === "withhold";
+      if (withheld) {
+        answer = refusal(guardrailPolicy, "promptLeak", answerLanguage);
+        citations = [];
+        groundedness = null;
+        claims = [];
+      }
+      // The rest of the answer if the checks kept it as written, else the
+      // checked answer (or the refusal) in place of the streamed text
+      if (screen) {
+        const shown = screen.shown();
+        if (answer === content) {
+          if (content.length > shown.length) {
+            options.onToken(content.slice(shown.length));
+          }
+        } else if (shown) {
+          options.onReplace?.(answer);
+        } else {
+          options.onToken(answer);
+        }
+      }
+
+      // Sources are the cited documents, or every context document if the
+      // answer cites none
+      const sources = withheld
+        ? []
+        : [
+            ...new Set(
+              citations.length > 0
+                ? citations.map((citation) => citation.url)
+                : contextDocuments.map((doc) => citationUrl(doc.metadata))
+            ),
+          ];
+
+      // Step 15: Add to conversation history
+      await addExchangeToHistory(
+        sessionId,
+        question,
+        answer,
+        summarizeHistory,
+        promptInfo,
+        options.signal
+      );
 
-      // Step 8: Return the answer and sources
-      return {
-        answer: response.content,
-        sources: sources,
+      // Step 16: Return the answer, its citations, sources and groundedness
+      const result = {
+        answer,
+        citations,
+        sources,
+        groundedness,
+        claims,
+        notFound: false,
+        refused: withheld,
+        searchQuery,
+        language,
+        strategy,
+        filter: filterInfo,
+        retrieval,
+        agent,
+        guardrails,
+        cache: null,
+        prompt: promptInfo,
       };
+
+      // Step 17: Cache the answer under the question, stamped with the
+      // sources it cites (every context source if it cites none)
+      if (cache && !withheld && !options.signal?.aborted) {
+        cache.add(standaloneQuery, questionEmbedding, {
+          language: answerLanguage,
+          variant: cacheVariant,
+          sources: (citedDocuments.length > 0
+            ? citedDocuments
+            : contextDocuments
+          ).map((doc) => doc.metadata.source),
+          result: {
+            answer,
+            citations,
+            sources,
+            groundedness,
+            claims,
+            notFound: false,
+            refused: false,
+            searchQuery,
+            strategy,
+            filter: filterInfo,
+            retrieval,
+            agent,
+            prompt: promptInfo,
+            retrievalSources,
+          },
+        });
+      }
+
+      return result;
     };
 
     console.log("Enhanced RAG question answering chain created successfully");
@@ -292,26 +1076,72 @@ Context:
 }
 
 // Main function to answer questions with the enhanced RAG chain
-async function answerQuestionWithSources(question, sessionId = "default") {
+async function answerQuestionWithSources(
+  question,
+  sessionId = "default",
+  options = {}
+) {
   try {
     console.log(`Processing question: "${question}" for session: ${sessionId}`);
 
     // Create and invoke the enhanced RAG chain
-    const chain = await createEnhancedRagChain();
-    const result = await chain(question, sessionId);
+    const chain = await createEnhancedRagChain(options);
+    const result = await chain(question, sessionId, options);
 
     // Format and display the answer with sources
     console.log("\nAnswer:");
     console.log(result.answer);
 
     console.log("\nSources:");
-    result.sources.forEach((source, index) => {
-      console.log(`${index + 1}. ${source}`);
-    });
+    if (result.citations?.length > 0) {
+      result.citations.forEach((citation) => {
+        console.log(`[${citation.id}] ${citation.url}: "${citation.quote}"`);
+      });
+    } else {
+      result.sources.forEach((source, index) => {
+        console.log(`${index + 1}. ${source}`);
+      });
+    }
+
+    if (result.groundedness !== null && result.groundedness !== undefined) {
+      const supported = result.claims.filter(
+        (claim) => claim.label === "supported"
+      ).length;
+      console.log(
+        `\nGroundedness: ${result.groundedness.toFixed(2)} (${supported} of ${result.claims.length} claims supported)`
+      );
+      result.claims
+        .filter((claim) => claim.label !== "supported")
+        .forEach((claim) => console.log(`- ${claim.label}: ${claim.claim}`));
+    }
+
+    if (result.prompt) {
+      console.log(
+        `\nPrompt: ${result.prompt.name} ${result.prompt.version} (${result.prompt.assignment})`
+      );
+    }
+
+    if (result.cache) {
+      console.log(
+        `\nCached answer to "${result.cache.question}" (similarity ${result.cache.similarity.toFixed(3)}, ${result.cache.cachedAt})`
+      );
+    }
+
+    if (result.agent) {
+      console.log(`\nAgent steps (${result.agent.stopReason}):`);
+      result.agent.steps.forEach((call) => {
+        console.log(
+          `${call.step}. ${call.tool} ${JSON.stringify(call.input)}${call.documents.length > 0 ? ` -> [${call.documents.join(", ")}]` : ""}`
+        );
+      });
+    }
 
     console.log("\nConversation History:");
-    const history = getOrCreateConversationHistory(sessionId);
-    history.forEach((message, index) => {
+    const { summary, messages } = await getConversation(sessionId);
+    if (summary) {
+      console.log(`Summary: ${summary.substring(0, 100)}...`);
+    }
+    messages.forEach((message, index) => {
       console.log(
         `${index + 1}. ${message.role}: ${message.content.substring(0, 50)}...`
       );
@@ -321,8 +1151,13 @@ async function answerQuestionWithSources(question, sessionId = "default") {
   } catch (error) {
     console.error("Error answering question:", error);
     return {
+      error: error.message,
       answer: "Sorry, I couldn't process your question due to an error.",
       sources: [],
+      citations: [],
+      groundedness: null,
+      claims: [],
+      retrieval: [],
     };
   }
 }
@@ -349,12 +1184,24 @@ async function demonstrateRagPipeline() {
 }
 
 // Create a simple API-like function to answer questions
-async function askQuestion(question, sessionId = "default") {
+// Options are passed on to createEnhancedRagChain and the chain, e.g.
+// { namespace: "blog", weights: { vector: 1, keyword: 2 }, cutoff: 0.6,
+//   strategy: "multi-query", llmBudget: 1, answerLanguage: "pl",
+//   groundedness: "revise", agent: true, agentMaxSteps: 3, cache: false,
+//   promptVersion: "v2" }
+// and the streaming callbacks { onRetrieval, onToken, onReplace, signal }
+async function askQuestion(question, sessionId = "default", options = {}) {
   console.log(`Received question: "${question}" for session: ${sessionId}`);
 
   try {
-    const result = await answerQuestionWithSources(question, sessionId);
-    const conversationHistory = getOrCreateConversationHistory(sessionId);
+    const result = await answerQuestionWithSources(
+      question,
+      sessionId,
+      options
+    );
+    // The chain answers with an apology on errors, report them as such
+    if (result.error) throw new Error(result.error);
+    const conversation = await getConversation(sessionId);
 
     // Format the response in a user-friendly way
     return {
@@ -363,7 +1210,36 @@ async function askQuestion(question, sessionId = "default") {
       question: question,
       answer: result.answer,
       sources: result.sources,
-      historyLength: conversationHistory.length,
+      // Numbered inline citations ([1], [2], ...) with quoted evidence
+      citations: result.citations,
+      // Share of the answer's claims supported by the context (null when
+      // not verified) and the label of every claim
+      groundedness: result.groundedness,
+      claims: result.claims,
+      notFound: result.notFound,
+      // Whether a guardrail refused the question or withheld the answer, and
+      // every guardrail decision with its reason code
+      refused: result.refused,
+      guardrails: result.guardrails,
+      // The question as searched, rewritten if it was a follow-up and
+      // translated to English if it was asked in another language
+      searchQuery: result.searchQuery,
+      // Detected question language and the language of the answer
+      language: result.language,
+      strategy: result.strategy,
+      // Metadata filter inferred from the question and whether it was used
+      filter: result.filter,
+      retrieval: result.retrieval,
+      // Tool calls of agent mode, null otherwise
+      agent: result.agent,
+      // Whether the answer came from the answer cache, and the cached
+      // question it matched
+      cached: Boolean(result.cache),
+      cache: result.cache || null,
+      // Prompt name, version and how the version was chosen ("request",
+      // "session" for the A/B split or "default"), to join with feedback
+      prompt: result.prompt,
+      historyLength: conversation.messages.length,
       timestamp: new Date().toISOString(),
     };
   } catch (error) {
@@ -374,17 +1250,30 @@ async function askQuestion(question, sessionId = "default") {
       sessionId: sessionId,
       question: question,
       error: "Failed to process your question. Please try again later.",
+      message: error.message,
       timestamp: new Date().toISOString(),
     };
   }
 }
 
-// Execute the demo
-demonstrateRagPipeline()
-  .then(() =>
-    console.log("\nEnhanced RAG Pipeline Demo completed successfully!")
-  )
-  .catch((error) => console.error("Demo failed:", error));
-
 // Export the askQuestion function for potential API use
-export { askQuestion };
+export {
+  NOT_FOUND_ANSWER,
+  askQuestion,
+  answerQuestionWithSources,
+  createEnhancedRagChain,
+  hybridSearch,
+};
+
+// Execute the demo when run directly (`node enhanced-rag-chain.js`), not when
+// imported by the API server or the CLI
+if (
+  process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  demonstrateRagPipeline()
+    .then(() =>
+      console.log("\nEnhanced RAG Pipeline Demo completed successfully!")
+    )
+    .catch((error) => console.error("Demo failed:", error));
+}
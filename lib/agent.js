@@ -0,0 +1,304 @@
+// Agent mode: for questions needing several retrievals ("compare the benefits
+// in Wrocław and Amsterdam"), the chat model gathers the context itself by
+// calling wiki tools one step at a time, under a step limit. The chunks it
+// finds become the context of the usual answer prompt.
+import {
+  ChatPromptTemplate,
+  MessagesPlaceholder,
+} from "@langchain/core/prompts";
+import { StringOutputParser } from "@langchain/core/output_parsers";
+import { AIMessage, HumanMessage } from "@langchain/core/messages";
+import { estimateTokens } from "./markdown-splitter.js";
+import { DEFAULT_TOKEN_BUDGET } from "./context-expansion.js";
+import { toMetadataFilter } from "./self-query.js";
+
+const DEFAULT_MAX_STEPS = 5;
+// Chunks returned by one search
+const SEARCH_RESULTS = 4;
+// Characters of each chunk shown to the agent, and of the trace observations
+const SNIPPET_LENGTH = 300;
+const TRACE_OBSERVATION_LENGTH = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const chunkKey = (doc) =>
+  doc.metadata.chunkId || `${doc.metadata.source}#${doc.metadata.chunk}`;
+
+// A "YYYY-MM-DD" date (or "today") as UTC midnight. Days past the end of
+// the month ("2026-02-30") are rejected, not rolled over into the next one.
+const parseDate = (value = "today") => {
+  if (value === "today") {
+    return new Date(new Date().toISOString().slice(0, 10));
+  }
+  const date = new Date(value);
+  if (
+    !/^\d{4}-\d{2}-\d{2}$/.test(value) ||
+    isNaN(date) ||
+    date.toISOString().slice(0, 10) !== value
+  ) {
+    throw new Error(`Invalid date "${value}", use YYYY-MM-DD or "today"`);
+  }
+  return date;
+};
+
+const formatDate = (date) =>
+  `${date.toISOString().slice(0, 10)} (${date.toLocaleDateString("en-US", { weekday: "long", timeZone: "UTC" })})`;
+
+/**
+ * Date arithmetic for the agent: days and working days (Monday to Friday)
+ * between two dates, or a date plus a number of days.
+ * @param {{from?: string, to?: string, date?: string, add_days?: number}} input
+ * @returns {string} Result in words
+ */
+function dateMath({ from, to, date, add_days: addDays }) {
+  if (addDays !== undefined) {
+    const start = parseDate(date);
+    const result = new Date(start.getTime() + Number(addDays) * DAY_MS);
+    return `${formatDate(start)} + ${addDays} days = ${formatDate(result)}`;
+  }
+
+  const start = parseDate(from);
+  const end = parseDate(to);
+  const [first, last] = start <= end ? [start, end] : [end, start];
+  let workingDays = 0;
+  for (let day = first.getTime(); day <= last.getTime(); day += DAY_MS) {
+    const weekday = new Date(day).getUTCDay();
+    if (weekday !== 0 && weekday !== 6) workingDays++;
+  }
+  return `From ${formatDate(start)} to ${formatDate(end)}: ${Math.round((end - start) / DAY_MS)} days, ${workingDays} working days (Monday to Friday, both dates included)`;
+}
+
+/**
+ * Create the wiki tools of the agent. A tool returns documents (added to the
+ * context) or a result text.
+ * @param {Object} options
+ * @param {(query: string, filter?: Object) => Promise<Array>} options.search - Hybrid search
+ * @param {(source: string, totalChunks?: number) => Promise<Array>} options.fetchSourceChunks - Fetcher from createSourceChunkFetcher
+ * @param {Object} [options.keywordIndex] - Keyword index, for the list of documents
+ * @param {Object} [options.taxonomy] - Taxonomy returned by loadTaxonomy
+ * @returns {Object<string, {description: string, run: (input: Object) => Promise<{documents?: Array, result?: string}>}>}
+ */
+function createWikiTools({
+  search,
+  fetchSourceChunks,
+  keywordIndex,
+  taxonomy,
+}) {
+  const indexed = keywordIndex?.docs || [];
+
+  return {
+    search_wiki: {
+      description:
+        'Search the wiki. Input: {"query": "<English search query>", "category": "<category, optional>", "location": "<office, optional>", "source": "<document source, optional>"}',
+      run: async ({ query, category, location, source }) => {
+        if (!query) throw new Error("search_wiki needs a query");
+        const documents = await search(
+          query,
+          toMetadataFilter({ category, location, source })
+        );
+        return { documents: documents.slice(0, SEARCH_RESULTS) };
+      },
+    },
+
+    list_categories: {
+      description:
+        "List the wiki's categories and office locations with their number of documents. Input: {}",
+      run: async () => {
+        const sources = (name, key) =>
+          new Set(
+            indexed
+              .filter((doc) => doc.metadata[key]?.includes(name))
+              .map((doc) => doc.metadata.source)
+          ).size;
+        const categories = taxonomy
+          ? taxonomy.categories.map(
+              (category) =>
+                `- ${category.name}: ${category.description} (${sources(category.name, "categories")} documents)`
+            )
+          : [
+              ...new Set(
+                indexed.flatMap((doc) => doc.metadata.categories || [])
+              ),
+            ].map(
+              (name) => `- ${name} (${sources(name, "categories")} documents)`
+            );
+        const locations = (taxonomy?.locations || []).map(
+          (location) =>
+            `${location.name} (${sources(location.name, "locations")} documents)`
+        );
+
+        return {
+          result: `Categories:\n${categories.join("\n") || "none"}\n\nLocations: ${locations.join(", ") || "none"}`,
+        };
+      },
+    },
+
+    get_document: {
+      description:
+        'Fetch a whole document by its source path, e.g. from a search result. Input: {"source": "<source>"}',
+      run: async ({ source }) => {
+        const chunks = (await fetchSourceChunks(source)).sort(
+          (a, b) => (a.metadata.chunk || 0) - (b.metadata.chunk || 0)
+        );
+        if (chunks.length === 0) {
+          const known = [
+            ...new Set(indexed.map((doc) => doc.metadata.source)),
+          ].filter((known) =>
+            known
+              .toLowerCase()
+              .includes(
+                String(source).toLowerCase().split("/").pop().split(".")[0]
+              )
+          );
+          return {
+            result: `No document "${source}".${known.length > 0 ? ` Similar sources: ${known.slice(0, 5).join(", ")}` : ""}`,
+          };
+        }
+        return { documents: chunks };
+      },
+    },
+
+    date_math: {
+      description:
+        'Date arithmetic. Days and working days between dates: {"from": "YYYY-MM-DD", "to": "YYYY-MM-DD"}; a date plus days: {"date": "YYYY-MM-DD", "add_days": <number>}. "today" is accepted as a date.',
+      run: async (input) => ({ result: dateMath(input) }),
+    },
+  };
+}
+
+/**
+ * Create an agent that gathers context for a question by calling tools. The
+ * model answers every step with one JSON tool call, or "finish" once the
+ * gathered chunks suffice.
+ * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} chatModel - Chat model
+ * @param {Object} tools - Tools from createWikiTools
+ * @returns {(question: string, options?: {maxSteps?: number, tokenBudget?: number, signal?: AbortSignal}) =>
+ *   Promise<{documents: Array, trace: Array<{step: number, thought: string, tool: string, input: Object,
+ *   observation: string, documents: number[]}>, stopReason: string}>}
+ *   Gathered chunks in the order found, the tool calls and why the agent stopped
+ *   ("finished", "step-limit" or "invalid-response")
+ */
+function createRetrievalAgent(chatModel, tools) {
+  const prompt = ChatPromptTemplate.fromMessages([
+    [
+      "system",
+      `You research questions about the Amsterdam Standard company wiki by calling tools, one call per reply.
+Tools:
+{tools}
+
+Reply with one JSON object only: {{"thought": "<what you need next>", "tool": "<tool name>", "input": {{...}}}}
+Search once per entity or aspect, e.g. once per office when comparing offices, and fetch a whole document when a search hit is only part of what you need.
+When the results found so far answer the question, or nothing more can be found, reply {{"thought": "<why>", "tool": "finish"}}.
+Today is {today}.`,
+    ],
+    ["human", "Question: {question}"],
+    new MessagesPlaceholder("steps"),
+  ]);
+  const chain = prompt.pipe(chatModel).pipe(new StringOutputParser());
+  const toolList = Object.entries(tools)
+    .map(([name, tool]) => `- ${name}: ${tool.description}`)
+    .join("\n");
+
+  return async (
+    question,
+    {
+      maxSteps = DEFAULT_MAX_STEPS,
+      tokenBudget = DEFAULT_TOKEN_BUDGET,
+      signal,
+    } = {}
+  ) => {
+    const gathered = new Map();
+    let tokens = 0;
+    const steps = [];
+    const trace = [];
+    let stopReason = "step-limit";
+
+    // Add chunks to the context while they fit, numbered in the order found
+    const gather = (documents) =>
+      documents.map((doc) => {
+        const key = chunkKey(doc);
+        if (!gathered.has(key)) {
+          const size = estimateTokens(doc.pageContent);
+          if (tokens + size > tokenBudget) return { doc, id: null };
+          gathered.set(key, doc);
+          tokens += size;
+        }
+        return { doc, id: [...gathered.keys()].indexOf(key) + 1 };
+      });
+
+    for (let step = 1; step <= maxSteps; step++) {
+      const reply = await chain.invoke(
+        {
+          question,
+          tools: toolList,
+          today: new Date().toISOString().slice(0, 10),
+          steps,
+        },
+        { signal }
+      );
+
+      let call;
+      try {
+        call = JSON.parse(reply.match(/\{[\s\S]*\}/)?.[0] || "");
+      } catch (error) {
+        console.warn(`Agent step ${step}: no tool call in the reply`);
+        stopReason = "invalid-response";
+        break;
+      }
+      if (call.tool === "finish") {
+        console.log(`Agent finished after ${step - 1} tool calls`);
+        stopReason = "finished";
+        break;
+      }
+
+      const input = call.input || {};
+      let observation;
+      let ids = [];
+      try {
+        if (!tools[call.tool]) {
+          throw new Error(
+            `Unknown tool "${call.tool}", use ${Object.keys(tools).join(", ")} or finish`
+          );
+        }
+        const { documents, result } = await tools[call.tool].run(input);
+        if (documents) {
+          const found = gather(documents);
+          ids = found.map(({ id }) => id).filter(Boolean);
+          observation =
+            found
+              .map(({ doc, id }) =>
+                id
+                  ? `[${id}] ${doc.metadata.source}${doc.metadata.headingPath ? ` > ${doc.metadata.headingPath}` : ""}: ${doc.pageContent.substring(0, SNIPPET_LENGTH).replace(/\s+/g, " ")}`
+                  : `(context full, skipped ${doc.metadata.source})`
+              )
+              .join("\n") || "No results.";
+        } else {
+          observation = result;
+        }
+      } catch (error) {
+        observation = `Error: ${error.message}`;
+      }
+
+      console.log(`Agent step ${step}: ${call.tool} ${JSON.stringify(input)}`);
+      trace.push({
+        step,
+        thought: call.thought || "",
+        tool: call.tool,
+        input,
+        observation: observation.substring(0, TRACE_OBSERVATION_LENGTH),
+        documents: ids,
+      });
+      steps.push(
+        new AIMessage(reply),
+        new HumanMessage(`Observation:\n${observation}`)
+      );
+    }
+
+    if (stopReason === "step-limit") {
+      console.log(`Agent stopped at the limit of ${maxSteps} steps`);
+    }
+
+    return { documents: [...gathered.values()], trace, stopReason };
+  };
+}
+
+export { DEFAULT_MAX_STEPS, dateMath, createWikiTools, createRetrievalAgent };
@@ -0,0 +1,201 @@
+// Semantic answer cache: a question is matched to earlier ones by embedding
+// similarity, so the weekly "what are the company holidays?" is answered from
+// the stored answer and citations without a search or an LLM call. An answer
+// is dropped as soon as a source it cites is re-indexed.
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { MANIFEST_PATH, loadManifest } from "./index-manifest.js";
+import { cosineSimilarity } from "./vector-store.js";
+import { REPO_ROOT } from "./paths.js";
+
+// Default cache location (kept out of git, see .gitignore), one file per
+// index/namespace, override with ANSWER_CACHE_DIR
+const ANSWER_CACHE_DIR = path.join(REPO_ROOT, ".answer-cache");
+const ANSWER_CACHE_VERSION = 1;
+// Minimum cosine similarity between two questions for the same answer;
+// paraphrases score above it, questions about another office below
+const DEFAULT_THRESHOLD = 0.95;
+// Least recently used answers are dropped beyond this many
+const MAX_ENTRIES = 500;
+
+/**
+ * Answers in memory, persisted to a JSON file per index/namespace. Every
+ * entry keeps the indexedAt of its sources from the index manifest; once
+ * ingestion re-indexes one of them (or purges it), the entry is stale.
+ */
+class AnswerCache {
+  /**
+   * @param {{indexName: string, namespace: string, dir?: string, threshold?: number, maxEntries?: number, manifestPath?: string}} options
+   */
+  constructor({
+    indexName,
+    namespace,
+    dir = process.env.ANSWER_CACHE_DIR || ANSWER_CACHE_DIR,
+    threshold = Number(process.env.ANSWER_CACHE_THRESHOLD) || DEFAULT_THRESHOLD,
+    maxEntries = MAX_ENTRIES,
+    manifestPath = MANIFEST_PATH,
+  }) {
+    this.indexName = indexName;
+    this.namespace = namespace;
+    this.filePath = path.join(dir, indexName, `${namespace}.json`);
+    this.threshold = threshold;
+    this.maxEntries = maxEntries;
+    this.manifestPath = manifestPath;
+    this.manifestMtime = null;
+    this.indexed = {};
+    this.entries = [];
+
+    if (fs.existsSync(this.filePath)) {
+      try {
+        const stored = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+        if (stored.version === ANSWER_CACHE_VERSION) {
+          this.entries = stored.entries;
+        }
+      } catch (error) {
+        // A corrupt cache is just an empty one
+        console.warn(`Answer cache not loaded: ${error.message}`);
+      }
+    }
+  }
+
+  // Write to a temp file first so an interrupted run never corrupts the cache
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(
+      tmpPath,
+      JSON.stringify({ version: ANSWER_CACHE_VERSION, entries: this.entries })
+    );
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  // indexedAt of every indexed source, read again whenever ingestion has
+  // rewritten the manifest
+  indexedAt() {
+    const mtime = fs.existsSync(this.manifestPath)
+      ? fs.statSync(this.manifestPath).mtimeMs
+      : 0;
+    if (mtime !== this.manifestMtime) {
+      const { documents } = loadManifest(
+        this.indexName,
+        this.namespace,
+        this.manifestPath
+      );
+      this.indexed = Object.fromEntries(
+        Object.entries(documents).map(([source, entry]) => [
+          source,
+          entry.indexedAt,
+        ])
+      );
+      this.manifestMtime = mtime;
+    }
+    return this.indexed;
+  }
+
+  // Drop entries citing a source that was re-indexed or purged since, or
+  // that was never stamped (nothing would tell when it goes stale)
+  invalidateStale() {
+    const indexed = this.indexedAt();
+    const fresh = this.entries.filter((entry) =>
+      Object.entries(entry.sources).every(
+        ([source, indexedAt]) =>
+          indexedAt != null && indexed[source] === indexedAt
+      )
+    );
+    if (fresh.length < this.entries.length) {
+      console.log(
+        `Invalidated ${this.entries.length - fresh.length} cached answers of re-indexed documents`
+      );
+      this.entries = fresh;
+      this.persist();
+    }
+  }
+
+  /**
+   * Most similar cached question above the threshold.
+   * @param {number[]} embedding - Embedding of the question
+   * @param {{language: string, variant?: string}} options - Answer language
+   *   and the request options that shape the answer; both must match
+   * @returns {{entry: Object, similarity: number}|null} Cached entry with
+   *   its question and result, or null on a miss
+   */
+  lookup(embedding, { language, variant = "" }) {
+    this.invalidateStale();
+
+    let best = null;
+    for (const entry of this.entries) {
+      if (entry.language !== language || entry.variant !== variant) continue;
+      const similarity = cosineSimilarity(embedding, entry.embedding);
+      if (
+        similarity >= this.threshold &&
+        similarity > (best?.similarity ?? 0)
+      ) {
+        best = { entry, similarity };
+      }
+    }
+
+    if (best) {
+      best.entry.hits++;
+      best.entry.lastUsedAt = Date.now();
+    }
+    return best;
+  }
+
+  /**
+   * Store the answer to a question, stamped with the indexedAt of the
+   * sources it cites. Not stored when the manifest is missing or lacks one
+   * of the sources, since it could never be invalidated.
+   * @param {string} question - Question as searched
+   * @param {number[]} embedding - Embedding of the question
+   * @param {{language: string, variant?: string, sources: string[], result: Object}} answer
+   *   Answer language, request variant, cited sources and the chain result
+   * @returns {boolean} Whether the answer was cached
+   */
+  add(question, embedding, { language, variant = "", sources, result }) {
+    const indexed = this.indexedAt();
+    const unstamped = [...new Set(sources)].filter(
+      (source) => !indexed[source]
+    );
+    if (unstamped.length > 0) {
+      console.log(
+        `Answer not cached, not in the index manifest: ${unstamped.join(", ")}`
+      );
+      return false;
+    }
+
+    this.entries.push({
+      id: crypto.randomUUID(),
+      question,
+      embedding,
+      language,
+      variant,
+      sources: Object.fromEntries(
+        [...new Set(sources)].map((source) => [source, indexed[source]])
+      ),
+      result,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: Date.now(),
+      hits: 0,
+    });
+
+    if (this.entries.length > this.maxEntries) {
+      this.entries = this.entries
+        .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+        .slice(0, this.maxEntries);
+    }
+    this.persist();
+    return true;
+  }
+}
+
+/**
+ * Create the answer cache of an index/namespace.
+ * @param {{indexName: string, namespace: string, dir?: string, threshold?: number, maxEntries?: number}} options
+ * @returns {AnswerCache} Answer cache
+ */
+function createAnswerCache(options) {
+  return new AnswerCache(options);
+}
+
+export { ANSWER_CACHE_DIR, AnswerCache, createAnswerCache };
@@ -0,0 +1,283 @@
+// Blog crawler - follows listing, pagination and tag pages and extracts articles
+import axios from "axios";
+import * as cheerio from "cheerio";
+import { htmlToMarkdown } from "./document-loaders.js";
+
+// Constants
+const BLOG_PAGE_URL =
+  process.env.BLOG_BASE_URL || "https://www.amsterdamstandard.com/blog/";
+const DEFAULT_DELAY_MS = 1000; // Politeness delay between requests
+const DEFAULT_MAX_PAGES = 500;
+
+// Path segments under the blog that list articles rather than being one
+const LISTING_SEGMENTS = ["page", "tag", "category", "author"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Fetch the content of the given URL.
+ * @param {string} url - The URL to fetch content from
+ * @returns {Promise<string>} The page content
+ */
+async function getPageContent(url) {
+  try {
+    const response = await axios.get(url, { responseType: "text" });
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching ${url}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Filter and return blog URLs from a list of URLs.
+ * @param {string[]} urls - List of URLs to filter
+ * @param {string} [baseUrl] - Blog base URL
+ * @returns {string[]} Filtered blog URLs
+ */
+function getBlogUrls(urls, baseUrl = BLOG_PAGE_URL) {
+  return urls.filter((url) => url.includes(baseUrl));
+}
+
+/**
+ * Extract all link targets from a page, resolved against the page URL.
+ * @param {string} htmlContent - HTML content to parse
+ * @param {string} pageUrl - URL the HTML was fetched from
+ * @returns {string[]} Absolute URLs
+ */
+function findUrls(htmlContent, pageUrl) {
+  const $ = cheerio.load(htmlContent);
+  const urls = [];
+
+  // Extract all URLs from anchor tags and pagination links
+  $("a[href], link[rel='next'][href]").each((i, element) => {
+    try {
+      urls.push(new URL($(element).attr("href"), pageUrl).href);
+    } catch (error) {
+      // Ignore malformed hrefs
+    }
+  });
+
+  return urls;
+}
+
+/**
+ * Normalize a URL for deduplication: no fragment, no tracking parameters and
+ * no trailing slash.
+ * @param {string} url - URL to normalize
+ * @returns {string} Normalized URL
+ */
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = "";
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (key.startsWith("utm_") || key === "fbclid" || key === "gclid") {
+      parsed.searchParams.delete(key);
+    }
+  }
+  parsed.pathname = parsed.pathname.replace(/\/+$/, "") || "/";
+  return parsed.href;
+}
+
+/**
+ * Decide whether a URL is a blog listing page, an article or neither.
+ * @param {string} url - Absolute URL
+ * @param {string} baseUrl - Blog base URL
+ * @returns {"listing"|"article"|null} Page type
+ */
+function classifyUrl(url, baseUrl) {
+  const page = new URL(url);
+  const base = new URL(baseUrl);
+
+  if (page.origin !== base.origin) return null;
+
+  const basePath = base.pathname.replace(/\/+$/, "");
+  if (page.pathname !== basePath && !page.pathname.startsWith(`${basePath}/`)) {
+    return null;
+  }
+
+  const segments = page.pathname
+    .slice(basePath.length)
+    .split("/")
+    .filter(Boolean);
+
+  if (segments.length === 0 || LISTING_SEGMENTS.includes(segments[0])) {
+    return "listing";
+  }
+
+  // Articles live directly under the blog: /blog/<slug>
+  return segments.length === 1 && !/\.\w+$/.test(segments[0])
+    ? "article"
+    : null;
+}
+
+// Read BlogPosting/Article data from JSON-LD blocks, if the page has any
+function readJsonLd($) {
+  const items = [];
+
+  $("script[type='application/ld+json']").each((i, element) => {
+    try {
+      const data = JSON.parse($(element).contents().text());
+      const nodes = Array.isArray(data) ? data : data["@graph"] || [data];
+      items.push(...nodes);
+    } catch (error) {
+      // Ignore invalid JSON-LD
+    }
+  });
+
+  return (
+    items.find((item) =>
+      /(BlogPosting|Article|NewsArticle)$/.test([].concat(item["@type"])[0])
+    ) || {}
+  );
+}
+
+/**
+ * Extract an article from its HTML.
+ * @param {string} htmlContent - Article page HTML
+ * @param {string} pageUrl - URL the HTML was fetched from
+ * @returns {{url: string, title: string, author: string, publishedAt: string, tags: string[], content: string}}
+ */
+function parseArticle(htmlContent, pageUrl) {
+  const $ = cheerio.load(htmlContent);
+  const jsonLd = readJsonLd($);
+  const meta = (selector) => $(selector).first().attr("content")?.trim() || "";
+
+  const canonical =
+    $("link[rel='canonical']").attr("href") || meta("meta[property='og:url']");
+  const author = [].concat(jsonLd.author || [])[0];
+
+  const title =
+    jsonLd.headline ||
+    meta("meta[property='og:title']") ||
+    $("article h1, main h1, h1").first().text().trim() ||
+    $("title").text().trim();
+
+  // Prefer the most specific container holding the article body
+  const body = [
+    "[itemprop='articleBody']",
+    ".post-content",
+    ".entry-content",
+    "article",
+    "main",
+    "body",
+  ]
+    .map((selector) => $(selector).first())
+    .find((element) => element.length > 0);
+
+  // Title and byline are stored as metadata, keep them out of the body text
+  body.find("h1, header, footer, aside, form").remove();
+
+  return {
+    url: normalizeUrl(canonical ? new URL(canonical, pageUrl).href : pageUrl),
+    title,
+    author:
+      (typeof author === "string" ? author : author?.name) ||
+      meta("meta[name='author']") ||
+      $("[rel='author']").first().text().trim() ||
+      $(".author").first().text().trim(),
+    publishedAt:
+      jsonLd.datePublished ||
+      meta("meta[property='article:published_time']") ||
+      $("time[datetime]").first().attr("datetime") ||
+      "",
+    tags: $("meta[property='article:tag']")
+      .map((i, element) => $(element).attr("content"))
+      .get(),
+    content: htmlToMarkdown($, body),
+  };
+}
+
+/**
+ * Crawl the blog: walk listing pages (pagination and tags), then fetch every
+ * article found, waiting between requests.
+ * @param {Object} [options] - Crawl options
+ * @param {string} [options.baseUrl] - Blog base URL, e.g. a local fixture server in tests
+ * @param {string[]} [options.startUrls] - Listing pages to start from
+ * @param {number} [options.delayMs] - Delay between requests in milliseconds
+ * @param {number} [options.maxPages] - Upper bound on fetched pages
+ * @param {(url: string) => Promise<string>} [options.fetchPage] - Page fetcher
+ * @returns {Promise<{articles: Array, stats: Object}>} Articles deduplicated by canonical URL
+ */
+async function crawlBlog({
+  baseUrl = BLOG_PAGE_URL,
+  startUrls = [baseUrl],
+  delayMs = DEFAULT_DELAY_MS,
+  maxPages = DEFAULT_MAX_PAGES,
+  fetchPage = getPageContent,
+} = {}) {
+  const queue = startUrls.map(normalizeUrl);
+  const seen = new Set(queue);
+  const articles = new Map();
+  const stats = {
+    listings: 0,
+    articles: 0,
+    duplicates: 0,
+    failed: 0,
+    remaining: 0,
+  };
+  let fetched = 0;
+
+  while (queue.length > 0 && fetched < maxPages) {
+    const url = queue.shift();
+    const type = classifyUrl(url, baseUrl) || "listing";
+
+    if (fetched > 0) await sleep(delayMs);
+    fetched++;
+
+    let html;
+    try {
+      html = await fetchPage(url);
+    } catch (error) {
+      stats.failed++;
+      continue;
+    }
+
+    if (type === "article") {
+      const article = parseArticle(html, url);
+
+      // Same article reachable under several URLs - keep the first copy
+      if (articles.has(article.url)) {
+        stats.duplicates++;
+      } else if (article.content.trim()) {
+        articles.set(article.url, article);
+        stats.articles++;
+        console.log(`Fetched article: ${article.title} (${article.url})`);
+      }
+      continue;
+    }
+
+    stats.listings++;
+
+    // Queue newly discovered listing pages and articles
+    for (const link of getBlogUrls(
+      findUrls(html, url),
+      new URL(baseUrl).origin
+    )) {
+      const normalized = normalizeUrl(link);
+      if (!seen.has(normalized) && classifyUrl(normalized, baseUrl)) {
+        seen.add(normalized);
+        queue.push(normalized);
+      }
+    }
+  }
+
+  // Pages left unvisited when maxPages was reached
+  stats.remaining = queue.length;
+  if (queue.length > 0) {
+    console.warn(`Stopped after ${maxPages} pages, ${queue.length} left`);
+  }
+
+  return { articles: [...articles.values()], stats };
+}
+
+export {
+  BLOG_PAGE_URL,
+  getPageContent,
+  getBlogUrls,
+  findUrls,
+  normalizeUrl,
+  classifyUrl,
+  parseArticle,
+  crawlBlog,
+};
@@ -0,0 +1,132 @@
+// Inline citations: the model cites context blocks as [1], [2], ...; the
+// answer's markers are resolved to structured citations with a quoted snippet
+// and the blocks it never cites are dropped
+import { tokenize } from "./keyword-index.js";
+
+// Longest quoted snippet, in characters
+const MAX_QUOTE_LENGTH = 300;
+
+const CITATION_MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// A "Sources:" section the model adds despite the prompt duplicates the
+// citations, so it is cut off
+const SOURCES_SECTION =
+  /\n+\s*(?:\*\*|#+\s*)?(?:Sources|Źródła)\s*:?(?:\*\*)?\s*:?\s*\n[\s\S]*$/i;
+
+/**
+ * Link to a chunk's document: its own URL (blog articles), or the wiki file
+ * under WIKI_BASE_URL, with the heading anchor.
+ * @param {Object} metadata - Chunk metadata
+ * @returns {string} URL, or the source path if there is no base URL
+ */
+function citationUrl(metadata) {
+  const anchor = metadata.anchor ? `#${metadata.anchor}` : "";
+  if (metadata.url) return metadata.url;
+  if (/^https?:\/\//.test(metadata.source || "")) {
+    return `${metadata.source}${anchor}`;
+  }
+
+  const base = process.env.WIKI_BASE_URL?.replace(/\/$/, "");
+  return base
+    ? `${base}/${encodeURI(metadata.source)}${anchor}`
+    : `${metadata.source}${anchor}`;
+}
+
+// Sentence of the block sharing the most terms with the sentences that cite it
+const quoteEvidence = (pageContent, headingPath, citingText) => {
+  const body =
+    headingPath && pageContent.startsWith(headingPath)
+      ? pageContent.slice(headingPath.length)
+      : pageContent;
+  const sentences = body
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+  const terms = new Set(tokenize(citingText));
+
+  let best = sentences[0] || "";
+  let bestOverlap = -1;
+  for (const sentence of sentences) {
+    const overlap = tokenize(sentence).filter((term) => terms.has(term)).length;
+    if (overlap > bestOverlap) {
+      best = sentence;
+      bestOverlap = overlap;
+    }
+  }
+
+  return best.length > MAX_QUOTE_LENGTH
+    ? `${best.substring(0, MAX_QUOTE_LENGTH - 1)}…`
+    : best;
+};
+
+/**
+ * Resolve the [n] markers of an answer against the numbered context blocks.
+ * Cited blocks are renumbered in order of first citation and the answer's
+ * markers are rewritten to match; markers pointing at no block are removed.
+ * @param {string} answer - Answer of the chat model
+ * @param {Array} documents - Context blocks in the order they were numbered
+ * @returns {{answer: string, citations: Array<{id: number, source: string, title: string,
+ *   section: string, chunkIds: string[], quote: string, url: string}>, documents: Array}}
+ *   The rewritten answer, its citations and the cited blocks in citation order
+ */
+function extractCitations(answer, documents) {
+  const text = answer.replace(SOURCES_SECTION, "").trimEnd();
+  const renumbered = new Map();
+
+  // Renumber in order of first citation, so the answer reads [1], [2], ...
+  for (const match of text.matchAll(CITATION_MARKER)) {
+    for (const number of match[1].split(",").map(Number)) {
+      if (number >= 1 && number <= documents.length) {
+        if (!renumbered.has(number)) {
+          renumbered.set(number, renumbered.size + 1);
+        }
+      }
+    }
+  }
+
+  // A marker without valid numbers goes away with the space before it
+  const rewritten = text.replace(
+    new RegExp(` *${CITATION_MARKER.source}`, "g"),
+    (marker, numbers) => {
+      const ids = [
+        ...new Set(
+          numbers
+            .split(",")
+            .map((number) => renumbered.get(Number(number)))
+            .filter(Boolean)
+        ),
+      ];
+      return ids.length > 0
+        ? `${marker.match(/^ */)[0]}${ids.map((id) => `[${id}]`).join("")}`
+        : "";
+    }
+  );
+
+  // Sentences citing a block point at the evidence to quote from it
+  const sentences = rewritten.split(/(?<=[.!?])\s+|\n+/);
+  const citations = [...renumbered].map(([number, id]) => {
+    const doc = documents[number - 1];
+    const { metadata } = doc;
+    const citingText = sentences
+      .filter((sentence) => sentence.includes(`[${id}]`))
+      .join(" ");
+
+    return {
+      id,
+      source: metadata.source,
+      title: metadata.title || metadata.source,
+      section: metadata.headingPath || metadata.section || "",
+      chunkIds: metadata.chunkIds || [metadata.chunkId].filter(Boolean),
+      quote: quoteEvidence(doc.pageContent, metadata.headingPath, citingText),
+      url: citationUrl(metadata),
+    };
+  });
+
+  return {
+    answer: rewritten,
+    citations,
+    documents: [...renumbered.keys()].map((number) => documents[number - 1]),
+  };
+}
+
+export { CITATION_MARKER, citationUrl, extractCitations };
@@ -0,0 +1,307 @@
+// Multi-label document classification driven by a taxonomy config file
+// Rules (globs on the source path, keywords in filename and content) come
+// first; an optional LLM classifier handles documents no rule matches.
+import fs from "fs";
+import path from "path";
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { StringOutputParser } from "@langchain/core/output_parsers";
+import { REPO_ROOT } from "./paths.js";
+
+// Default taxonomy location, override with TAXONOMY_PATH
+const TAXONOMY_PATH = path.join(REPO_ROOT, "taxonomy.json");
+
+const DEFAULT_WEIGHTS = {
+  glob: 5,
+  filenameKeyword: 3,
+  contentKeyword: 1,
+  maxContentHitsPerKeyword: 3,
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Convert a glob (`**`, `*`, `?`) into a case-insensitive regular expression.
+ * @param {string} glob - Glob pattern matched against the source path
+ * @returns {RegExp} Equivalent regular expression
+ */
+const globToRegExp = (glob) => {
+  const pattern = glob
+    .split(/(\*\*\/|\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === "**/") return "(?:.*/)?";
+      if (part === "**") return ".*";
+      if (part === "*") return "[^/]*";
+      if (part === "?") return "[^/]";
+      return escapeRegExp(part);
+    })
+    .join("");
+  return new RegExp(`^${pattern}$`, "iu");
+};
+
+// Keywords match at the start of a word, so "holiday" also finds "holidays"
+const keywordToRegExp = (keyword) =>
+  new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(keyword)}`, "giu");
+
+// Fold diacritics so "Krakow" and "Kraków" are the same location
+const foldDiacritics = (text) =>
+  text
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .replace(/ł/g, "l")
+    .replace(/Ł/g, "L");
+
+// Locations match at the start of a word without diacritics, so Polish
+// inflections ("w Krakowie", "Poznaniu") are found too
+const locationToRegExp = (location) =>
+  new RegExp(
+    `(?<![\\p{L}\\p{N}])${escapeRegExp(foldDiacritics(location))}`,
+    "iu"
+  );
+
+// Stop phrases match as whole words, also hyphenated in paths
+// ("amsterdam-standard"), so "Amsterdam Standard" can be kept from matching
+// the Amsterdam office
+const stopPhrasesToRegExp = (phrases) =>
+  phrases.length > 0
+    ? new RegExp(
+        `(?<![\\p{L}\\p{N}])(?:${phrases
+          .map((phrase) =>
+            phrase.trim().split(/\s+/).map(escapeRegExp).join("[\\s_-]+")
+          )
+          .join("|")})(?![\\p{L}\\p{N}])`,
+        "giu"
+      )
+    : null;
+
+// Blank the taxonomy's stop phrases out of a text before matching it
+const removeStopPhrases = (text, taxonomy) =>
+  taxonomy.stopPhrases ? text.replace(taxonomy.stopPhrases, " ") : text;
+
+/**
+ * Load and validate the taxonomy config.
+ * @param {string} [taxonomyPath] - Path to the taxonomy JSON file
+ * @returns {Object} Taxonomy with compiled glob and keyword matchers
+ */
+function loadTaxonomy(
+  taxonomyPath = process.env.TAXONOMY_PATH || TAXONOMY_PATH
+) {
+  const config = JSON.parse(fs.readFileSync(taxonomyPath, "utf8"));
+
+  if (!Array.isArray(config.categories) || config.categories.length === 0) {
+    throw new Error(`Taxonomy ${taxonomyPath} defines no categories`);
+  }
+
+  const names = new Set();
+  const categories = config.categories.map((category) => {
+    if (!category.name) {
+      throw new Error(`Taxonomy ${taxonomyPath} has a category without name`);
+    }
+    if (names.has(category.name)) {
+      throw new Error(`Duplicate category "${category.name}" in taxonomy`);
+    }
+    names.add(category.name);
+
+    return {
+      name: category.name,
+      description: category.description || "",
+      priority: category.priority || 0,
+      globs: (category.globs || []).map(globToRegExp),
+      keywords: (category.keywords || []).map((keyword) => ({
+        keyword,
+        regex: keywordToRegExp(keyword),
+      })),
+    };
+  });
+
+  return {
+    defaultCategory: config.defaultCategory || "general",
+    maxLabels: config.maxLabels || 3,
+    minScore: config.minScore ?? 1,
+    weights: { ...DEFAULT_WEIGHTS, ...config.weights },
+    llm: { enabled: false, ...config.llm },
+    categories,
+    locations: (config.locations || []).map((name) => ({
+      name,
+      regex: locationToRegExp(name),
+    })),
+    stopPhrases: stopPhrasesToRegExp(config.stopPhrases || []),
+  };
+}
+
+/**
+ * Score every category against a document with the taxonomy rules.
+ * @param {{source: string, text: string}} document - Source path and text
+ * @param {Object} taxonomy - Taxonomy returned by loadTaxonomy
+ * @returns {Array<{category: string, score: number, reasons: string[]}>}
+ *   Labels above minScore, best first (ties broken by priority)
+ */
+function classifyByRules({ source, text }, taxonomy) {
+  const { weights } = taxonomy;
+  // Stop phrases in a path ("amsterdam-standard-handbook.md") are not
+  // locations or keywords either
+  const sourcePath = removeStopPhrases(source, taxonomy);
+  const filename = path.basename(sourcePath);
+  const content = removeStopPhrases(text, taxonomy);
+  const labels = [];
+
+  for (const category of taxonomy.categories) {
+    let score = 0;
+    const reasons = [];
+
+    if (category.globs.some((glob) => glob.test(sourcePath))) {
+      score += weights.glob;
+      reasons.push("glob");
+    }
+
+    for (const { keyword, regex } of category.keywords) {
+      if (filename.match(regex)) {
+        score += weights.filenameKeyword;
+        reasons.push(`filename:${keyword}`);
+      }
+
+      const hits = (content.match(regex) || []).length;
+      if (hits > 0) {
+        score +=
+          weights.contentKeyword *
+          Math.min(hits, weights.maxContentHitsPerKeyword);
+        reasons.push(`content:${keyword}`);
+      }
+    }
+
+    if (score >= taxonomy.minScore) {
+      labels.push({ category: category.name, score, reasons });
+    }
+  }
+
+  const priority = (name) =>
+    taxonomy.categories.find((category) => category.name === name).priority;
+
+  return labels
+    .sort(
+      (a, b) => b.score - a.score || priority(b.category) - priority(a.category)
+    )
+    .slice(0, taxonomy.maxLabels);
+}
+
+/**
+ * Find the taxonomy's locations (offices, cities) mentioned in a text,
+ * ignoring its stop phrases.
+ * @param {string} text - Text to search, e.g. the source path and chunk text
+ * @param {Object} taxonomy - Taxonomy returned by loadTaxonomy
+ * @returns {string[]} Location names in taxonomy order
+ */
+function detectLocations(text, taxonomy) {
+  const folded = foldDiacritics(removeStopPhrases(text, taxonomy));
+  return taxonomy.locations
+    .filter((location) => location.regex.test(folded))
+    .map((location) => location.name);
+}
+
+/**
+ * Create an LLM classifier for documents no rule matches.
+ * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} chatModel - Chat model
+ * @param {Object} taxonomy - Taxonomy returned by loadTaxonomy
+ * @returns {(document: {source: string, text: string}) => Promise<string[]>} Category names
+ */
+function createLlmClassifier(chatModel, taxonomy) {
+  const prompt = ChatPromptTemplate.fromMessages([
+    [
+      "system",
+      `You classify internal company wiki documents.
+Pick up to {maxLabels} categories from the list below that describe the document, most relevant first.
+Answer with a JSON array of category names only, e.g. ["tools"]. Answer [] if none fits.
+
+Categories:
+{categories}`,
+    ],
+    ["human", "Document: {source}\n\n{text}"],
+  ]);
+  const chain = prompt.pipe(chatModel).pipe(new StringOutputParser());
+  const known = new Set(taxonomy.categories.map((category) => category.name));
+
+  return async ({ source, text }) => {
+    const answer = await chain.invoke({
+      maxLabels: taxonomy.maxLabels,
+      categories: taxonomy.categories
+        .map((category) => `- ${category.name}: ${category.description}`)
+        .join("\n"),
+      source,
+      // The start of a document is enough to tell what it is about
+      text: text.substring(0, 6000),
+    });
+
+    try {
+      const names = JSON.parse(answer.match(/\[[\s\S]*\]/)?.[0] || "[]");
+      return names
+        .filter((name) => known.has(name))
+        .slice(0, taxonomy.maxLabels);
+    } catch (error) {
+      console.warn(`Could not parse LLM classification for ${source}`);
+      return [];
+    }
+  };
+}
+
+/**
+ * Turn labels into chunk metadata. `category` keeps the primary label so
+ * existing `{ category: "tools" }` filters work; `categories` holds all of
+ * them for `{ categories: { $in: [...] } }` filters.
+ * @param {string[]} names - Category names, best first
+ * @param {string} classifiedBy - "rules", "llm" or "default"
+ * @param {Object} taxonomy - Taxonomy returned by loadTaxonomy
+ * @returns {{category: string, categories: string[], classifiedBy: string}}
+ */
+const toCategoryMetadata = (names, classifiedBy, taxonomy) =>
+  names.length > 0
+    ? { category: names[0], categories: names, classifiedBy }
+    : {
+        category: taxonomy.defaultCategory,
+        categories: [taxonomy.defaultCategory],
+        classifiedBy: "default",
+      };
+
+/**
+ * Print how chunks and documents are distributed over categories.
+ * @param {import("@langchain/core/documents").Document[]} documents - Classified chunks
+ */
+function logCategoryReport(documents) {
+  const primary = new Map();
+  const labelled = new Map();
+  const sources = new Map();
+  const methods = new Map();
+
+  for (const { metadata } of documents) {
+    primary.set(metadata.category, (primary.get(metadata.category) || 0) + 1);
+    methods.set(
+      metadata.classifiedBy,
+      (methods.get(metadata.classifiedBy) || 0) + 1
+    );
+    for (const category of metadata.categories || [metadata.category]) {
+      labelled.set(category, (labelled.get(category) || 0) + 1);
+      if (!sources.has(category)) sources.set(category, new Set());
+      sources.get(category).add(metadata.source);
+    }
+  }
+
+  console.log("\n=== CATEGORY REPORT ===");
+  [...labelled.keys()]
+    .sort((a, b) => labelled.get(b) - labelled.get(a))
+    .forEach((category) => {
+      console.log(
+        `${category}: ${primary.get(category) || 0} chunks as primary, ${labelled.get(category)} labelled, ${sources.get(category).size} documents`
+      );
+    });
+  console.log(
+    `Classified by: ${[...methods].map(([method, count]) => `${method} ${count}`).join(", ")}`
+  );
+}
+
+export {
+  TAXONOMY_PATH,
+  loadTaxonomy,
+  classifyByRules,
+  detectLocations,
+  createLlmClassifier,
+  toCategoryMetadata,
+  logCategoryReport,
+};
@@ -0,0 +1,233 @@
+// Context expansion: grow each retrieved chunk with the chunks around it (or
+// its whole parent section) from the same source, within a token budget, so
+// multi-step procedures split over several chunks reach the LLM in one piece
+import { estimateTokens, HEADING_PATH_SEPARATOR } from "./markdown-splitter.js";
+
+const CONTEXT_EXPANSION_MODES = ["none", "neighbours", "section"];
+const DEFAULT_WINDOW = 1; // Chunks before and after each hit
+const DEFAULT_TOKEN_BUDGET = 6000; // Tokens of context sent to the LLM
+// Upper bound on chunks fetched per source from the vector store
+const MAX_SOURCE_CHUNKS = 100;
+
+/**
+ * Create a fetcher for all chunks of a source, read from the keyword index
+ * when there is one and otherwise from the vector store with a source filter.
+ * Results are cached per source.
+ * @param {{keywordIndex?: Object, vectorStore?: Object, query: string}} options
+ * @returns {(source: string, totalChunks: number) => Promise<Array>} Chunks of the source
+ */
+function createSourceChunkFetcher({ keywordIndex, vectorStore, query }) {
+  const cache = new Map();
+
+  return (source, totalChunks) => {
+    if (!cache.has(source)) {
+      cache.set(
+        source,
+        keywordIndex
+          ? Promise.resolve(
+              keywordIndex.docs
+                .filter((doc) => doc.metadata.source === source)
+                .map(({ pageContent, metadata }) => ({ pageContent, metadata }))
+            )
+          : vectorStore.similaritySearch(
+              query,
+              Math.min(totalChunks || MAX_SOURCE_CHUNKS, MAX_SOURCE_CHUNKS),
+              { source: { $eq: source } }
+            )
+      );
+    }
+    return cache.get(source);
+  };
+}
+
+// Heading path of the section that contains a chunk's own section
+const parentPath = (headingPath = "") => {
+  const headings = headingPath.split(HEADING_PATH_SEPARATOR).filter(Boolean);
+  return headings.length > 1
+    ? headings.slice(0, -1).join(HEADING_PATH_SEPARATOR)
+    : headingPath;
+};
+
+const inSection = (chunk, sectionPath) =>
+  sectionPath
+    ? chunk.metadata.headingPath === sectionPath ||
+      chunk.metadata.headingPath?.startsWith(
+        `${sectionPath}${HEADING_PATH_SEPARATOR}`
+      )
+    : false;
+
+// Join consecutive chunks, dropping the heading path line a chunk repeats
+// from the chunk before it
+const mergeRun = (run) =>
+  run
+    .map((chunk, i) => {
+      const { headingPath } = chunk.metadata;
+      const repeated =
+        i > 0 &&
+        headingPath &&
+        headingPath === run[i - 1].metadata.headingPath &&
+        chunk.pageContent.startsWith(`${headingPath}\n\n`);
+      return repeated
+        ? chunk.pageContent.slice(headingPath.length + 2)
+        : chunk.pageContent;
+    })
+    .join("\n\n");
+
+/**
+ * Expand retrieved chunks with neighbouring chunks or their parent section.
+ * Hits are always kept; extra chunks are added nearest first (and best hit
+ * first) while they fit in the token budget. Overlapping and adjacent windows
+ * of a source are merged into one context document.
+ * @param {Array} documents - Retrieved chunks, best first, with metadata.source and metadata.chunk
+ * @param {Object} options - Expansion options
+ * @param {string} [options.mode] - "none", "neighbours" or "section"
+ * @param {number} [options.window] - Neighbours on each side in "neighbours" mode
+ * @param {number} [options.tokenBudget] - Total tokens of context
+ * @param {(source: string, totalChunks: number) => Promise<Array>} options.fetchSourceChunks - Fetcher from createSourceChunkFetcher
+ * @returns {Promise<Array>} Context documents, best first, with metadata.chunkRange and metadata.chunkIds
+ */
+async function expandContext(
+  documents,
+  {
+    mode = "neighbours",
+    window = DEFAULT_WINDOW,
+    tokenBudget = DEFAULT_TOKEN_BUDGET,
+    fetchSourceChunks,
+  }
+) {
+  if (!CONTEXT_EXPANSION_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown context expansion "${mode}", use ${CONTEXT_EXPANSION_MODES.join(", ")}`
+    );
+  }
+  if (mode === "none" || documents.length === 0) return documents;
+
+  // Chunks are identified by their ID, not their number: a hit from the
+  // vector store may still carry the number it had before a section was
+  // inserted above it
+  const key = (doc) => doc.metadata.chunkId || doc.pageContent;
+
+  // Current position of every chunk by source and chunk ID, taken from the
+  // fetched chunks of the source; a hit not among them keeps its own number.
+  // Chunks indexed before chunk numbers existed can only be used as they are.
+  const positions = new Map();
+  const position = (doc) =>
+    positions.get(doc.metadata.source)?.get(doc.metadata.chunkId) ??
+    doc.metadata.chunk;
+
+  const selected = new Map();
+  let tokens = 0;
+
+  // Hits first, in rank order; they were already judged relevant
+  documents.forEach((doc, rank) => {
+    if (selected.has(key(doc))) return;
+    selected.set(key(doc), { doc, rank, hit: true });
+    tokens += estimateTokens(doc.pageContent);
+  });
+
+  // Candidate context chunks with their distance to the hit they belong to
+  const candidates = [];
+  for (const [rank, hit] of documents.entries()) {
+    const { source, chunk, totalChunks, headingPath } = hit.metadata;
+    if (!source || !chunk) continue;
+
+    const chunks = await fetchSourceChunks(source, totalChunks);
+    if (!positions.has(source)) {
+      positions.set(
+        source,
+        new Map(
+          chunks.map((other) => [other.metadata.chunkId, other.metadata.chunk])
+        )
+      );
+    }
+    const at = position(hit);
+    const section = parentPath(headingPath);
+
+    for (const other of chunks) {
+      const distance = Math.abs(other.metadata.chunk - at);
+      const wanted =
+        mode === "neighbours" ? distance <= window : inSection(other, section);
+      if (wanted && distance > 0) {
+        candidates.push({ doc: other, rank, distance });
+      }
+    }
+  }
+
+  candidates.sort((a, b) => a.distance - b.distance || a.rank - b.rank);
+  for (const { doc, rank } of candidates) {
+    if (selected.has(key(doc))) continue;
+
+    const size = estimateTokens(doc.pageContent);
+    if (tokens + size > tokenBudget) continue;
+    selected.set(key(doc), { doc, rank, hit: false });
+    tokens += size;
+  }
+
+  // Merge runs of consecutive chunks per source into one document that
+  // carries the metadata of its best hit
+  const bySource = new Map();
+  for (const entry of selected.values()) {
+    const { source } = entry.doc.metadata;
+    if (!bySource.has(source)) bySource.set(source, []);
+    bySource.get(source).push(entry);
+  }
+
+  const merged = [];
+  for (const entries of bySource.values()) {
+    merged.push(...entries.filter((entry) => !position(entry.doc)));
+    const numbered = entries
+      .filter((entry) => position(entry.doc))
+      .sort((a, b) => position(a.doc) - position(b.doc));
+
+    let run = [];
+    const flush = () => {
+      // Section chunks not adjacent to their hit form a block of their own,
+      // ranked with that hit
+      const anchor =
+        run.filter((entry) => entry.hit).sort((a, b) => a.rank - b.rank)[0] ||
+        [...run].sort((a, b) => a.rank - b.rank)[0];
+      const chunks = run.map((entry) => position(entry.doc));
+
+      merged.push({
+        rank: anchor.rank,
+        doc: {
+          ...anchor.doc,
+          pageContent: mergeRun(run.map((entry) => entry.doc)),
+          metadata: {
+            ...anchor.doc.metadata,
+            chunk: position(anchor.doc),
+            chunkRange:
+              chunks.length > 1
+                ? `${chunks[0]}-${chunks[chunks.length - 1]}`
+                : `${chunks[0]}`,
+            chunkIds: run.map((entry) => entry.doc.metadata.chunkId),
+            expansion: mode,
+          },
+        },
+      });
+      run = [];
+    };
+
+    for (const entry of numbered) {
+      const last = run[run.length - 1];
+      if (last && position(entry.doc) !== position(last.doc) + 1) {
+        flush();
+      }
+      run.push(entry);
+    }
+    if (run.length > 0) flush();
+  }
+
+  console.log(
+    `Expanded ${documents.length} hits to ${selected.size} chunks in ${merged.length} context blocks (~${tokens} tokens, ${mode})`
+  );
+
+  return merged.sort((a, b) => a.rank - b.rank).map((entry) => entry.doc);
+}
+
+export {
+  CONTEXT_EXPANSION_MODES,
+  DEFAULT_TOKEN_BUDGET,
+  createSourceChunkFetcher,
+  expandContext,
+};
@@ -0,0 +1,376 @@
+// Conversation store: the history of every chat session, kept in memory, in a
+// JSON file per session or in SQLite (selected with CONVERSATION_STORE), so
+// sessions survive restarts. Sessions expire after CONVERSATION_TTL_HOURS of
+// inactivity, and old turns are condensed into a running summary instead of
+// being dropped.
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { StringOutputParser } from "@langchain/core/output_parsers";
+import { REPO_ROOT } from "./paths.js";
+
+const CONVERSATION_STORE_TYPES = ["memory", "file", "sqlite"];
+// Default locations (kept out of git, see .gitignore), override with
+// CONVERSATION_DIR and CONVERSATION_DB
+const CONVERSATION_DIR = path.join(REPO_ROOT, ".conversations");
+const CONVERSATION_DB = path.join(REPO_ROOT, ".conversations.sqlite");
+const DEFAULT_TTL_HOURS = 24;
+// Expired sessions are purged at most this often
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+// Messages kept word for word; beyond MAX_MESSAGES the oldest are summarised
+// until KEEP_MESSAGES remain
+const MAX_MESSAGES = 10;
+const KEEP_MESSAGES = 6;
+
+const emptyConversation = () => ({ summary: "", messages: [] });
+
+/**
+ * Base of the stores: expiry of sessions not updated within the TTL.
+ * Conversations are { summary, messages: [{role, content}], updatedAt }.
+ */
+class ConversationStore {
+  /**
+   * @param {{ttlHours?: number}} [options] - Hours of inactivity before a
+   *   session expires, 0 to keep sessions forever
+   */
+  constructor({
+    ttlHours = Number(process.env.CONVERSATION_TTL_HOURS ?? DEFAULT_TTL_HOURS),
+  } = {}) {
+    this.ttlMs = ttlHours * 60 * 60 * 1000;
+    this.lastPurge = 0;
+  }
+
+  isExpired(conversation) {
+    return this.ttlMs > 0 && Date.now() - conversation.updatedAt > this.ttlMs;
+  }
+
+  /**
+   * Conversation of a session, empty if it is new or expired.
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<{summary: string, messages: Array<{role: string, content: string}>}>}
+   */
+  async get(sessionId) {
+    const conversation = await this.read(sessionId);
+    if (!conversation) return emptyConversation();
+    if (this.isExpired(conversation)) {
+      await this.delete(sessionId);
+      return emptyConversation();
+    }
+    return conversation;
+  }
+
+  /**
+   * Save the conversation of a session, purging expired sessions now and then.
+   * @param {string} sessionId - Session ID
+   * @param {{summary: string, messages: Array<{role: string, content: string}>}} conversation
+   */
+  async set(sessionId, { summary, messages }) {
+    await this.write(sessionId, { summary, messages, updatedAt: Date.now() });
+
+    if (this.ttlMs > 0 && Date.now() - this.lastPurge > PURGE_INTERVAL_MS) {
+      this.lastPurge = Date.now();
+      const purged = await this.purgeExpired();
+      if (purged > 0) console.log(`Purged ${purged} expired conversations`);
+    }
+  }
+}
+
+/**
+ * Conversations in a Map, lost on restart.
+ */
+class MemoryConversationStore extends ConversationStore {
+  constructor(options) {
+    super(options);
+    this.conversations = new Map();
+  }
+
+  async read(sessionId) {
+    return this.conversations.get(sessionId) || null;
+  }
+
+  async write(sessionId, conversation) {
+    this.conversations.set(sessionId, conversation);
+  }
+
+  async delete(sessionId) {
+    this.conversations.delete(sessionId);
+  }
+
+  async purgeExpired() {
+    let purged = 0;
+    for (const [sessionId, conversation] of this.conversations) {
+      if (this.isExpired(conversation)) {
+        this.conversations.delete(sessionId);
+        purged++;
+      }
+    }
+    return purged;
+  }
+}
+
+/**
+ * One JSON file per session, named after a hash of the session ID since the
+ * ID comes from the client.
+ */
+class FileConversationStore extends ConversationStore {
+  constructor({
+    dir = process.env.CONVERSATION_DIR || CONVERSATION_DIR,
+    ...options
+  } = {}) {
+    super(options);
+    this.dir = dir;
+  }
+
+  filePath(sessionId) {
+    const name = crypto.createHash("sha256").update(sessionId).digest("hex");
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  async read(sessionId) {
+    try {
+      return JSON.parse(
+        await fs.promises.readFile(this.filePath(sessionId), "utf8")
+      );
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  // Write to a temp file first so an interrupted write never corrupts a session
+  async write(sessionId, conversation) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const filePath = this.filePath(sessionId);
+    await fs.promises.writeFile(
+      `${filePath}.tmp`,
+      JSON.stringify({ sessionId, ...conversation })
+    );
+    await fs.promises.rename(`${filePath}.tmp`, filePath);
+  }
+
+  async delete(sessionId) {
+    await fs.promises.rm(this.filePath(sessionId), { force: true });
+  }
+
+  async purgeExpired() {
+    if (!fs.existsSync(this.dir)) return 0;
+
+    let purged = 0;
+    for (const file of await fs.promises.readdir(this.dir)) {
+      if (!file.endsWith(".json")) continue;
+      const filePath = path.join(this.dir, file);
+      try {
+        const conversation = JSON.parse(
+          await fs.promises.readFile(filePath, "utf8")
+        );
+        if (!this.isExpired(conversation)) continue;
+      } catch (error) {
+        console.warn(
+          `Removing unreadable conversation ${file}: ${error.message}`
+        );
+      }
+      await fs.promises.rm(filePath, { force: true });
+      purged++;
+    }
+    return purged;
+  }
+}
+
+/**
+ * Conversations in a SQLite database (better-sqlite3, an optional
+ * dependency), one row per session.
+ */
+class SqliteConversationStore extends ConversationStore {
+  constructor(
+    Database,
+    {
+      filename = process.env.CONVERSATION_DB || CONVERSATION_DB,
+      ...options
+    } = {}
+  ) {
+    super(options);
+    this.db = new Database(filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`CREATE TABLE IF NOT EXISTS conversations (
+      session_id TEXT PRIMARY KEY,
+      summary TEXT NOT NULL,
+      messages TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    )`);
+  }
+
+  async read(sessionId) {
+    const row = this.db
+      .prepare(
+        "SELECT summary, messages, updated_at FROM conversations WHERE session_id = ?"
+      )
+      .get(sessionId);
+    return row
+      ? {
+          summary: row.summary,
+          messages: JSON.parse(row.messages),
+          updatedAt: row.updated_at,
+        }
+      : null;
+  }
+
+  async write(sessionId, { summary, messages, updatedAt }) {
+    this.db
+      .prepare(
+        `INSERT INTO conversations (session_id, summary, messages, updated_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT (session_id) DO UPDATE SET
+           summary = excluded.summary,
+           messages = excluded.messages,
+           updated_at = excluded.updated_at`
+      )
+      .run(sessionId, summary, JSON.stringify(messages), updatedAt);
+  }
+
+  async delete(sessionId) {
+    this.db
+      .prepare("DELETE FROM conversations WHERE session_id = ?")
+      .run(sessionId);
+  }
+
+  async purgeExpired() {
+    if (this.ttlMs <= 0) return 0;
+    return this.db
+      .prepare("DELETE FROM conversations WHERE updated_at < ?")
+      .run(Date.now() - this.ttlMs).changes;
+  }
+}
+
+/**
+ * Create the conversation store configured with CONVERSATION_STORE ("file"
+ * by default, "memory" or "sqlite").
+ * @param {{type?: string, ttlHours?: number}} [options]
+ * @returns {Promise<ConversationStore>} Conversation store
+ */
+async function createConversationStore({
+  type = process.env.CONVERSATION_STORE || "file",
+  ...options
+} = {}) {
+  switch (type) {
+    case "memory":
+      return new MemoryConversationStore(options);
+    case "file":
+      return new FileConversationStore(options);
+    case "sqlite": {
+      let Database;
+      try {
+        ({ default: Database } = await import("better-sqlite3"));
+      } catch (error) {
+        throw new Error(
+          `CONVERSATION_STORE=sqlite needs better-sqlite3 (npm install better-sqlite3): ${error.message}`
+        );
+      }
+      return new SqliteConversationStore(Database, options);
+    }
+    default:
+      throw new Error(
+        `Unknown conversation store "${type}", use ${CONVERSATION_STORE_TYPES.join(", ")}`
+      );
+  }
+}
+
+/**
+ * Create a summariser that folds old messages into the running summary of a
+ * conversation.
+ * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} chatModel - Chat model
+ * @returns {(summary: string, messages: Array<{role: string, content: string}>, options?: {signal?: AbortSignal}) => Promise<string>}
+ *   New summary
+ */
+function createHistorySummarizer(chatModel) {
+  const prompt = ChatPromptTemplate.fromMessages([
+    [
+      "system",
+      `You keep a running summary of a conversation between an employee and the company wiki assistant.
+Update the summary with the new messages. Keep what later questions may refer to: topics, names, offices, dates, numbers and the answers given.
+Write at most 6 sentences in the language of the conversation. Answer with the summary only.`,
+    ],
+    ["human", "Summary so far:\n{summary}\n\nNew messages:\n{messages}"],
+  ]);
+  const chain = prompt.pipe(chatModel).pipe(new StringOutputParser());
+
+  return async (summary, messages, { signal } = {}) =>
+    (
+      await chain.invoke(
+        {
+          summary: summary || "(none)",
+          messages: messages
+            .map(
+              (message) =>
+                `${message.role === "human" ? "User" : "Assistant"}: ${message.content}`
+            )
+            .join("\n\n"),
+        },
+        { signal }
+      )
+    ).trim();
+}
+
+/**
+ * Append messages to a session. When the session holds more than
+ * maxMessages, the oldest are folded into the summary until keepMessages
+ * remain; without a summariser (or if it fails) they are dropped. A
+ * cancelled request (signal) saves nothing.
+ * @param {ConversationStore} store - Conversation store
+ * @param {string} sessionId - Session ID
+ * @param {Array<{role: string, content: string}>} messages - New messages
+ * @param {Object} [options]
+ * @param {Function} [options.summarize] - Summariser from createHistorySummarizer
+ * @param {number} [options.maxMessages] - Messages kept before summarising
+ * @param {number} [options.keepMessages] - Messages kept after summarising
+ * @param {AbortSignal} [options.signal] - Cancels the summariser
+ * @returns {Promise<{summary: string, messages: Array}>} Updated conversation
+ */
+async function appendToConversation(
+  store,
+  sessionId,
+  messages,
+  {
+    summarize,
+    maxMessages = MAX_MESSAGES,
+    keepMessages = KEEP_MESSAGES,
+    signal,
+  } = {}
+) {
+  signal?.throwIfAborted();
+  const conversation = await store.get(sessionId);
+  let summary = conversation.summary;
+  let history = [...conversation.messages, ...messages];
+
+  if (history.length > maxMessages) {
+    const folded = history.slice(0, history.length - keepMessages);
+    history = history.slice(-keepMessages);
+    if (summarize) {
+      try {
+        summary = await summarize(summary, folded, { signal });
+        console.log(
+          `Summarised ${folded.length} older messages of ${sessionId}`
+        );
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn(
+          `Summarising history failed, dropping ${folded.length} messages: ${error.message}`
+        );
+      }
+    }
+  }
+
+  const updated = { summary, messages: history };
+  await store.set(sessionId, updated);
+  return updated;
+}
+
+export {
+  CONVERSATION_STORE_TYPES,
+  MemoryConversationStore,
+  FileConversationStore,
+  SqliteConversationStore,
+  createConversationStore,
+  createHistorySummarizer,
+  appendToConversation,
+};
@@ -0,0 +1,404 @@
+// Pluggable document loaders for wiki exports (markdown, PDF, DOCX, HTML, CSV, XLSX)
+// Every loader turns a file into one or more Documents with markdown-like text,
+// so headings, lists and tables survive into the markdown splitter.
+import fs from "fs";
+import path from "path";
+import * as cheerio from "cheerio";
+import ExcelJS from "exceljs";
+import mammoth from "mammoth";
+import { Document } from "@langchain/core/documents";
+import { PDFLoader } from "@langchain/community/document_loaders/fs/pdf";
+
+// Registered loaders, looked up by file extension or MIME type
+const loadersByExtension = new Map();
+const loadersByMimeType = new Map();
+
+// MIME types for the extensions Google Drive exports use
+const MIME_TYPES = {
+  ".md": "text/markdown",
+  ".markdown": "text/markdown",
+  ".txt": "text/plain",
+  ".pdf": "application/pdf",
+  ".docx":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".html": "text/html",
+  ".htm": "text/html",
+  ".csv": "text/csv",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+/**
+ * Register a loader for its extensions and MIME types.
+ * A later registration for the same extension replaces the earlier one.
+ * @param {{name: string, extensions: string[], mimeTypes?: string[], load: (filePath: string) => Promise<Document[]>}} loader
+ */
+function registerLoader(loader) {
+  for (const extension of loader.extensions) {
+    loadersByExtension.set(extension.toLowerCase(), loader);
+  }
+  for (const mimeType of loader.mimeTypes || []) {
+    loadersByMimeType.set(mimeType, loader);
+  }
+}
+
+/**
+ * Find the loader for a file, by MIME type if given, else by extension.
+ * @param {string} filePath - Path of the file to load
+ * @param {string} [mimeType] - MIME type, e.g. from a Drive API listing
+ * @returns {Object|undefined} The matching loader
+ */
+function getLoader(filePath, mimeType) {
+  const extension = path.extname(filePath).toLowerCase();
+  return (
+    (mimeType && loadersByMimeType.get(mimeType)) ||
+    loadersByExtension.get(extension) ||
+    loadersByMimeType.get(MIME_TYPES[extension])
+  );
+}
+
+// Markdown table from rows of cells, first row is the header
+const rowsToMarkdownTable = (rows) => {
+  const width = Math.max(...rows.map((row) => row.length));
+  const formatRow = (row) =>
+    `| ${Array.from({ length: width }, (_, i) =>
+      String(row[i] ?? "")
+        .replace(/\|/g, "\\|")
+        .replace(/\s*\n\s*/g, " ")
+        .trim()
+    ).join(" | ")} |`;
+
+  return [
+    formatRow(rows[0]),
+    `|${" --- |".repeat(width)}`,
+    ...rows.slice(1).map(formatRow),
+  ].join("\n");
+};
+
+// Convert an HTML fragment to markdown-like text, keeping its structure
+function htmlToMarkdown($, root) {
+  const blocks = [];
+
+  const inlineText = (element) => $(element).text().replace(/\s+/g, " ").trim();
+
+  const walk = (element) => {
+    $(element)
+      .children()
+      .each((_, child) => {
+        const tag = child.tagName?.toLowerCase();
+
+        if (/^h[1-6]$/.test(tag)) {
+          const text = inlineText(child);
+          if (text) blocks.push(`${"#".repeat(Number(tag[1]))} ${text}`);
+        } else if (tag === "p" || tag === "blockquote") {
+          const text = inlineText(child);
+          if (text) blocks.push(text);
+        } else if (tag === "ul" || tag === "ol") {
+          const items = $(child)
+            .children("li")
+            .map((i, item) => {
+              const marker = tag === "ol" ? `${i + 1}.` : "-";
+              return `${marker} ${inlineText(item)}`;
+            })
+            .get();
+          if (items.length > 0) blocks.push(items.join("\n"));
+        } else if (tag === "table") {
+          const rows = $(child)
+            .find("tr")
+            .map((_, row) => [
+              $(row)
+                .children("th, td")
+                .map((__, cell) => inlineText(cell))
+                .get(),
+            ])
+            .get()
+            .filter((row) => row.some((cell) => cell));
+          if (rows.length > 0) blocks.push(rowsToMarkdownTable(rows));
+        } else if (tag === "pre") {
+          blocks.push(`\`\`\`\n${$(child).text().trimEnd()}\n\`\`\``);
+        } else if (
+          ["script", "style", "noscript", "nav", "svg"].includes(tag)
+        ) {
+          // Not content
+        } else if ($(child).children().length > 0) {
+          walk(child);
+        } else {
+          const text = inlineText(child);
+          if (text) blocks.push(text);
+        }
+      });
+  };
+
+  walk(root);
+  return blocks.join("\n\n");
+}
+
+// Parse CSV text into rows, handling quoted fields with commas and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+// Built-in loaders
+
+registerLoader({
+  name: "text",
+  extensions: [".md", ".markdown", ".txt"],
+  mimeTypes: ["text/markdown", "text/plain"],
+  load: async (filePath) => [
+    new Document({
+      pageContent: fs.readFileSync(filePath, "utf8").replace(/^\uFEFF/, ""),
+      metadata: {},
+    }),
+  ],
+});
+
+registerLoader({
+  name: "pdf",
+  extensions: [".pdf"],
+  mimeTypes: ["application/pdf"],
+  load: async (filePath) => {
+    // One document per page so chunks keep their page number
+    const pages = await new PDFLoader(filePath, { splitPages: true }).load();
+
+    return pages
+      .filter((page) => page.pageContent.trim())
+      .map(
+        (page) =>
+          new Document({
+            pageContent: page.pageContent,
+            metadata: {
+              title: page.metadata.pdf?.info?.Title || undefined,
+              page: page.metadata.loc.pageNumber,
+              totalPages: page.metadata.pdf?.totalPages,
+            },
+          })
+      );
+  },
+});
+
+registerLoader({
+  name: "docx",
+  extensions: [".docx"],
+  mimeTypes: [MIME_TYPES[".docx"]],
+  load: async (filePath) => {
+    // Go through HTML so Word headings, lists and tables keep their structure
+    const { value: html } = await mammoth.convertToHtml({ path: filePath });
+    const $ = cheerio.load(html);
+
+    return [
+      new Document({
+        pageContent: htmlToMarkdown($, $.root()),
+        metadata: { title: $("h1").first().text().trim() || undefined },
+      }),
+    ];
+  },
+});
+
+registerLoader({
+  name: "html",
+  extensions: [".html", ".htm"],
+  mimeTypes: ["text/html"],
+  load: async (filePath) => {
+    const $ = cheerio.load(fs.readFileSync(filePath, "utf8"));
+    const root = $("main").length ? $("main").first() : $("body");
+
+    return [
+      new Document({
+        pageContent: htmlToMarkdown($, root),
+        metadata: {
+          title:
+            $("title").first().text().trim() ||
+            $("h1").first().text().trim() ||
+            undefined,
+        },
+      }),
+    ];
+  },
+});
+
+registerLoader({
+  name: "csv",
+  extensions: [".csv"],
+  mimeTypes: ["text/csv"],
+  load: async (filePath) => {
+    const rows = parseCsv(
+      fs.readFileSync(filePath, "utf8").replace(/^\uFEFF/, "")
+    );
+    if (rows.length === 0) return [];
+
+    return [
+      new Document({
+        pageContent: rowsToMarkdownTable(rows),
+        metadata: { sheet: path.basename(filePath, path.extname(filePath)) },
+      }),
+    ];
+  },
+});
+
+registerLoader({
+  name: "xlsx",
+  extensions: [".xlsx"],
+  mimeTypes: [MIME_TYPES[".xlsx"]],
+  load: async (filePath) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+
+    // One document per sheet, each rendered as a table under the sheet name
+    return workbook.worksheets
+      .map((worksheet) => {
+        const rows = [];
+        worksheet.eachRow((row) => {
+          const cells = Array.from(
+            { length: worksheet.columnCount },
+            (_, i) => row.getCell(i + 1).text
+          );
+          if (cells.some((cell) => cell.trim())) rows.push(cells);
+        });
+
+        return rows.length === 0
+          ? null
+          : new Document({
+              pageContent: `# ${worksheet.name}\n\n${rowsToMarkdownTable(rows)}`,
+              metadata: {
+                title: workbook.title || undefined,
+                sheet: worksheet.name,
+              },
+            });
+      })
+      .filter(Boolean);
+  },
+});
+
+/**
+ * Recursively list all files below a directory, skipping hidden entries.
+ * @param {string} dir - Directory to walk
+ * @returns {string[]} Absolute file paths, sorted
+ */
+function listFilesRecursive(dir) {
+  const files = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith(".")) continue;
+
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFilesRecursive(entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Load every supported file below a directory.
+ * Loader metadata with undefined values is dropped, since Pinecone rejects nulls.
+ * @param {string} dir - Directory to load
+ * @returns {Promise<{files: Array<{source: string, loader: string, documents: Document[]}>, summary: {loaded: Object, unsupported: string[], failed: Array<{source: string, error: string}>}}>}
+ *   `source` is the path relative to `dir`, using forward slashes
+ */
+async function loadDirectory(dir) {
+  const files = [];
+  const summary = { loaded: {}, unsupported: [], failed: [] };
+
+  for (const filePath of listFilesRecursive(dir)) {
+    const source = path.relative(dir, filePath).split(path.sep).join("/");
+    const loader = getLoader(filePath);
+
+    if (!loader) {
+      summary.unsupported.push(source);
+      continue;
+    }
+
+    try {
+      const documents = (await loader.load(filePath)).map(
+        (doc) =>
+          new Document({
+            pageContent: doc.pageContent,
+            metadata: Object.fromEntries(
+              Object.entries(doc.metadata).filter(
+                ([, value]) => value !== undefined && value !== null
+              )
+            ),
+          })
+      );
+
+      files.push({ source, loader: loader.name, documents });
+      summary.loaded[loader.name] = (summary.loaded[loader.name] || 0) + 1;
+    } catch (error) {
+      summary.failed.push({ source, error: error.message });
+    }
+  }
+
+  return { files, summary };
+}
+
+/**
+ * Print a loading summary, including files that were skipped or failed.
+ * @param {Object} summary - Summary returned by loadDirectory
+ */
+function logLoadSummary(summary) {
+  console.log("\n=== LOADING SUMMARY ===");
+  for (const [name, count] of Object.entries(summary.loaded)) {
+    console.log(`Loaded with ${name}: ${count} file(s)`);
+  }
+
+  if (summary.unsupported.length > 0) {
+    console.log(`Unsupported (skipped): ${summary.unsupported.length} file(s)`);
+    summary.unsupported.forEach((source) => console.log(`  - ${source}`));
+  }
+
+  if (summary.failed.length > 0) {
+    console.log(`Failed: ${summary.failed.length} file(s)`);
+    summary.failed.forEach(({ source, error }) =>
+      console.log(`  - ${source}: ${error}`)
+    );
+  }
+}
+
+export {
+  htmlToMarkdown,
+  registerLoader,
+  getLoader,
+  loadDirectory,
+  listFilesRecursive,
+  logLoadSummary,
+};
@@ -0,0 +1,123 @@
+// On-disk embedding cache keyed by model name (and Azure deployment) and
+// content hash, so re-running ingestion (or an evaluation) never pays twice
+// for the same text
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Embeddings } from "@langchain/core/embeddings";
+import { REPO_ROOT } from "./paths.js";
+
+// Default cache location (kept out of git, see .gitignore), override with
+// EMBEDDING_CACHE_DIR
+const EMBEDDING_CACHE_DIR = path.join(REPO_ROOT, ".embedding-cache");
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value, "utf8").digest("hex");
+
+/**
+ * Embeddings wrapper that reads vectors from the cache and only sends cache
+ * misses to the wrapped model. Vectors are stored one file per text under
+ * `<cacheDir>/<model>/<hash prefix>/<hash>.json`.
+ */
+class CachedEmbeddings extends Embeddings {
+  constructor(embeddings, { model, cacheDir }) {
+    super({});
+    this.embeddings = embeddings;
+    this.model = model;
+    this.cacheDir = path.join(cacheDir, model.replace(/[^\w.-]/g, "_"));
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  cachePath(text) {
+    // The model is part of the key too, so a renamed directory never mixes
+    // vectors of different models
+    const hash = sha256(`${this.model}\n${text}`);
+    return path.join(this.cacheDir, hash.substring(0, 2), `${hash}.json`);
+  }
+
+  read(text) {
+    const file = this.cachePath(text);
+    if (!fs.existsSync(file)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      // A corrupt entry is just a miss
+      return null;
+    }
+  }
+
+  write(text, vector) {
+    const file = this.cachePath(text);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    // Write to a temp file first so an interrupted run never leaves half a vector
+    const tmpPath = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(vector));
+    fs.renameSync(tmpPath, file);
+  }
+
+  async embedDocuments(texts) {
+    const vectors = texts.map((text) => this.read(text));
+    const missing = [
+      ...new Set(texts.filter((text, i) => vectors[i] === null)),
+    ];
+
+    this.stats.hits += texts.length - missing.length;
+    this.stats.misses += missing.length;
+
+    if (missing.length > 0) {
+      const embedded = await this.embeddings.embedDocuments(missing);
+      const byText = new Map(missing.map((text, i) => [text, embedded[i]]));
+      byText.forEach((vector, text) => this.write(text, vector));
+
+      texts.forEach((text, i) => {
+        vectors[i] = vectors[i] || byText.get(text);
+      });
+    }
+
+    return vectors;
+  }
+
+  async embedQuery(text) {
+    const cached = this.read(text);
+    if (cached) {
+      this.stats.hits++;
+      return cached;
+    }
+
+    this.stats.misses++;
+    const vector = await this.embeddings.embedQuery(text);
+    this.write(text, vector);
+    return vector;
+  }
+}
+
+/**
+ * Wrap an embeddings model with the on-disk cache.
+ * @param {import("@langchain/core/embeddings").Embeddings} embeddings - Model to wrap
+ * @param {Object} [options] - Cache options
+ * @param {string} [options.model] - Model name used in the cache key
+ * @param {string} [options.deployment] - Azure deployment, also part of the
+ *   key: the model name alone does not tell two deployments apart
+ * @param {string} [options.cacheDir] - Cache directory
+ * @returns {CachedEmbeddings} Embeddings with `stats.hits` and `stats.misses`
+ */
+function createCachedEmbeddings(
+  embeddings,
+  {
+    model = embeddings.model || embeddings.modelName,
+    deployment = embeddings.azureOpenAIApiDeploymentName,
+    cacheDir = process.env.EMBEDDING_CACHE_DIR || EMBEDDING_CACHE_DIR,
+  } = {}
+) {
+  if (!model) {
+    throw new Error("The embedding cache needs a model name for its keys");
+  }
+  return new CachedEmbeddings(embeddings, {
+    model: deployment ? `${model}@${deployment}` : model,
+    cacheDir,
+  });
+}
+
+export { EMBEDDING_CACHE_DIR, CachedEmbeddings, createCachedEmbeddings };
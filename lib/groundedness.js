@@ -0,0 +1,253 @@
+// Groundedness verification: the answer is split into claims (its sentences)
+// and the chat model checks each one against the context blocks it cites, so
+// invented dates and amounts are flagged or removed before the user sees them
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { StringOutputParser } from "@langchain/core/output_parsers";
+import { CITATION_MARKER } from "./citations.js";
+
+const GROUNDEDNESS_LABELS = ["supported", "unsupported", "contradicted"];
+// What happens to an answer with failed claims: "annotate" marks them,
+// "revise" has the model rewrite the answer, "off" skips verification
+const GROUNDEDNESS_MODES = ["annotate", "revise", "off"];
+// Characters of each context block shown to the verifier
+const EVIDENCE_LENGTH = 2000;
+// Shorter sentences ("Hope this helps!") are not checked
+const MIN_CLAIM_WORDS = 3;
+
+// Notes added after failed claims, in the language of the answer
+const CLAIM_NOTES = {
+  unsupported: {
+    en: "(not confirmed by the wiki)",
+    pl: "(niepotwierdzone w wiki)",
+  },
+  contradicted: { en: "(contradicted by the wiki)", pl: "(niezgodne z wiki)" },
+};
+
+/**
+ * Split an answer into claims, one per sentence or list item, with the
+ * context blocks each one cites. Questions and headings are not claims.
+ * @param {string} answer - Answer with [n] citation markers
+ * @returns {Array<{sentence: string, claim: string, citations: number[]}>}
+ */
+function splitClaims(answer) {
+  return answer
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean)
+    .map((sentence) => ({
+      sentence,
+      claim: sentence
+        .replace(CITATION_MARKER, "")
+        .replace(/^(?:[-*•]|\d+[.)])\s+/, "")
+        .replace(/\s+([.!?,;:])/g, "$1")
+        .trim(),
+      citations: [
+        ...new Set(
+          [...sentence.matchAll(CITATION_MARKER)].flatMap((match) =>
+            match[1].split(",").map(Number)
+          )
+        ),
+      ],
+    }))
+    .filter(
+      ({ claim }) =>
+        claim.split(/\s+/).length >= MIN_CLAIM_WORDS && !/[?:]$/.test(claim)
+    );
+}
+
+// Words of a text, lowercased and without diacritics. Unlike the keyword
+// index, "not" and other stopwords are kept: they change what a claim says.
+const words = (text) =>
+  text
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .replace(/ł/g, "l")
+    .replace(/Ł/g, "L")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+
+// Mark a failed claim before its final punctuation
+const annotateClaim = (answer, { sentence, label }, language) => {
+  const note = CLAIM_NOTES[label][language] || CLAIM_NOTES[label].en;
+  return answer.replace(sentence, () =>
+    sentence.replace(/([.!?]?)$/, ` ${note}$1`)
+  );
+};
+
+/**
+ * Create a verifier that labels every claim of an answer as supported,
+ * unsupported or contradicted by the context, then annotates or revises the
+ * answer when claims fail. Claims are checked against the blocks they cite,
+ * uncited claims against all blocks. A claim that quotes one sentence of a
+ * block it cites word for word is supported without asking the model, so an
+ * answer quoting its context costs no extra LLM call.
+ * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} chatModel - Chat model
+ * @returns {(answer: string, documents: Array, options?: {mode?: string, language?: string, signal?: AbortSignal}) =>
+ *   Promise<{answer: string, score: number|null, claims: Array<{claim: string, citations: number[], label: string}>, revised: boolean}|null>}
+ *   Verified answer and the share of supported claims, or null if the
+ *   verification failed (a cancelled one throws)
+ */
+function createGroundednessVerifier(chatModel) {
+  const verifyPrompt = ChatPromptTemplate.fromMessages([
+    [
+      "system",
+      `You check whether claims from an answer are backed by context blocks from a company wiki.
+Label every claim using only the blocks listed for it:
+supported - the blocks state it (rewording, summarising and simple arithmetic are fine)
+unsupported - the blocks do not say it, e.g. a date, amount or rule that appears nowhere
+contradicted - the blocks say something different, e.g. another date or amount
+Saying that the wiki does not cover something counts as supported.
+Answer with a JSON array of {count} labels, one per claim in order, e.g. ["supported", "contradicted"].`,
+    ],
+    ["human", "Context blocks:\n\n{evidence}\n\nClaims:\n{claims}"],
+  ]);
+  const verifyChain = verifyPrompt
+    .pipe(chatModel)
+    .pipe(new StringOutputParser());
+
+  const revisePrompt = ChatPromptTemplate.fromMessages([
+    [
+      "system",
+      `You correct answers of a company wiki assistant.
+Rewrite the answer so that it only states what the context blocks say: remove the unsupported claims and correct the contradicted ones using the blocks.
+Keep everything else as it is, including the [n] citation markers, the formatting and the language of the answer.
+Answer with the corrected answer only.`,
+    ],
+    [
+      "human",
+      "Context blocks:\n\n{evidence}\n\nAnswer:\n{answer}\n\nFailed claims:\n{failed}",
+    ],
+  ]);
+  const reviseChain = revisePrompt
+    .pipe(chatModel)
+    .pipe(new StringOutputParser());
+
+  return async (
+    answer,
+    documents,
+    { mode = "annotate", language = "en", signal } = {}
+  ) => {
+    const claims = splitClaims(answer);
+    if (claims.length === 0) {
+      return { answer, score: null, claims: [], revised: false };
+    }
+
+    const block = (number) =>
+      `[${number}] ${documents[number - 1].pageContent.substring(0, EVIDENCE_LENGTH)}`;
+    const allBlocks = documents.map((doc, i) => i + 1);
+    const blocksOf = (claim) => {
+      const cited = claim.citations.filter(
+        (number) => number >= 1 && number <= documents.length
+      );
+      return cited.length > 0 ? cited : allBlocks;
+    };
+    const evidence = allBlocks.map(block).join("\n\n");
+    // Only a contiguous quote counts: words gathered from different places
+    // ("20 days" of contractors for employees) are checked by the model
+    const quoted = (claim) => {
+      const quote = ` ${words(claim.claim).join(" ")} `;
+      return claim.citations
+        .filter((number) => number >= 1 && number <= documents.length)
+        .some((number) =>
+          documents[number - 1].pageContent
+            .split(/(?<=[.!?])\s+|\n+/)
+            .some((sentence) =>
+              ` ${words(sentence).join(" ")} `.includes(quote)
+            )
+        );
+    };
+    const unchecked = claims.filter((claim) => !quoted(claim));
+
+    let labels = [];
+    if (unchecked.length > 0) {
+      try {
+        const response = await verifyChain.invoke(
+          {
+            count: unchecked.length,
+            evidence,
+            claims: unchecked
+              .map(
+                (claim, i) =>
+                  `${i + 1}. (blocks ${blocksOf(claim).join(", ")}) ${claim.claim}`
+              )
+              .join("\n"),
+          },
+          { signal }
+        );
+        labels = JSON.parse(response.match(/\[[\s\S]*\]/)?.[0] || "");
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn(`Groundedness verification failed: ${error.message}`);
+        return null;
+      }
+      if (
+        !Array.isArray(labels) ||
+        labels.length !== unchecked.length ||
+        !labels.every((label) => GROUNDEDNESS_LABELS.includes(label))
+      ) {
+        console.warn("Could not parse the groundedness labels");
+        return null;
+      }
+    }
+
+    const labelled = claims.map((claim) => ({
+      ...claim,
+      label: unchecked.includes(claim)
+        ? labels[unchecked.indexOf(claim)]
+        : "supported",
+    }));
+    const failed = labelled.filter((claim) => claim.label !== "supported");
+    const result = {
+      answer,
+      score: (labelled.length - failed.length) / labelled.length,
+      claims: labelled.map(({ claim, citations, label }) => ({
+        claim,
+        citations,
+        label,
+      })),
+      revised: false,
+    };
+    if (failed.length === 0) return result;
+
+    console.log(
+      `${failed.length} of ${labelled.length} claims not grounded in the context (${mode})`
+    );
+    if (mode === "revise") {
+      try {
+        const revised = (
+          await reviseChain.invoke(
+            {
+              evidence,
+              answer,
+              failed: failed
+                .map((claim) => `- ${claim.label}: ${claim.claim}`)
+                .join("\n"),
+            },
+            { signal }
+          )
+        ).trim();
+        if (revised) return { ...result, answer: revised, revised: true };
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn(
+          `Revising the answer failed, annotating: ${error.message}`
+        );
+      }
+    }
+
+    return {
+      ...result,
+      answer: failed.reduce(
+        (annotated, claim) => annotateClaim(annotated, claim, language),
+        answer
+      ),
+    };
+  };
+}
+
+export {
+  GROUNDEDNESS_LABELS,
+  GROUNDEDNESS_MODES,
+  splitClaims,
+  createGroundednessVerifier,
+};
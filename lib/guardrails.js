@@ -0,0 +1,428 @@
+// Guardrails around the answer prompt: prompt-injection patterns in questions
+// and retrieved chunks, questions outside the scope of the company wiki and
+// system prompt text leaking into answers. Every decision carries a reason
+// code and is logged.
+import fs from "fs";
+import path from "path";
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { StringOutputParser } from "@langchain/core/output_parsers";
+import { REPO_ROOT } from "./paths.js";
+
+// Default policy location, override with GUARDRAILS_CONFIG_PATH
+const GUARDRAILS_CONFIG_PATH = path.join(REPO_ROOT, "guardrails.json");
+
+const GUARDRAIL_REASONS = {
+  CLEAN: "CLEAN",
+  INJECTION_PATTERN: "INJECTION_PATTERN",
+  ON_TOPIC: "ON_TOPIC",
+  OFF_TOPIC: "OFF_TOPIC",
+  PROMPT_LEAK: "PROMPT_LEAK",
+  CHECK_FAILED: "CHECK_FAILED",
+};
+
+// Allowed actions per guardrail, the first one is the default
+const GUARDRAIL_ACTIONS = {
+  question: ["block", "flag", "off"],
+  context: ["neutralise", "quarantine", "flag", "off"],
+  topic: ["refuse", "flag", "off"],
+  output: ["withhold", "flag", "off"],
+};
+
+// Known injection phrasings in English and Polish, extended with the
+// policy's injectionPatterns. They only match instructions aimed at the
+// assistant's own prompt, so questions about company rules ("Can I ignore the
+// previous guidelines?", "What are your rules for booking a room?") and wiki
+// pages ("this policy overrides all previous rules") pass.
+const INJECTION_PATTERNS = {
+  "ignore-instructions":
+    /\b(?:ignore|disregard|forget|override)\s+(?:(?:all|any|of|the|these|your|my|previous|prior|above|earlier|preceding|system)\s+){0,4}(?:instructions|prompts?)\b|\b(?:ignore|disregard|forget|override)\s+(?:(?:all|any|of)\s+)?your\s+(?:(?:previous|prior|earlier|system)\s+)?(?:rules|guidelines|directions)\b/i,
+  "new-role":
+    /\b(?:from now on,? you(?: are|'re| will)|you are now|you are no longer|pretend (?:to be|you are))\b/i,
+  "reveal-prompt":
+    /\b(?:reveal|show|print|repeat|output|tell me|what (?:is|are))\b[^.\n]{0,30}(?:\b(?:system|initial|hidden) prompt\b|\byour (?:system )?prompt\b|\byour (?:instructions|rules)(?=\s*(?:[?.!]|$)))/im,
+  "role-markup":
+    /<\|?(?:im_start|im_end|system)\|?>|\[\/?INST\]|^\s*#{2,}\s*(?:system|instructions?)\s*:?\s*$/im,
+  jailbreak: /\b(?:jailbreak|DAN mode|developer mode)\b/i,
+  "ignore-instructions-pl":
+    /(?:zignoruj|ignoruj|pomiń|zapomnij)(?:\s+(?:o|wszystkie|wszystkich|poprzednie|poprzednich|wcześniejsze|wcześniejszych|powyższe|powyższych|swoje|swoich|twoje|twoich|systemowe|systemowych)){0,4}\s+(?:instrukcj|polece|prompt)/i,
+  "reveal-prompt-pl":
+    /(?:ujawnij|pokaż|wypisz|powtórz)[^.\n]{0,30}(?:prompt|(?:swoje|swoich|twoje|twoich|systemowe|systemowych)\s+instrukcj|instrukcj\p{L}*\s+systemow)/iu,
+};
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  // Per guardrail, see GUARDRAIL_ACTIONS
+  actions: {
+    question: "block",
+    context: "neutralise",
+    topic: "refuse",
+    output: "withhold",
+  },
+  // What the assistant is for; anything else is refused
+  scope:
+    "the company Amsterdam Standard and its internal documentation: policies, benefits, time off, offices, tools, processes, projects, people, onboarding and the company blog",
+  // Extra injection regexes (case-insensitive)
+  injectionPatterns: [],
+  refusals: {
+    injection: {
+      en: "I can't help with that request.",
+      pl: "Nie mogę pomóc w tej sprawie.",
+    },
+    offTopic: {
+      en: "I can only answer questions about Amsterdam Standard and its wiki.",
+      pl: "Odpowiadam tylko na pytania o Amsterdam Standard i firmową wiki.",
+    },
+    promptLeak: {
+      en: "I can't share that.",
+      pl: "Nie mogę tego udostępnić.",
+    },
+  },
+  // Words in a row an answer may share with the system prompt
+  leakNgram: 8,
+};
+
+/**
+ * Load the guardrail policy, merged over the defaults.
+ * A missing policy file means defaults.
+ * @param {string} [configPath] - Path to the guardrails JSON file
+ * @returns {Object} Guardrail policy with compiled injection patterns
+ */
+function loadGuardrailPolicy(
+  configPath = process.env.GUARDRAILS_CONFIG_PATH || GUARDRAILS_CONFIG_PATH
+) {
+  const stored = fs.existsSync(configPath)
+    ? JSON.parse(fs.readFileSync(configPath, "utf8"))
+    : {};
+
+  const policy = {
+    ...DEFAULT_POLICY,
+    ...stored,
+    actions: { ...DEFAULT_POLICY.actions, ...stored.actions },
+    refusals: { ...DEFAULT_POLICY.refusals, ...stored.refusals },
+  };
+
+  for (const [guardrail, action] of Object.entries(policy.actions)) {
+    if (!GUARDRAIL_ACTIONS[guardrail]?.includes(action)) {
+      throw new Error(
+        `Invalid guardrail action "${action}" for ${guardrail}, use ${(GUARDRAIL_ACTIONS[guardrail] || []).join(", ")}`
+      );
+    }
+  }
+  if (!policy.enabled) {
+    for (const guardrail of Object.keys(policy.actions)) {
+      policy.actions[guardrail] = "off";
+    }
+  }
+
+  return {
+    ...policy,
+    patterns: {
+      ...INJECTION_PATTERNS,
+      ...Object.fromEntries(
+        policy.injectionPatterns.map((pattern, i) => [
+          `custom-${i + 1}`,
+          new RegExp(pattern, "i"),
+        ])
+      ),
+    },
+  };
+}
+
+/**
+ * Log a guardrail decision and return it.
+ * @param {{guardrail: string, action: string, reason: string, detail?: string}} decision
+ * @returns {Object} The decision
+ */
+function logDecision(decision) {
+  const detail = decision.detail ? `: ${decision.detail}` : "";
+  console.log(
+    `Guardrail ${decision.guardrail}: ${decision.action} (${decision.reason}${detail})`
+  );
+  return decision;
+}
+
+/**
+ * Names of the injection patterns a text matches.
+ * @param {string} text - Question or chunk text
+ * @param {Object<string, RegExp>} patterns - Patterns of the policy
+ * @returns {string[]} Matched pattern names
+ */
+const detectInjection = (text, patterns) =>
+  Object.entries(patterns)
+    .filter(([, pattern]) => pattern.test(text))
+    .map(([name]) => name);
+
+/**
+ * Check a question for injection patterns.
+ * @param {string} question - User question
+ * @param {Object} policy - Policy from loadGuardrailPolicy
+ * @returns {{guardrail: string, action: string, reason: string, detail?: string}} Decision,
+ *   action "block" when the question must not be answered
+ */
+function screenQuestion(question, policy) {
+  const action = policy.actions.question;
+  const matched =
+    action === "off" ? [] : detectInjection(question, policy.patterns);
+
+  return logDecision(
+    matched.length > 0
+      ? {
+          guardrail: "question",
+          action,
+          reason: GUARDRAIL_REASONS.INJECTION_PATTERN,
+          detail: matched.join(", "),
+        }
+      : {
+          guardrail: "question",
+          action: "allow",
+          reason: GUARDRAIL_REASONS.CLEAN,
+        }
+  );
+}
+
+// Replace every injected instruction with a marker, keeping the rest of the
+// chunk usable
+const neutralise = (text, patterns) =>
+  Object.values(patterns).reduce(
+    (neutralised, pattern) =>
+      neutralised.replace(
+        new RegExp(
+          `[^.\\n]*(?:${pattern.source})[^.\\n]*`,
+          `g${pattern.flags.replace("g", "")}`
+        ),
+        (instruction) => `${instruction.match(/^\s*/)[0]}[instruction removed]`
+      ),
+    text
+  );
+
+/**
+ * Check the context blocks for injection patterns and neutralise (cut out
+ * the instruction) or quarantine (drop the block) the flagged ones.
+ * @param {Array} documents - Context blocks
+ * @param {Object} policy - Policy from loadGuardrailPolicy
+ * @returns {{documents: Array, decisions: Array}} Blocks to use and one
+ *   decision per flagged block
+ */
+function screenContext(documents, policy) {
+  const action = policy.actions.context;
+  if (action === "off") return { documents, decisions: [] };
+
+  const decisions = [];
+  const screened = [];
+  for (const doc of documents) {
+    const matched = detectInjection(doc.pageContent, policy.patterns);
+    if (matched.length === 0) {
+      screened.push(doc);
+      continue;
+    }
+
+    decisions.push(
+      logDecision({
+        guardrail: "context",
+        action,
+        reason: GUARDRAIL_REASONS.INJECTION_PATTERN,
+        detail: `${doc.metadata.source}${doc.metadata.chunkRange ? ` #${doc.metadata.chunkRange}` : ""} (${matched.join(", ")})`,
+      })
+    );
+    if (action === "neutralise") {
+      screened.push({
+        ...doc,
+        pageContent: neutralise(doc.pageContent, policy.patterns),
+        metadata: { ...doc.metadata, neutralised: matched },
+      });
+    } else if (action === "flag") {
+      screened.push(doc);
+    }
+  }
+
+  return { documents: screened, decisions };
+}
+
+/**
+ * Create a check of whether a question is within the policy's scope. When
+ * the check fails the question is allowed, unless it was cancelled.
+ * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} chatModel - Chat model
+ * @param {Object} policy - Policy from loadGuardrailPolicy
+ * @returns {(question: string, options?: {signal?: AbortSignal}) => Promise<{guardrail: string, action: string, reason: string, detail?: string}>}
+ *   Decision, action "refuse" when the question is out of scope
+ */
+function createTopicGuard(chatModel, policy) {
+  const prompt = ChatPromptTemplate.fromMessages([
+    [
+      "system",
+      `You decide whether a question is for a company wiki assistant. The assistant answers questions about {scope}.
+Greetings, thanks and questions about what the assistant can do are in scope too.
+General knowledge, coding help, creative writing, personal advice and other companies are out of scope.
+Answer with JSON only: {{"inScope": true or false, "topic": "<a few words>"}}`,
+    ],
+    ["human", "{question}"],
+  ]);
+  const chain = prompt.pipe(chatModel).pipe(new StringOutputParser());
+
+  return async (question, { signal } = {}) => {
+    const action = policy.actions.topic;
+    if (action === "off") {
+      return {
+        guardrail: "topic",
+        action: "allow",
+        reason: GUARDRAIL_REASONS.CLEAN,
+      };
+    }
+
+    let verdict;
+    try {
+      const answer = await chain.invoke(
+        { question, scope: policy.scope },
+        { signal }
+      );
+      verdict = JSON.parse(answer.match(/\{[\s\S]*\}/)?.[0] || "");
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      return logDecision({
+        guardrail: "topic",
+        action: "allow",
+        reason: GUARDRAIL_REASONS.CHECK_FAILED,
+        detail: error.message,
+      });
+    }
+
+    return logDecision(
+      verdict.inScope === false
+        ? {
+            guardrail: "topic",
+            action,
+            reason: GUARDRAIL_REASONS.OFF_TOPIC,
+            detail: verdict.topic,
+          }
+        : {
+            guardrail: "topic",
+            action: "allow",
+            reason: GUARDRAIL_REASONS.ON_TOPIC,
+            detail: verdict.topic,
+          }
+    );
+  };
+}
+
+const WORD = /[\p{L}\p{N}]+/gu;
+const words = (text) => text.toLowerCase().match(WORD) || [];
+
+// Runs of n words, as joined strings
+const ngrams = (tokens, n) =>
+  tokens
+    .slice(0, Math.max(0, tokens.length - n + 1))
+    .map((_, i) => tokens.slice(i, i + n).join(" "));
+
+// Runs of n words of the prompt's own instructions (placeholders excluded)
+const instructionNgrams = (systemTemplate, n) =>
+  new Set(ngrams(words(systemTemplate.replace(/\{[^{}]*\}/g, "\n")), n));
+
+/**
+ * Check an answer for text of the system prompt: any run of leakNgram words
+ * it shares with the prompt's own instructions (placeholders excluded).
+ * @param {string} answer - Generated answer
+ * @param {string} systemTemplate - System prompt template
+ * @param {Object} policy - Policy from loadGuardrailPolicy
+ * @returns {{guardrail: string, action: string, reason: string, detail?: string}} Decision,
+ *   action "withhold" when the answer must not be shown
+ */
+function screenOutput(answer, systemTemplate, policy) {
+  const action = policy.actions.output;
+  if (action === "off") {
+    return {
+      guardrail: "output",
+      action: "allow",
+      reason: GUARDRAIL_REASONS.CLEAN,
+    };
+  }
+
+  const instructions = instructionNgrams(systemTemplate, policy.leakNgram);
+  const leaked = ngrams(words(answer), policy.leakNgram).find((ngram) =>
+    instructions.has(ngram)
+  );
+
+  return logDecision(
+    leaked
+      ? {
+          guardrail: "output",
+          action,
+          reason: GUARDRAIL_REASONS.PROMPT_LEAK,
+          detail: `"${leaked}"`,
+        }
+      : {
+          guardrail: "output",
+          action: "allow",
+          reason: GUARDRAIL_REASONS.CLEAN,
+        }
+  );
+}
+
+/**
+ * Create a screen for an answer streamed as it is written. push() takes the
+ * next delta and returns the text that may be shown now: when leaks are
+ * withheld, the last leakNgram - 1 words are held back, since a leak may
+ * start among them, and nothing more is shown once the text leaks. The
+ * complete answer is still checked with screenOutput.
+ * @param {string} systemTemplate - System prompt template
+ * @param {Object} policy - Policy from loadGuardrailPolicy
+ * @returns {{push: (delta: string) => string, shown: () => string}} Screen,
+ *   shown() is all text returned by push so far
+ */
+function createStreamScreen(systemTemplate, policy) {
+  const withhold = policy.actions.output === "withhold";
+  const n = policy.leakNgram;
+  const instructions = withhold ? instructionNgrams(systemTemplate, n) : null;
+  let text = "";
+  let shownLength = 0;
+  let leaked = false;
+
+  return {
+    push: (delta) => {
+      text += delta;
+      if (!withhold) {
+        shownLength = text.length;
+        return delta;
+      }
+      if (leaked) return "";
+
+      const matches = [...text.matchAll(WORD)];
+      const tokens = matches.map((match) => match[0].toLowerCase());
+      if (ngrams(tokens, n).some((ngram) => instructions.has(ngram))) {
+        leaked = true;
+        return "";
+      }
+      const held = matches.length - (n - 1);
+      let safeLength = text.length;
+      if (held <= 0) safeLength = 0;
+      else if (held < matches.length) safeLength = matches[held].index;
+      if (safeLength <= shownLength) return "";
+      const safe = text.slice(shownLength, safeLength);
+      shownLength = safeLength;
+      return safe;
+    },
+    shown: () => text.slice(0, shownLength),
+  };
+}
+
+/**
+ * Refusal of the policy in a language, English if it has none.
+ * @param {Object} policy - Policy from loadGuardrailPolicy
+ * @param {string} kind - "injection", "offTopic" or "promptLeak"
+ * @param {string} language - Language code
+ * @returns {string} Refusal
+ */
+const refusal = (policy, kind, language) =>
+  policy.refusals[kind]?.[language] || policy.refusals[kind]?.en;
+
+export {
+  GUARDRAIL_REASONS,
+  GUARDRAIL_ACTIONS,
+  loadGuardrailPolicy,
+  detectInjection,
+  screenQuestion,
+  screenContext,
+  createTopicGuard,
+  screenOutput,
+  createStreamScreen,
+  refusal,
+};
@@ -0,0 +1,447 @@
+// Local manifest of what has been indexed, used for incremental re-indexing
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { removeSourceFromKeywordIndex } from "./keyword-index.js";
+import { withRetry, createLimiter } from "./retry.js";
+import { REPO_ROOT } from "./paths.js";
+
+// Default manifest location (kept out of git, see .gitignore)
+const MANIFEST_PATH = path.join(REPO_ROOT, ".wiki-index-manifest.json");
+const MANIFEST_VERSION = 1;
+// Pinecone accepts at most 1000 IDs per delete request
+const DELETE_BATCH_SIZE = 1000;
+// Chunks embedded by an unfinished sync, so an interrupted run can resume
+const CHECKPOINT_PATH = path.join(REPO_ROOT, ".wiki-index-checkpoint.json");
+
+/**
+ * Hash a string with SHA-256.
+ * @param {string} value - Value to hash
+ * @returns {string} Hex digest
+ */
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value, "utf8").digest("hex");
+
+/**
+ * ID prefix shared by all chunks of a source, so they can be listed by prefix.
+ * @param {string} source - Source document identifier (e.g. filename)
+ * @returns {string} ID prefix
+ */
+const sourceIdPrefix = (source) => `${sha256(source).substring(0, 16)}-`;
+
+/**
+ * Create a deterministic vector ID for a chunk.
+ * The same source and chunk content always produce the same ID, so re-running
+ * ingestion overwrites vectors instead of piling up duplicates.
+ * @param {string} source - Source document identifier (e.g. filename)
+ * @param {string} content - Chunk text
+ * @returns {string} Chunk ID
+ */
+const createChunkId = (source, content) =>
+  `${sourceIdPrefix(source)}${sha256(`${source}\n${content}`)}`;
+
+// Metadata set anew on every run, a change in it alone is no reason to
+// re-upsert a chunk
+const VOLATILE_METADATA = new Set(["createdAt"]);
+
+/**
+ * Hash the metadata of a chunk, so chunks whose text is unchanged but whose
+ * position, categories or locations changed are upserted again.
+ * @param {Object} metadata - Chunk metadata
+ * @returns {string} Hex digest
+ */
+const metadataHash = (metadata) =>
+  sha256(
+    JSON.stringify(
+      Object.keys(metadata)
+        .filter((key) => !VOLATILE_METADATA.has(key))
+        .sort()
+        .map((key) => [key, metadata[key]])
+    )
+  );
+
+// Read and write JSON files keyed by `indexName/namespace`, written through a
+// temp file so an interrupted run never corrupts them
+const readKeyed = (filePath) =>
+  fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath, "utf8"))
+    : { indexes: {} };
+
+const writeKeyed = (filePath, stored) => {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(stored, null, 2));
+  fs.renameSync(tmpPath, filePath);
+};
+
+/**
+ * Load the manifest for an index/namespace pair.
+ * Returns an empty manifest if the file does not exist yet.
+ * @param {string} indexName - Pinecone index name
+ * @param {string} namespace - Namespace within the index
+ * @param {string} [manifestPath] - Path to the manifest file
+ * @returns {{version: number, indexName: string, namespace: string, updatedAt: string|null, documents: Object}}
+ */
+function loadManifest(indexName, namespace, manifestPath = MANIFEST_PATH) {
+  const empty = {
+    version: MANIFEST_VERSION,
+    indexName,
+    namespace,
+    updatedAt: null,
+    documents: {},
+  };
+
+  if (!fs.existsSync(manifestPath)) {
+    return empty;
+  }
+
+  const stored = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  const entry = stored.indexes?.[`${indexName}/${namespace}`];
+
+  if (!entry || entry.version !== MANIFEST_VERSION) {
+    return empty;
+  }
+
+  return { ...empty, ...entry };
+}
+
+/**
+ * Persist the manifest for an index/namespace pair, keeping entries for
+ * other indexes and namespaces untouched.
+ * @param {Object} manifest - Manifest returned by loadManifest
+ * @param {string} [manifestPath] - Path to the manifest file
+ */
+function saveManifest(manifest, manifestPath = MANIFEST_PATH) {
+  const stored = readKeyed(manifestPath);
+
+  stored.indexes = stored.indexes || {};
+  stored.indexes[`${manifest.indexName}/${manifest.namespace}`] = {
+    ...manifest,
+    updatedAt: new Date().toISOString(),
+  };
+
+  writeKeyed(manifestPath, stored);
+}
+
+/**
+ * Load the IDs of chunks already stored by an interrupted sync.
+ * @param {string} indexName - Pinecone index name
+ * @param {string} namespace - Namespace within the index
+ * @param {string} [checkpointPath] - Path to the checkpoint file
+ * @returns {Set<string>} Chunk IDs stored since the last completed sync
+ */
+function loadCheckpoint(
+  indexName,
+  namespace,
+  checkpointPath = CHECKPOINT_PATH
+) {
+  const entry =
+    readKeyed(checkpointPath).indexes?.[`${indexName}/${namespace}`];
+  return new Set(entry?.embeddedIds || []);
+}
+
+/**
+ * Record the chunk IDs stored so far, or clear the checkpoint once the sync
+ * has completed.
+ * @param {string} indexName - Pinecone index name
+ * @param {string} namespace - Namespace within the index
+ * @param {Set<string>|null} embeddedIds - Stored chunk IDs, null to clear
+ * @param {string} [checkpointPath] - Path to the checkpoint file
+ */
+function saveCheckpoint(
+  indexName,
+  namespace,
+  embeddedIds,
+  checkpointPath = CHECKPOINT_PATH
+) {
+  const stored = readKeyed(checkpointPath);
+  stored.indexes = stored.indexes || {};
+
+  const key = `${indexName}/${namespace}`;
+  if (embeddedIds) {
+    stored.indexes[key] = {
+      embeddedIds: [...embeddedIds],
+      updatedAt: new Date().toISOString(),
+    };
+  } else {
+    delete stored.indexes[key];
+  }
+
+  if (Object.keys(stored.indexes).length === 0) {
+    if (fs.existsSync(checkpointPath)) fs.unlinkSync(checkpointPath);
+  } else {
+    writeKeyed(checkpointPath, stored);
+  }
+}
+
+/**
+ * Compare freshly chunked documents against the manifest. Chunks are new
+ * when their ID (source and text) is, and upserted again when only their
+ * metadata changed, e.g. their position after a section was inserted.
+ * @param {Object} manifest - Manifest returned by loadManifest
+ * @param {import("@langchain/core/documents").Document[]} documents - Chunks with metadata.source and metadata.chunkId
+ * @param {{full?: boolean, prune?: boolean, keepSources?: string[]}} [options] - Set full to re-embed
+ *   unchanged chunks too; set prune to false to keep documents missing from this run,
+ *   or list the missing sources to keep in keepSources (e.g. files that failed to load)
+ * @returns {{toEmbed: Array, toDelete: string[], documents: Object, stats: Object}}
+ */
+function diffAgainstManifest(
+  manifest,
+  documents,
+  { full = false, prune = true, keepSources = [] } = {}
+) {
+  // Group current chunks by source document
+  const bySource = new Map();
+  for (const doc of documents) {
+    const { source } = doc.metadata;
+    if (!bySource.has(source)) bySource.set(source, []);
+    bySource.get(source).push(doc);
+  }
+
+  const toEmbed = [];
+  const toDelete = [];
+  const nextDocuments = {};
+  const stats = { added: 0, changed: 0, unchanged: 0, removed: 0 };
+
+  for (const [source, chunks] of bySource) {
+    const previousIds = new Set(manifest.documents[source]?.chunkIds || []);
+    const previousHashes = manifest.documents[source]?.metadataHashes || {};
+    const currentIds = new Set(chunks.map((doc) => doc.metadata.chunkId));
+
+    // Identical chunks within one document share an ID, so embed them once
+    const uniqueChunks = [
+      ...new Map(chunks.map((doc) => [doc.metadata.chunkId, doc])).values(),
+    ];
+    const metadataHashes = Object.fromEntries(
+      uniqueChunks.map((doc) => [
+        doc.metadata.chunkId,
+        metadataHash(doc.metadata),
+      ])
+    );
+    // Manifests written before metadata hashes existed re-upsert every chunk
+    // once
+    const newChunks = uniqueChunks.filter(
+      (doc) =>
+        !previousIds.has(doc.metadata.chunkId) ||
+        previousHashes[doc.metadata.chunkId] !==
+          metadataHashes[doc.metadata.chunkId]
+    );
+    const staleIds = [...previousIds].filter((id) => !currentIds.has(id));
+    const isChanged = newChunks.length > 0 || staleIds.length > 0;
+
+    toEmbed.push(...(full ? uniqueChunks : newChunks));
+    toDelete.push(...staleIds);
+
+    if (previousIds.size === 0) {
+      stats.added++;
+    } else if (isChanged) {
+      stats.changed++;
+    } else {
+      stats.unchanged++;
+    }
+
+    nextDocuments[source] = {
+      contentHash: sha256([...currentIds].sort().join("\n")),
+      chunkIds: [...currentIds],
+      metadataHashes,
+      indexedAt:
+        full || isChanged
+          ? new Date().toISOString()
+          : manifest.documents[source].indexedAt,
+    };
+  }
+
+  // Documents that disappeared from the wiki lose all their vectors
+  const kept = new Set(keepSources);
+  for (const [source, entry] of Object.entries(manifest.documents)) {
+    if (bySource.has(source)) continue;
+
+    if (prune && !kept.has(source)) {
+      toDelete.push(...entry.chunkIds);
+      stats.removed++;
+    } else {
+      nextDocuments[source] = entry;
+    }
+  }
+
+  return { toEmbed, toDelete, documents: nextDocuments, stats };
+}
+
+/**
+ * Bring a vector store namespace in line with the given chunks: embed new or
+ * changed chunks, delete vectors of removed chunks and update the manifest.
+ * @param {import("@langchain/core/vectorstores").VectorStore} vectorStore - Store bound to the namespace
+ * @param {import("@langchain/core/documents").Document[]} documents - All current chunks, with metadata.chunkId
+ * Batches are retried with backoff on rate limits and run `concurrency` at a
+ * time. Every stored batch is checkpointed, so a rerun after an interruption
+ * skips the chunks that were already stored.
+ * @param {{indexName: string, namespace: string, full?: boolean, prune?: boolean, keepSources?: string[], batchSize?: number, concurrency?: number, retry?: Object}} options
+ *   `retry` takes the options of withRetry, `keepSources` lists sources kept
+ *   although they are missing from this run
+ * @returns {Promise<Object>} Diff statistics
+ */
+async function syncWithManifest(
+  vectorStore,
+  documents,
+  {
+    indexName,
+    namespace,
+    full = false,
+    prune = true,
+    keepSources = [],
+    batchSize = 100,
+    concurrency = 2,
+    retry = {},
+  }
+) {
+  // Work out what changed since the last run
+  const manifest = loadManifest(indexName, namespace);
+  const {
+    toEmbed,
+    toDelete,
+    documents: indexedDocuments,
+    stats,
+  } = diffAgainstManifest(manifest, documents, { full, prune, keepSources });
+  console.log(
+    `Index mode: ${full ? "full" : "sync"} | documents added: ${stats.added}, changed: ${stats.changed}, unchanged: ${stats.unchanged}, removed: ${stats.removed}`
+  );
+
+  // Resume an interrupted run: chunk IDs are content hashes, so a chunk
+  // stored by that run is identical to the one we would store now
+  const embeddedIds = loadCheckpoint(indexName, namespace);
+  const pending = toEmbed.filter(
+    (doc) => !embeddedIds.has(doc.metadata.chunkId)
+  );
+  if (pending.length < toEmbed.length) {
+    console.log(
+      `Resuming interrupted sync: ${toEmbed.length - pending.length} chunks were already stored`
+    );
+  }
+  console.log(
+    `Chunks to embed: ${pending.length}, stale vectors to delete: ${toDelete.length}`
+  );
+
+  // Store documents in batches to avoid rate limits
+  const batches = [];
+  for (let i = 0; i < pending.length; i += batchSize) {
+    batches.push(pending.slice(i, i + batchSize));
+  }
+
+  // After a batch fails for good, queued batches are not started; the
+  // checkpoint lets the next run pick up from there
+  const limit = createLimiter(concurrency);
+  let failed = false;
+  await Promise.all(
+    batches.map((batch, i) =>
+      limit(async () => {
+        if (failed) return;
+        const label = `Batch ${i + 1}/${batches.length}`;
+
+        // Deterministic IDs make re-embedding an unchanged chunk an overwrite
+        await withRetry(
+          () =>
+            vectorStore.addDocuments(batch, {
+              ids: batch.map((doc) => doc.metadata.chunkId),
+            }),
+          { ...retry, label }
+        ).catch((error) => {
+          failed = true;
+          throw error;
+        });
+
+        batch.forEach((doc) => embeddedIds.add(doc.metadata.chunkId));
+        saveCheckpoint(indexName, namespace, embeddedIds);
+        console.log(
+          `${label}: added ${batch.length} documents to ${namespace}`
+        );
+      })
+    )
+  );
+
+  // Remove vectors of deleted documents and of chunks that no longer exist
+  for (let i = 0; i < toDelete.length; i += DELETE_BATCH_SIZE) {
+    const ids = toDelete.slice(i, i + DELETE_BATCH_SIZE);
+    await withRetry(() => vectorStore.delete({ ids }), {
+      ...retry,
+      label: "Delete",
+    });
+  }
+  if (toDelete.length > 0) {
+    console.log(`Deleted ${toDelete.length} stale vectors from ${namespace}`);
+  }
+
+  saveManifest({ ...manifest, documents: indexedDocuments });
+  saveCheckpoint(indexName, namespace, null);
+  return stats;
+}
+
+/**
+ * Delete every vector of one source document and drop it from the manifest
+ * and the keyword index. IDs come from the manifest and from the store itself
+ * (on Pinecone by listing the source's ID prefix, elsewhere by a source
+ * filter), so chunks indexed without a manifest entry are found as well.
+ * @param {import("@langchain/core/vectorstores").VectorStore} vectorStore - Store bound to the namespace
+ * @param {string} source - Source document identifier
+ * @param {{indexName: string, namespace: string, dryRun?: boolean}} options
+ * @returns {Promise<number>} Number of vectors deleted (or that would be deleted)
+ */
+async function purgeSource(
+  vectorStore,
+  source,
+  { indexName, namespace, dryRun = false }
+) {
+  const manifest = loadManifest(indexName, namespace);
+  const ids = new Set(manifest.documents[source]?.chunkIds || []);
+
+  if (vectorStore.pineconeIndex) {
+    const namespaced = vectorStore.pineconeIndex.namespace(namespace);
+    let paginationToken;
+    do {
+      const page = await namespaced.listPaginated({
+        prefix: sourceIdPrefix(source),
+        paginationToken,
+      });
+      (page.vectors || []).forEach((vector) => ids.add(vector.id));
+      paginationToken = page.pagination?.next;
+    } while (paginationToken);
+  } else if (vectorStore.listIds) {
+    const stored = await vectorStore.listIds({ source: { $eq: source } });
+    stored.forEach((id) => ids.add(id));
+  }
+
+  if (dryRun) {
+    return ids.size;
+  }
+
+  // Also when the vectors are already gone, so hybrid search stops finding
+  // the source by keyword
+  const removed = removeSourceFromKeywordIndex(source, {
+    indexName,
+    namespace,
+  });
+  if (removed > 0) {
+    console.log(
+      `Removed ${removed} chunks of ${source} from the keyword index`
+    );
+  }
+
+  if (ids.size > 0) {
+    await vectorStore.delete({ ids: [...ids] });
+    delete manifest.documents[source];
+    saveManifest(manifest);
+  }
+
+  return ids.size;
+}
+
+export {
+  MANIFEST_PATH,
+  CHECKPOINT_PATH,
+  createChunkId,
+  loadManifest,
+  saveManifest,
+  loadCheckpoint,
+  saveCheckpoint,
+  diffAgainstManifest,
+  syncWithManifest,
+  purgeSource,
+};
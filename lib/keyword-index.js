@@ -0,0 +1,291 @@
+// Local BM25 keyword index over the same chunks that are embedded, so exact
+// terms (tool names, street names, acronyms) are found even when the vector
+// search misses them
+import fs from "fs";
+import path from "path";
+import { REPO_ROOT } from "./paths.js";
+
+// Default index location (kept out of git, see .gitignore), one file per
+// index/namespace, override with KEYWORD_INDEX_DIR
+const KEYWORD_INDEX_DIR = path.join(REPO_ROOT, ".keyword-index");
+const KEYWORD_INDEX_VERSION = 1;
+
+// BM25 parameters: term frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be by can do does for from has have how i if in is it " +
+    "its my of on or our the their there this to was we what when where which " +
+    "who why will with you your"
+  ).split(" ")
+);
+
+/**
+ * Split text into lowercase terms. Diacritics are folded so "Wroclaw" finds
+ * "Wrocław", and stopwords are dropped.
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms
+ */
+const tokenize = (text) =>
+  (
+    text
+      .normalize("NFKD")
+      .replace(/\p{M}/gu, "")
+      .replace(/ł/g, "l")
+      .replace(/Ł/g, "L")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []
+  ).filter((term) => !STOPWORDS.has(term));
+
+const indexPath = (indexName, namespace, dir = KEYWORD_INDEX_DIR) =>
+  path.join(dir, indexName, `${namespace}.json`);
+
+/**
+ * Build a BM25 index over chunks.
+ * @param {import("@langchain/core/documents").Document[]} documents - Chunks with metadata.chunkId
+ * @returns {Object} Serializable keyword index
+ */
+function buildKeywordIndex(documents) {
+  // Identical chunks share an ID and are indexed once
+  const unique = [
+    ...new Map(documents.map((doc) => [doc.metadata.chunkId, doc])).values(),
+  ];
+
+  const docs = unique.map((doc) => {
+    const termFreqs = new Map();
+    const terms = tokenize(doc.pageContent);
+    for (const term of terms) {
+      termFreqs.set(term, (termFreqs.get(term) || 0) + 1);
+    }
+
+    return {
+      id: doc.metadata.chunkId,
+      pageContent: doc.pageContent,
+      metadata: doc.metadata,
+      length: terms.length,
+      termFreqs: Object.fromEntries(termFreqs),
+    };
+  });
+
+  const docFreqs = new Map();
+  for (const doc of docs) {
+    for (const term of Object.keys(doc.termFreqs)) {
+      docFreqs.set(term, (docFreqs.get(term) || 0) + 1);
+    }
+  }
+
+  return {
+    version: KEYWORD_INDEX_VERSION,
+    avgLength:
+      docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1),
+    docFreqs: Object.fromEntries(docFreqs),
+    docs,
+  };
+}
+
+/**
+ * Load the keyword index of an index/namespace pair.
+ * @param {string} indexName - Pinecone index name
+ * @param {string} namespace - Namespace within the index
+ * @param {string} [dir] - Keyword index directory
+ * @returns {Object|null} Keyword index, or null if none was built yet
+ */
+function loadKeywordIndex(
+  indexName,
+  namespace,
+  dir = process.env.KEYWORD_INDEX_DIR || KEYWORD_INDEX_DIR
+) {
+  const file = indexPath(indexName, namespace, dir);
+  if (!fs.existsSync(file)) return null;
+
+  const index = JSON.parse(fs.readFileSync(file, "utf8"));
+  return index.version === KEYWORD_INDEX_VERSION ? index : null;
+}
+
+/**
+ * Rebuild and save the keyword index of an index/namespace pair from the
+ * current chunks. With prune off, chunks of sources missing from this run
+ * are kept, matching what stays in the vector store; keepSources keeps only
+ * the listed ones (e.g. files that failed to load).
+ * @param {import("@langchain/core/documents").Document[]} documents - All current chunks
+ * @param {{indexName: string, namespace: string, prune?: boolean, keepSources?: string[], dir?: string}} options
+ * @returns {Object} The saved keyword index
+ */
+function saveKeywordIndex(
+  documents,
+  {
+    indexName,
+    namespace,
+    prune = true,
+    keepSources = [],
+    dir = process.env.KEYWORD_INDEX_DIR || KEYWORD_INDEX_DIR,
+  }
+) {
+  let chunks = documents;
+
+  if (!prune || keepSources.length > 0) {
+    const sources = new Set(documents.map((doc) => doc.metadata.source));
+    const keep = new Set(keepSources);
+    const kept = (loadKeywordIndex(indexName, namespace, dir)?.docs || [])
+      .filter(
+        (doc) =>
+          !sources.has(doc.metadata.source) &&
+          (!prune || keep.has(doc.metadata.source))
+      )
+      .map(({ pageContent, metadata }) => ({ pageContent, metadata }));
+    chunks = [...documents, ...kept];
+  }
+
+  const index = buildKeywordIndex(chunks);
+  writeKeywordIndex(index, indexName, namespace, dir);
+
+  console.log(
+    `Keyword index for ${namespace} saved with ${index.docs.length} chunks`
+  );
+  return index;
+}
+
+// Write to a temp file first so an interrupted run never corrupts the index
+const writeKeywordIndex = (index, indexName, namespace, dir) => {
+  const file = indexPath(indexName, namespace, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpPath = `${file}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(index));
+  fs.renameSync(tmpPath, file);
+};
+
+/**
+ * Remove every chunk of one source document from the keyword index of an
+ * index/namespace pair, rebuilding the BM25 statistics without it.
+ * @param {string} source - Source document identifier
+ * @param {{indexName: string, namespace: string, dryRun?: boolean, dir?: string}} options
+ * @returns {number} Number of chunks removed (or that would be removed)
+ */
+function removeSourceFromKeywordIndex(
+  source,
+  {
+    indexName,
+    namespace,
+    dryRun = false,
+    dir = process.env.KEYWORD_INDEX_DIR || KEYWORD_INDEX_DIR,
+  }
+) {
+  const index = loadKeywordIndex(indexName, namespace, dir);
+  const kept = (index?.docs || []).filter(
+    (doc) => doc.metadata.source !== source
+  );
+  const removed = (index?.docs.length || 0) - kept.length;
+
+  if (!dryRun && removed > 0) {
+    writeKeywordIndex(buildKeywordIndex(kept), indexName, namespace, dir);
+  }
+  return removed;
+}
+
+// Pinecone-style metadata filter: equality, $eq/$ne/$in/$nin/$gt/$gte/$lt/$lte,
+// $and/$or. Array fields match if any element matches.
+const matchesCondition = (value, condition) => {
+  if (condition === null || typeof condition !== "object") {
+    return Array.isArray(value)
+      ? value.includes(condition)
+      : value === condition;
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    const values = Array.isArray(value) ? value : [value];
+    switch (operator) {
+      case "$eq":
+        return values.includes(operand);
+      case "$ne":
+        return !values.includes(operand);
+      case "$in":
+        return values.some((item) => operand.includes(item));
+      case "$nin":
+        return !values.some((item) => operand.includes(item));
+      case "$gt":
+        return values.some((item) => item > operand);
+      case "$gte":
+        return values.some((item) => item >= operand);
+      case "$lt":
+        return values.some((item) => item < operand);
+      case "$lte":
+        return values.some((item) => item <= operand);
+      default:
+        throw new Error(`Unsupported filter operator ${operator}`);
+    }
+  });
+};
+
+/**
+ * Check chunk metadata against a Pinecone-style metadata filter.
+ * @param {Object} metadata - Chunk metadata
+ * @param {Object} [filter] - Metadata filter
+ * @returns {boolean} True if the metadata matches
+ */
+function matchesFilter(metadata, filter) {
+  if (!filter) return true;
+
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === "$and") {
+      return condition.every((part) => matchesFilter(metadata, part));
+    }
+    if (key === "$or") {
+      return condition.some((part) => matchesFilter(metadata, part));
+    }
+    return matchesCondition(metadata[key], condition);
+  });
+}
+
+/**
+ * Search the keyword index with BM25.
+ * @param {Object} index - Keyword index from loadKeywordIndex
+ * @param {string} query - Search query
+ * @param {number} [k] - Number of results
+ * @param {Object} [filter] - Metadata filter
+ * @returns {Array<[{pageContent: string, metadata: Object}, number]>} Chunks with BM25 scores, best first
+ */
+function searchKeywordIndex(index, query, k = 12, filter) {
+  const terms = [...new Set(tokenize(query))];
+  const total = index.docs.length;
+  const results = [];
+
+  for (const doc of index.docs) {
+    if (!matchesFilter(doc.metadata, filter)) continue;
+
+    let score = 0;
+    for (const term of terms) {
+      // Terms like "constructor" must not hit Object.prototype
+      if (!Object.hasOwn(doc.termFreqs, term)) continue;
+      const freq = doc.termFreqs[term];
+
+      const docFreq = index.docFreqs[term];
+      const idf = Math.log(1 + (total - docFreq + 0.5) / (docFreq + 0.5));
+      score +=
+        (idf * freq * (BM25_K1 + 1)) /
+        (freq +
+          BM25_K1 * (1 - BM25_B + (BM25_B * doc.length) / index.avgLength));
+    }
+
+    if (score > 0) {
+      results.push([
+        { pageContent: doc.pageContent, metadata: doc.metadata },
+        score,
+      ]);
+    }
+  }
+
+  return results.sort((a, b) => b[1] - a[1]).slice(0, k);
+}
+
+export {
+  KEYWORD_INDEX_DIR,
+  tokenize,
+  buildKeywordIndex,
+  loadKeywordIndex,
+  saveKeywordIndex,
+  removeSourceFromKeywordIndex,
+  matchesFilter,
+  searchKeywordIndex,
+};
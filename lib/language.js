@@ -0,0 +1,87 @@
+// Cross-lingual retrieval: detect the language of a question and translate it
+// into the language of the corpus (English) for search, so questions asked in
+// Polish find the same chunks as their English counterparts
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { StringOutputParser } from "@langchain/core/output_parsers";
+
+const LANGUAGES = { en: "English", pl: "Polish" };
+// Language the wiki is written in, queries in other languages are translated
+const CORPUS_LANGUAGE = "en";
+
+// Common function words; a word counts twice as much as a word that merely
+// contains Polish letters, so place names like "Wrocław" in an English
+// question do not make it Polish
+const FUNCTION_WORDS = {
+  en: new Set(
+    (
+      "the a an is are was were do does did how what when where which who why " +
+      "can could should would i my we our you your it this that there of in " +
+      "on for to with and or about have has"
+    ).split(" ")
+  ),
+  pl: new Set(
+    (
+      "jak jaki jaka jakie gdzie kiedy czy co kto ile dlaczego czym jest są " +
+      "był była mam mamy można trzeba się nie na do w we z ze dla od po przez " +
+      "oraz lub albo ale mój moja moje nasz nasza jestem mogę proszę"
+    ).split(" ")
+  ),
+};
+const POLISH_LETTERS = /[ąćęłńóśźż]/i;
+
+/**
+ * Detect whether a text is English or Polish from its function words and
+ * letters. No model is called.
+ * @param {string} text - Text to classify
+ * @returns {string|null} Language code ("en" or "pl"), or null without any signal
+ */
+function detectLanguage(text) {
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = { en: 0, pl: 0 };
+
+  for (const word of words) {
+    if (FUNCTION_WORDS.en.has(word)) scores.en += 2;
+    if (FUNCTION_WORDS.pl.has(word)) scores.pl += 2;
+    if (POLISH_LETTERS.test(word)) scores.pl += 1;
+  }
+
+  if (scores.en === scores.pl) return null;
+  return scores.pl > scores.en ? "pl" : "en";
+}
+
+/**
+ * Create a translator of search queries into the corpus language.
+ * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} chatModel - Chat model
+ * @returns {(query: string, from: string, options?: {signal?: AbortSignal}) => Promise<string>}
+ *   Translated query, or the original one if the translation came back empty
+ */
+function createQueryTranslator(chatModel) {
+  const prompt = ChatPromptTemplate.fromMessages([
+    [
+      "system",
+      `Translate the search query from {from} into {to} for searching a company wiki.
+Keep names, places, product names and numbers exactly as written.
+Answer with the translated query only, no quotes or explanation.`,
+    ],
+    ["human", "{query}"],
+  ]);
+  const chain = prompt.pipe(chatModel).pipe(new StringOutputParser());
+
+  return async (query, from, { signal } = {}) => {
+    const translated = (
+      await chain.invoke(
+        {
+          query,
+          from: LANGUAGES[from] || from,
+          to: LANGUAGES[CORPUS_LANGUAGE],
+        },
+        { signal }
+      )
+    )
+      .trim()
+      .replace(/^["']|["']$/g, "");
+    return translated || query;
+  };
+}
+
+export { LANGUAGES, CORPUS_LANGUAGE, detectLanguage, createQueryTranslator };
@@ -0,0 +1,311 @@
+// Markdown-structure-aware text splitting
+// Chunks follow the document's sections and never cut through a list, code
+// block or table unless that block alone is larger than a chunk.
+import { RecursiveCharacterTextSplitter } from "langchain/text_splitter";
+
+// Rough token estimate, good enough for sizing chunks without a tokenizer download
+const CHARS_PER_TOKEN = 4;
+const HEADING_PATH_SEPARATOR = " > ";
+
+const FENCE_RE = /^\s*(```+|~~~+)/;
+const HEADING_RE = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const SETEXT_RE = /^\s*(=+|-+)\s*$/;
+const LIST_ITEM_RE = /^(\s*)([-*+]|\d+[.)])\s+/;
+const TABLE_ROW_RE = /^\s*\|/;
+const TABLE_SEPARATOR_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Estimate the number of tokens in a piece of text.
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+const estimateTokens = (text) => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+/**
+ * Strip inline markdown (emphasis, code, links) from heading text.
+ * @param {string} text - Raw heading text
+ * @returns {string} Plain heading text
+ */
+const cleanHeading = (text) =>
+  text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/[*_`~]/g, "")
+    .trim();
+
+/**
+ * Create a GitHub-style anchor slug for a heading.
+ * @param {string} text - Plain heading text
+ * @returns {string} Anchor slug
+ */
+const slugify = (text) =>
+  text
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}\s-]/gu, "")
+    .replace(/\s/g, "-");
+
+const isBlank = (line) => line.trim() === "";
+
+// Split markdown into headings, code blocks, tables, lists and paragraphs
+function parseBlocks(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block - everything up to the closing fence
+    const fence = line.match(FENCE_RE);
+    if (fence) {
+      const start = i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) i++;
+      i = Math.min(i + 1, lines.length);
+      blocks.push({ type: "code", lines: lines.slice(start, i) });
+      continue;
+    }
+
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      blocks.push({
+        type: "heading",
+        level: heading[1].length,
+        text: cleanHeading(heading[2]),
+      });
+      i++;
+      continue;
+    }
+
+    if (TABLE_ROW_RE.test(line)) {
+      const start = i;
+      while (i < lines.length && TABLE_ROW_RE.test(lines[i])) i++;
+      blocks.push({ type: "table", lines: lines.slice(start, i) });
+      continue;
+    }
+
+    if (LIST_ITEM_RE.test(line)) {
+      const start = i++;
+      while (i < lines.length) {
+        if (LIST_ITEM_RE.test(lines[i]) || /^\s+\S/.test(lines[i])) {
+          i++;
+        } else if (
+          isBlank(lines[i]) &&
+          i + 1 < lines.length &&
+          (LIST_ITEM_RE.test(lines[i + 1]) || /^\s+\S/.test(lines[i + 1]))
+        ) {
+          // A blank line between items keeps the list together
+          i++;
+        } else {
+          break;
+        }
+      }
+      blocks.push({ type: "list", lines: lines.slice(start, i) });
+      continue;
+    }
+
+    // Paragraph - runs until a blank line or the start of another block
+    const start = i++;
+    while (
+      i < lines.length &&
+      !isBlank(lines[i]) &&
+      !FENCE_RE.test(lines[i]) &&
+      !HEADING_RE.test(lines[i]) &&
+      !TABLE_ROW_RE.test(lines[i]) &&
+      !LIST_ITEM_RE.test(lines[i])
+    ) {
+      // Setext heading: a paragraph line underlined with === or ---
+      if (SETEXT_RE.test(lines[i]) && i === start + 1) break;
+      i++;
+    }
+
+    if (i < lines.length && i === start + 1 && SETEXT_RE.test(lines[i])) {
+      blocks.push({
+        type: "heading",
+        level: lines[i].trim().startsWith("=") ? 1 : 2,
+        text: cleanHeading(lines[start]),
+      });
+      i++;
+      continue;
+    }
+
+    blocks.push({ type: "paragraph", lines: lines.slice(start, i) });
+  }
+
+  return blocks;
+}
+
+// Group blocks into sections, each carrying its full heading path
+function buildSections(blocks) {
+  const sections = [];
+  const stack = [];
+  const anchorCounts = new Map();
+  let current = { headings: [], anchor: "", blocks: [] };
+
+  for (const block of blocks) {
+    if (block.type !== "heading") {
+      current.blocks.push(block);
+      continue;
+    }
+
+    if (current.blocks.length > 0) sections.push(current);
+
+    while (stack.length > 0 && stack[stack.length - 1].level >= block.level) {
+      stack.pop();
+    }
+    stack.push(block);
+
+    // Repeated headings get -1, -2... suffixes, like GitHub anchors
+    const slug = slugify(block.text);
+    const count = anchorCounts.get(slug) || 0;
+    anchorCounts.set(slug, count + 1);
+
+    current = {
+      headings: stack.map((heading) => heading.text),
+      anchor: count === 0 ? slug : `${slug}-${count}`,
+      blocks: [],
+    };
+  }
+
+  if (current.blocks.length > 0) sections.push(current);
+  return sections;
+}
+
+// Pack small text units into pieces no longer than maxChars
+async function packUnits(units, maxChars, fallbackSplitter) {
+  const pieces = [];
+  let current = [];
+  let currentLength = 0;
+
+  const flush = () => {
+    if (current.length > 0) pieces.push(current.join("\n"));
+    current = [];
+    currentLength = 0;
+  };
+
+  for (const unit of units) {
+    if (unit.length > maxChars) {
+      // Even a single unit is too big - fall back to recursive splitting
+      flush();
+      pieces.push(...(await fallbackSplitter.splitText(unit)));
+      continue;
+    }
+
+    if (currentLength + unit.length + 1 > maxChars) flush();
+    current.push(unit);
+    currentLength += unit.length + 1;
+  }
+
+  flush();
+  return pieces;
+}
+
+// Split a block that does not fit in one chunk along its natural boundaries
+async function splitOversizedBlock(block, maxChars, fallbackSplitter) {
+  const { type, lines } = block;
+
+  if (type === "code") {
+    // Re-open and close the fence around every piece
+    const open = lines[0];
+    const closed = lines.length > 1 && FENCE_RE.test(lines[lines.length - 1]);
+    const close = closed ? lines[lines.length - 1] : open.match(FENCE_RE)[1];
+    const body = lines.slice(1, closed ? -1 : undefined);
+    const budget = maxChars - open.length - close.length - 2;
+    const pieces = await packUnits(body, budget, fallbackSplitter);
+    return pieces.map((piece) => [open, piece, close].join("\n"));
+  }
+
+  if (type === "table") {
+    // Repeat the header row (and separator) on every piece
+    const headerLength = TABLE_SEPARATOR_RE.test(lines[1] || "") ? 2 : 1;
+    const header = lines.slice(0, headerLength).join("\n");
+    const rows = lines.slice(headerLength);
+    const pieces = await packUnits(
+      rows,
+      maxChars - header.length - 1,
+      fallbackSplitter
+    );
+    return pieces.map((piece) => `${header}\n${piece}`);
+  }
+
+  if (type === "list") {
+    // Keep every top-level item together with its nested lines
+    const baseIndent = lines[0].match(LIST_ITEM_RE)[1].length;
+    const items = [];
+    for (const line of lines) {
+      const item = line.match(LIST_ITEM_RE);
+      if (item && item[1].length <= baseIndent) {
+        items.push(line);
+      } else if (items.length > 0) {
+        items[items.length - 1] += `\n${line}`;
+      }
+    }
+    return packUnits(items, maxChars, fallbackSplitter);
+  }
+
+  return fallbackSplitter.splitText(lines.join("\n"));
+}
+
+/**
+ * Split markdown into chunks that follow its heading structure.
+ * @param {string} text - Markdown (or plain text) content
+ * @param {Object} [options] - Splitting options
+ * @param {number} [options.chunkSize=1000] - Maximum chunk size in tokens, including the heading path
+ * @returns {Promise<Array<{content: string, text: string, headingPath: string, headings: string[], anchor: string}>>}
+ *   `content` is the text to embed (heading path + section text), `text` is the section text alone
+ */
+async function splitMarkdown(text, { chunkSize = 1000 } = {}) {
+  const maxChars = chunkSize * CHARS_PER_TOKEN;
+  const chunks = [];
+
+  for (const section of buildSections(parseBlocks(text))) {
+    const headingPath = section.headings.join(HEADING_PATH_SEPARATOR);
+    const prefix = headingPath ? `${headingPath}\n\n` : "";
+    const budget = maxChars - prefix.length;
+    const fallbackSplitter = new RecursiveCharacterTextSplitter({
+      chunkSize: budget,
+      chunkOverlap: 0,
+    });
+
+    // Turn blocks into pieces that each fit in a chunk on their own
+    const pieces = [];
+    for (const block of section.blocks) {
+      const blockText = block.lines.join("\n");
+      if (blockText.length <= budget) {
+        pieces.push(blockText);
+      } else {
+        pieces.push(
+          ...(await splitOversizedBlock(block, budget, fallbackSplitter))
+        );
+      }
+    }
+
+    // Greedily merge consecutive pieces of the same section
+    let current = "";
+    const pushChunk = () => {
+      if (!current.trim()) return;
+      chunks.push({
+        content: `${prefix}${current}`,
+        text: current,
+        headingPath,
+        headings: section.headings,
+        anchor: section.anchor,
+      });
+      current = "";
+    };
+
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 2 > budget) pushChunk();
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+    pushChunk();
+  }
+
+  return chunks;
+}
+
+export { splitMarkdown, estimateTokens, slugify, HEADING_PATH_SEPARATOR };
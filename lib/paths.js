@@ -0,0 +1,9 @@
+// Repository root: default locations of config files and local data are
+// resolved from here rather than the working directory, so scripts, the CLI
+// and the API server (which runs from rag-chat-app) share the same files
+import path from "path";
+import { fileURLToPath } from "url";
+
+const REPO_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+export { REPO_ROOT };
@@ -0,0 +1,152 @@
+// Versioned prompt templates: the system prompts of the chains are read from
+// prompts/<name>/<version>.txt on every request, so a wording experiment is a
+// new file instead of a code change and a restart. prompts/prompts.json sets
+// the default version of every prompt and an optional A/B split of sessions.
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { PromptTemplate } from "@langchain/core/prompts";
+import { REPO_ROOT } from "./paths.js";
+
+// Default prompts location, override with PROMPTS_DIR
+const PROMPTS_DIR = path.join(REPO_ROOT, "prompts");
+const PROMPTS_CONFIG_FILE = "prompts.json";
+const VERSION_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Versions of a prompt, one template file each.
+ * @param {string} name - Prompt name (its directory)
+ * @param {string} [dir] - Prompts directory
+ * @returns {string[]} Versions, sorted
+ */
+function listPromptVersions(
+  name,
+  dir = process.env.PROMPTS_DIR || PROMPTS_DIR
+) {
+  const promptDir = path.join(dir, name);
+  if (!fs.existsSync(promptDir)) return [];
+  return fs
+    .readdirSync(promptDir)
+    .filter((file) => file.endsWith(".txt"))
+    .map((file) => file.slice(0, -".txt".length))
+    .sort((a, b) => a.localeCompare(b, "en", { numeric: true }));
+}
+
+/**
+ * Load one version of a prompt and check its variables against the inputs
+ * the chain fills in.
+ * @param {string} name - Prompt name
+ * @param {string} version - Prompt version
+ * @param {{inputs: string[], required?: string[]}} variables - Variables the
+ *   chain provides, and those the template must use
+ * @param {string} [dir] - Prompts directory
+ * @returns {string} Template, with {variable} placeholders
+ */
+function loadPromptTemplate(
+  name,
+  version,
+  { inputs, required = [] },
+  dir = process.env.PROMPTS_DIR || PROMPTS_DIR
+) {
+  const versions = listPromptVersions(name, dir);
+  if (!VERSION_PATTERN.test(version) || !versions.includes(version)) {
+    throw new Error(
+      `Unknown version "${version}" of prompt ${name}, use ${versions.join(", ") || "(none found)"}`
+    );
+  }
+
+  const filePath = path.join(dir, name, `${version}.txt`);
+  const template = fs.readFileSync(filePath, "utf8").trimEnd();
+  const { inputVariables } = PromptTemplate.fromTemplate(template);
+
+  const unknown = inputVariables.filter(
+    (variable) => !inputs.includes(variable)
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `Prompt ${filePath} uses unknown variables ${unknown.map((variable) => `{${variable}}`).join(", ")}, the chain provides ${inputs.map((variable) => `{${variable}}`).join(", ")}`
+    );
+  }
+  const missing = required.filter(
+    (variable) => !inputVariables.includes(variable)
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `Prompt ${filePath} must use ${missing.map((variable) => `{${variable}}`).join(", ")}`
+    );
+  }
+
+  return template;
+}
+
+// Pick a version by the weights of the experiment, from a hash of the
+// session ID so a session keeps its version for the whole conversation
+const assignVersion = (name, sessionId, experiment) => {
+  const weights = Object.entries(experiment).filter(([, weight]) => weight > 0);
+  const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+  if (total === 0) return null;
+
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${name}\n${sessionId}`)
+    .digest();
+  let point = (hash.readUInt32BE(0) / 2 ** 32) * total;
+  for (const [version, weight] of weights) {
+    point -= weight;
+    if (point < 0) return version;
+  }
+  return weights[weights.length - 1][0];
+};
+
+/**
+ * Create a selector for the versions of a prompt. The version is the one
+ * requested, else the session's in the experiment of prompts.json, else the
+ * default version. Files are read on every call, so edited and added
+ * versions apply to the next request.
+ * @param {string} name - Prompt name
+ * @param {{inputs: string[], required?: string[]}} variables - Variables the
+ *   chain provides, and those the template must use
+ * @param {string} [dir] - Prompts directory
+ * @returns {(options?: {version?: string, sessionId?: string}) =>
+ *   {name: string, version: string, assignment: string, template: string}}
+ *   Template with its version and how it was chosen ("request", "session"
+ *   or "default")
+ */
+function createPromptSelector(
+  name,
+  variables,
+  dir = process.env.PROMPTS_DIR || PROMPTS_DIR
+) {
+  return ({ version, sessionId } = {}) => {
+    const configPath = path.join(dir, PROMPTS_CONFIG_FILE);
+    const config =
+      (fs.existsSync(configPath)
+        ? JSON.parse(fs.readFileSync(configPath, "utf8"))
+        : {})[name] || {};
+
+    let assignment = "request";
+    if (!version) {
+      version =
+        sessionId && assignVersion(name, sessionId, config.experiment || {});
+      assignment = version ? "session" : "default";
+    }
+    version ||= config.default || listPromptVersions(name, dir).pop();
+    if (!version) {
+      throw new Error(`No versions of prompt ${name} in ${dir}`);
+    }
+
+    return {
+      name,
+      version,
+      assignment,
+      template: loadPromptTemplate(name, version, variables, dir),
+    };
+  };
+}
+
+export {
+  PROMPTS_DIR,
+  listPromptVersions,
+  loadPromptTemplate,
+  createPromptSelector,
+};
@@ -0,0 +1,217 @@
+// LLM and embedding providers: Azure OpenAI, OpenAI-compatible endpoints
+// (OpenAI, a local Ollama or llama.cpp server) and a deterministic fake for
+// tests and offline runs, selected with LLM_PROVIDER / EMBEDDING_PROVIDER
+import crypto from "crypto";
+import {
+  AzureChatOpenAI,
+  AzureOpenAIEmbeddings,
+  ChatOpenAI,
+  OpenAIEmbeddings,
+} from "@langchain/openai";
+import { Embeddings } from "@langchain/core/embeddings";
+import { SimpleChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import { tokenize } from "./keyword-index.js";
+
+const PROVIDERS = ["azure", "openai", "fake"];
+const DEFAULT_TEMPERATURE = 0.1; // Low temperature for factual answers
+const DEFAULT_FAKE_DIMENSION = 256;
+
+const chatProvider = () => process.env.LLM_PROVIDER || "azure";
+const embeddingProvider = () =>
+  process.env.EMBEDDING_PROVIDER || process.env.LLM_PROVIDER || "azure";
+
+const unknownProvider = (provider) =>
+  new Error(`Unknown provider "${provider}", use ${PROVIDERS.join(", ")}`);
+
+// Instance name from AZURE_OPENAI_ENDPOINT (https://<instance>.openai.azure.com)
+const azureInstanceName = () => {
+  if (!process.env.AZURE_OPENAI_ENDPOINT) {
+    throw new Error(
+      "AZURE_OPENAI_ENDPOINT is not defined in environment variables"
+    );
+  }
+  return new URL(process.env.AZURE_OPENAI_ENDPOINT).hostname.split(".")[0];
+};
+
+// Local servers usually accept any key, but the client insists on one
+const openAiClientOptions = () => ({
+  apiKey: process.env.OPENAI_API_KEY || "not-needed",
+  configuration: process.env.OPENAI_BASE_URL
+    ? { baseURL: process.env.OPENAI_BASE_URL }
+    : undefined,
+});
+
+const hashToUnit = (value) =>
+  crypto.createHash("sha256").update(value).digest().readUInt32BE(0) /
+  0xffffffff;
+
+/**
+ * Deterministic embeddings without a model: every term is hashed to a
+ * dimension and sign, so texts sharing words are similar and the same text
+ * always gets the same vector.
+ */
+class FakeEmbeddings extends Embeddings {
+  constructor({ dimension = DEFAULT_FAKE_DIMENSION } = {}) {
+    super({});
+    this.dimension = dimension;
+  }
+
+  embed(text) {
+    const vector = new Array(this.dimension).fill(0);
+    for (const term of tokenize(text)) {
+      const slot = Math.floor(hashToUnit(term) * this.dimension);
+      vector[Math.min(slot, this.dimension - 1)] +=
+        hashToUnit(`sign:${term}`) < 0.5 ? -1 : 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+    return norm ? vector.map((x) => x / norm) : vector;
+  }
+
+  async embedDocuments(texts) {
+    return texts.map((text) => this.embed(text));
+  }
+
+  async embedQuery(text) {
+    return this.embed(text);
+  }
+}
+
+/**
+ * Deterministic chat model: returns the given responses in turn, or without
+ * responses echoes the last message. Streaming yields the response word by
+ * word.
+ */
+class FakeChatModel extends SimpleChatModel {
+  constructor({ responses = [] } = {}) {
+    super({});
+    this.responses = responses;
+    this.calls = 0;
+  }
+
+  _llmType() {
+    return "fake";
+  }
+
+  async _call(messages) {
+    const response =
+      this.responses.length > 0
+        ? this.responses[this.calls % this.responses.length]
+        : `Fake answer: ${messages[messages.length - 1].content}`;
+    this.calls++;
+    return response;
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    const response = await this._call(messages);
+    for (const text of response.match(/\S+\s*|\s+/g) || []) {
+      options.signal?.throwIfAborted();
+      yield new ChatGenerationChunk({
+        text,
+        message: new AIMessageChunk({ content: text }),
+      });
+      await runManager?.handleLLMNewToken(text);
+    }
+  }
+}
+
+/**
+ * Name of the configured embedding model, used to key the embedding cache.
+ * @returns {string} Model name
+ */
+function getEmbeddingModelName() {
+  switch (embeddingProvider()) {
+    case "azure":
+      return process.env.AZURE_EMBEDDING_MODEL;
+    case "openai":
+      return process.env.OPENAI_EMBEDDING_MODEL;
+    case "fake":
+      return `fake-${Number(process.env.FAKE_EMBEDDING_DIMENSION) || DEFAULT_FAKE_DIMENSION}`;
+    default:
+      throw unknownProvider(embeddingProvider());
+  }
+}
+
+/**
+ * Create the embeddings of the configured provider (EMBEDDING_PROVIDER,
+ * falling back to LLM_PROVIDER, "azure" by default).
+ * @param {Object} [options] - Provider options, e.g. { maxRetries: 0 }
+ * @returns {Embeddings} Embeddings
+ */
+function createEmbeddings(options = {}) {
+  const provider = embeddingProvider();
+  switch (provider) {
+    case "azure":
+      return new AzureOpenAIEmbeddings({
+        azureOpenAIApiDeploymentName:
+          process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT_NAME,
+        modelName: process.env.AZURE_EMBEDDING_MODEL,
+        azureOpenAIApiVersion: process.env.AZURE_OPENAI_API_VERSION,
+        azureOpenAIApiInstanceName: azureInstanceName(),
+        azureOpenAIApiKey: process.env.AZURE_OPENAI_API_KEY,
+        ...options,
+      });
+    case "openai":
+      return new OpenAIEmbeddings({
+        ...openAiClientOptions(),
+        model: process.env.OPENAI_EMBEDDING_MODEL,
+        ...options,
+      });
+    case "fake":
+      return new FakeEmbeddings({
+        dimension:
+          Number(process.env.FAKE_EMBEDDING_DIMENSION) ||
+          DEFAULT_FAKE_DIMENSION,
+      });
+    default:
+      throw unknownProvider(provider);
+  }
+}
+
+/**
+ * Create the chat model of the configured provider (LLM_PROVIDER, "azure" by
+ * default). The temperature defaults to LLM_TEMPERATURE or 0.1.
+ * @param {Object} [options] - Provider options, e.g. { temperature: 0 }, or
+ *   { responses } for the fake model
+ * @returns {import("@langchain/core/language_models/chat_models").BaseChatModel} Chat model
+ */
+function createChatModel({
+  temperature = Number(process.env.LLM_TEMPERATURE ?? DEFAULT_TEMPERATURE),
+  ...options
+} = {}) {
+  const provider = chatProvider();
+  switch (provider) {
+    case "azure":
+      return new AzureChatOpenAI({
+        azureOpenAIApiKey: process.env.AZURE_OPENAI_API_KEY,
+        azureOpenAIApiVersion: process.env.AZURE_OPENAI_API_VERSION,
+        azureOpenAIApiInstanceName: azureInstanceName(),
+        azureOpenAIApiDeploymentName: process.env.AZURE_OPENAI_DEPLOYMENT_NAME,
+        modelName: process.env.AZURE_OPENAI_CHAT_MODEL, // e.g. gpt-4o or gpt-4o-mini
+        temperature,
+        ...options,
+      });
+    case "openai":
+      return new ChatOpenAI({
+        ...openAiClientOptions(),
+        model: process.env.OPENAI_CHAT_MODEL,
+        temperature,
+        ...options,
+      });
+    case "fake":
+      return new FakeChatModel(options);
+    default:
+      throw unknownProvider(provider);
+  }
+}
+
+export {
+  PROVIDERS,
+  FakeEmbeddings,
+  FakeChatModel,
+  getEmbeddingModelName,
+  createEmbeddings,
+  createChatModel,
+};
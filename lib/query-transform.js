@@ -0,0 +1,242 @@
+// Query transformations applied before retrieval
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { StringOutputParser } from "@langchain/core/output_parsers";
+import { detectLanguage } from "./language.js";
+
+// Retrieval strategies and their default budget of extra LLM calls per
+// question. "multi-query" asks for all paraphrases in one call, "hyde" makes
+// one call per hypothetical answer.
+const RETRIEVAL_STRATEGIES = {
+  single: { maxLlmCalls: 0 },
+  "multi-query": { maxLlmCalls: 1, queries: 3 },
+  hyde: { maxLlmCalls: 1, documents: 1 },
+};
+
+// Messages of history shown to the condenser, and characters per message
+const CONDENSE_HISTORY_MESSAGES = 6;
+const CONDENSE_MESSAGE_LENGTH = 500;
+
+// Words and openings that only make sense with the previous turns, per
+// language of the question: pronouns, "and what about ...", "how many days is
+// that?". "Is there ..." asks whether something exists and refers to nothing.
+const FOLLOW_UP_PATTERNS = {
+  en: [
+    /\b(?:it|its|that|this|these|those|they|them|their|he|she|him|her|same|above|previous|former|latter)\b/i,
+    /(?<!\b(?:is|are|was|were)\s+)\bthere\b(?!\s+(?:is|are|was|were)\b)/i,
+    /^(?:and|or|but|also|so|then|what about|how about|what if|why not)\b/i,
+  ],
+  pl: [
+    /(?<![\p{L}])(?:ten|ta|tego|tej|tym|tam|tamten|ona|oni|ich|jego|jej)(?![\p{L}])/iu,
+    /^(?:oraz|albo|czy też|a co z|a jak)(?![\p{L}])/iu,
+  ],
+};
+
+/**
+ * Whether a question probably depends on the conversation so far. Questions
+ * without history, or without follow-up cues, are used for retrieval as is.
+ * @param {string} question - Latest user message
+ * @param {Array<{role: string, content: string}>} history - Session history
+ * @returns {boolean} True if the question should be condensed
+ */
+function needsCondensation(question, history) {
+  if (!history || history.length === 0) return false;
+
+  const words = question.trim().split(/\s+/);
+  // Very short messages ("and Kraków?", "how long?") lean on the context
+  if (words.length <= 3) return true;
+
+  // Polish cues only count in Polish questions ("ten" is also English)
+  const patterns =
+    detectLanguage(question) === "pl"
+      ? FOLLOW_UP_PATTERNS.pl
+      : FOLLOW_UP_PATTERNS.en;
+  return patterns.some((pattern) => pattern.test(question.trim()));
+}
+
+/**
+ * Create a condenser that rewrites a follow-up question into a standalone
+ * search query using the session history.
+ * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} chatModel - Chat model
+ * @returns {(question: string, history: Array<{role: string, content: string}>, options?: {signal?: AbortSignal}) => Promise<{query: string, condensed: boolean}>}
+ *   The search query and whether it was rewritten
+ */
+function createQueryCondenser(chatModel) {
+  const prompt = ChatPromptTemplate.fromMessages([
+    [
+      "system",
+      `Rewrite the user's latest message into a standalone search query for a company wiki.
+Resolve pronouns and references ("it", "that", "and what about X?") using the conversation.
+Keep the language of the latest message and keep names, places and numbers exactly.
+If the message is already understandable on its own, return it unchanged.
+Answer with the query only, no quotes or explanation.`,
+    ],
+    ["human", "Conversation:\n{history}\n\nLatest message: {question}"],
+  ]);
+  const chain = prompt.pipe(chatModel).pipe(new StringOutputParser());
+
+  return async (question, history, { signal } = {}) => {
+    if (!needsCondensation(question, history)) {
+      return { query: question, condensed: false };
+    }
+
+    const query = (
+      await chain.invoke(
+        {
+          question,
+          history: history
+            .slice(-CONDENSE_HISTORY_MESSAGES)
+            .map(
+              (message) =>
+                `${message.role === "human" ? "User" : "Assistant"}: ${message.content.substring(0, CONDENSE_MESSAGE_LENGTH)}`
+            )
+            .join("\n"),
+        },
+        { signal }
+      )
+    )
+      .trim()
+      .replace(/^["']|["']$/g, "");
+
+    // An empty rewrite is useless for retrieval, keep the original
+    return query && query !== question
+      ? { query, condensed: true }
+      : { query: question, condensed: false };
+  };
+}
+
+// Strip list markers, numbering and quotes from a generated line
+const cleanLine = (line) =>
+  line
+    .replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "")
+    .replace(/^["']|["']$/g, "")
+    .trim();
+
+/**
+ * Create a generator of paraphrases of a search query, for multi-query
+ * retrieval. All paraphrases come from one LLM call.
+ * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} chatModel - Chat model
+ * @returns {(query: string, count: number, options?: {signal?: AbortSignal}) => Promise<string[]>}
+ *   Paraphrases, without the query itself
+ */
+function createMultiQueryGenerator(chatModel) {
+  const prompt = ChatPromptTemplate.fromMessages([
+    [
+      "system",
+      `Write {count} different search queries for a company wiki that together cover the user's question.
+Vary the wording and split broad questions into their parts (e.g. one query per office, tool or policy).
+Keep the language of the question. Answer with one query per line, nothing else.`,
+    ],
+    ["human", "{query}"],
+  ]);
+  const chain = prompt.pipe(chatModel).pipe(new StringOutputParser());
+
+  return async (query, count, { signal } = {}) => {
+    const answer = await chain.invoke({ query, count }, { signal });
+    const seen = new Set([query.toLowerCase()]);
+
+    return answer
+      .split("\n")
+      .map(cleanLine)
+      .filter((line) => {
+        const key = line.toLowerCase();
+        if (!line || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, count);
+  };
+}
+
+/**
+ * Create a HyDE generator: writes a hypothetical wiki passage answering the
+ * question, whose embedding is searched instead of the question's.
+ * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} chatModel - Chat model
+ * @returns {(query: string, options?: {signal?: AbortSignal}) => Promise<string>}
+ *   Hypothetical passage
+ */
+function createHydeGenerator(chatModel) {
+  const prompt = ChatPromptTemplate.fromMessages([
+    [
+      "system",
+      `Write a short passage (at most 120 words) as it could appear in a company's internal wiki, answering the question.
+Invent plausible details if you have to; the passage is only used to find similar real pages.
+Write in the language of the question. Answer with the passage only.`,
+    ],
+    ["human", "{query}"],
+  ]);
+  const chain = prompt.pipe(chatModel).pipe(new StringOutputParser());
+
+  return async (query, { signal } = {}) =>
+    (await chain.invoke({ query }, { signal })).trim();
+}
+
+/**
+ * Expand a search query with a retrieval strategy, within its budget of extra
+ * LLM calls. A strategy without budget left falls back to the plain query.
+ * @param {string} query - Standalone search query
+ * @param {Object} options - Expansion options
+ * @param {string} [options.strategy] - "single", "multi-query" or "hyde"
+ * @param {number} [options.maxLlmCalls] - Budget override for this request
+ * @param {{multiQuery: Function, hyde: Function}} options.generators - Generators
+ *   from createMultiQueryGenerator and createHydeGenerator
+ * @param {AbortSignal} [options.signal] - Cancels the LLM calls
+ * @returns {Promise<{strategy: string, vectorQueries: string[], keywordQueries: string[], llmCalls: number}>}
+ *   Texts to run through the vector and keyword search
+ */
+async function expandQuery(
+  query,
+  { strategy = "single", maxLlmCalls, generators, signal }
+) {
+  const config = RETRIEVAL_STRATEGIES[strategy];
+  if (!config) {
+    throw new Error(
+      `Unknown retrieval strategy "${strategy}", use ${Object.keys(RETRIEVAL_STRATEGIES).join(", ")}`
+    );
+  }
+
+  const budget = maxLlmCalls ?? config.maxLlmCalls;
+  const expansion = {
+    strategy,
+    vectorQueries: [query],
+    keywordQueries: [query],
+    llmCalls: 0,
+  };
+
+  if (strategy === "single") return expansion;
+  if (budget < 1) {
+    console.log(`No LLM budget for ${strategy}, searching the query only`);
+    return expansion;
+  }
+
+  if (strategy === "multi-query") {
+    // Paraphrases are searched next to the original query by both retrievers
+    const paraphrases = await generators.multiQuery(query, config.queries, {
+      signal,
+    });
+    expansion.llmCalls = 1;
+    expansion.vectorQueries.push(...paraphrases);
+    expansion.keywordQueries.push(...paraphrases);
+  } else if (strategy === "hyde") {
+    // Hypothetical answers replace the question in the vector search only;
+    // keywords stay on the real question so invented terms do not match
+    const count = Math.min(config.documents, budget);
+    const passages = [];
+    for (let i = 0; i < count; i++) {
+      passages.push(await generators.hyde(query, { signal }));
+    }
+    expansion.llmCalls = count;
+    expansion.vectorQueries = passages.filter(Boolean);
+    if (expansion.vectorQueries.length === 0) expansion.vectorQueries = [query];
+  }
+
+  return expansion;
+}
+
+export {
+  RETRIEVAL_STRATEGIES,
+  needsCondensation,
+  createQueryCondenser,
+  createMultiQueryGenerator,
+  createHydeGenerator,
+  expandQuery,
+};
@@ -0,0 +1,41 @@
+// Reciprocal rank fusion of ranked result lists from several retrievers
+
+// Damping constant from the original RRF paper; higher values flatten the
+// advantage of the top ranks
+const RRF_K = 60;
+
+/**
+ * Fuse ranked lists with weighted reciprocal rank fusion:
+ * score = sum over retrievers of weight / (RRF_K + rank).
+ * @param {Object<string, Array>} rankings - Documents per retriever, best first,
+ *   e.g. { vector: [...], keyword: [...] }
+ * @param {Object} [options] - Fusion options
+ * @param {Object<string, number>} [options.weights] - Weight per retriever, 1 by default
+ * @param {number} [options.k] - Number of fused results
+ * @returns {Array<{document: Object, fusionScore: number, ranks: Object<string, number>}>}
+ *   Fused results, best first, with the 1-based rank each retriever gave
+ */
+function reciprocalRankFusion(rankings, { weights = {}, k = Infinity } = {}) {
+  const fused = new Map();
+
+  for (const [retriever, documents] of Object.entries(rankings)) {
+    const weight = weights[retriever] ?? 1;
+
+    documents.forEach((document, i) => {
+      // The same chunk returned by two retrievers is identified by its ID
+      const id = document.metadata.chunkId || document.pageContent;
+      const entry = fused.get(id) || { document, fusionScore: 0, ranks: {} };
+
+      entry.ranks[retriever] = i + 1;
+      entry.fusionScore += weight / (RRF_K + i + 1);
+      fused.set(id, entry);
+    });
+  }
+
+  return [...fused.values()]
+    .filter((entry) => entry.fusionScore > 0)
+    .sort((a, b) => b.fusionScore - a.fusionScore)
+    .slice(0, k);
+}
+
+export { RRF_K, reciprocalRankFusion };
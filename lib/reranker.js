@@ -0,0 +1,213 @@
+// Second-stage rerankers for retrieved chunks. A reranker scores every chunk
+// against the question with a relevance between 0 (irrelevant) and 1 (answers
+// it), so one cutoff works whichever reranker is configured.
+import axios from "axios";
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { StringOutputParser } from "@langchain/core/output_parsers";
+
+const DEFAULT_CUTOFF = 0.5;
+const DEFAULT_TOP_N = 6;
+// Characters of each chunk shown to the LLM reranker
+const LLM_PASSAGE_LENGTH = 1500;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+const sigmoid = (value) => 1 / (1 + Math.exp(-value));
+
+/**
+ * @typedef {Object} Reranker
+ * @property {string} name - Reranker name, logged and returned with answers
+ * @property {(query: string, documents: Array<{pageContent: string}>, options?: {signal?: AbortSignal}) => Promise<number[]|null>} score
+ *   Relevance between 0 and 1 per document, or null if scoring failed
+ */
+
+/**
+ * Reranker that asks the chat model to grade every chunk from 0 to 10.
+ * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} chatModel - Chat model
+ * @returns {Reranker} LLM reranker
+ */
+function createLlmReranker(chatModel) {
+  const prompt = ChatPromptTemplate.fromMessages([
+    [
+      "system",
+      `You grade how relevant passages from a company wiki are to a question.
+Give every passage a grade from 0 to 10:
+10 - the passage directly answers the question
+5 - the passage is on the topic but only partly answers it
+0 - the passage is unrelated
+Answer with a JSON array of {count} numbers, one per passage in order, e.g. [8, 0, 3].`,
+    ],
+    ["human", "Question: {question}\n\n{passages}"],
+  ]);
+  const chain = prompt.pipe(chatModel).pipe(new StringOutputParser());
+
+  return {
+    name: "llm",
+    score: async (query, documents, { signal } = {}) => {
+      const answer = await chain.invoke(
+        {
+          count: documents.length,
+          question: query,
+          passages: documents
+            .map(
+              (doc, i) =>
+                `Passage ${i + 1}:\n${doc.pageContent.substring(0, LLM_PASSAGE_LENGTH)}`
+            )
+            .join("\n\n"),
+        },
+        { signal }
+      );
+
+      try {
+        const grades = JSON.parse(answer.match(/\[[\s\S]*\]/)?.[0] || "");
+        if (grades.length !== documents.length) return null;
+        return grades.map((grade) => clamp(Number(grade) / 10) || 0);
+      } catch (error) {
+        return null;
+      }
+    },
+  };
+}
+
+/**
+ * Reranker backed by a cross-encoder behind a Cohere/Jina/TEI-style `/rerank`
+ * endpoint (`{ query, documents }` in, `{ results: [{ index, relevance_score }] }` out).
+ * Endpoints returning raw logits are configured with scores "logit", which
+ * are squashed with a sigmoid so scores are always 0-1. Documents missing
+ * from the response score 0.
+ * @param {{url: string, apiKey?: string, model?: string, scores?: "probability"|"logit"}} options - Endpoint settings
+ * @returns {Reranker} Cross-encoder reranker
+ */
+function createCrossEncoderReranker({
+  url,
+  apiKey,
+  model,
+  scores = "probability",
+}) {
+  if (!["probability", "logit"].includes(scores)) {
+    throw new Error(
+      `Unknown reranker scores "${scores}", use probability or logit`
+    );
+  }
+  const normalize = scores === "logit" ? sigmoid : clamp;
+
+  return {
+    name: "cross-encoder",
+    score: async (query, documents, { signal } = {}) => {
+      const response = await axios.post(
+        url,
+        {
+          model,
+          query,
+          documents: documents.map((doc) => doc.pageContent),
+        },
+        {
+          headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+          signal,
+        }
+      );
+
+      const results = response.data.results || response.data;
+      const relevance = new Array(documents.length).fill(0);
+      for (const result of results) {
+        // A result without a usable score is as irrelevant as a missing one
+        const score = result.relevance_score ?? result.score;
+        relevance[result.index] = Number.isFinite(score) ? normalize(score) : 0;
+      }
+      return relevance;
+    },
+  };
+}
+
+/**
+ * Create the reranker configured with RERANKER ("llm", "cross-encoder" or
+ * "none"). The cross-encoder is configured with RERANKER_URL,
+ * RERANKER_API_KEY, RERANKER_MODEL and RERANKER_SCORES.
+ * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} chatModel - Chat model for the LLM reranker
+ * @param {string} [type] - Reranker type
+ * @returns {Reranker|null} Reranker, or null to keep the retrieval order
+ */
+function createReranker(chatModel, type = process.env.RERANKER || "llm") {
+  switch (type) {
+    case "llm":
+      return createLlmReranker(chatModel);
+    case "cross-encoder":
+      if (!process.env.RERANKER_URL) {
+        throw new Error("RERANKER_URL is required for the cross-encoder");
+      }
+      return createCrossEncoderReranker({
+        url: process.env.RERANKER_URL,
+        apiKey: process.env.RERANKER_API_KEY,
+        model: process.env.RERANKER_MODEL,
+        scores: process.env.RERANKER_SCORES,
+      });
+    case "none":
+      return null;
+    default:
+      throw new Error(
+        `Unknown reranker "${type}", use llm, cross-encoder or none`
+      );
+  }
+}
+
+/**
+ * Rerank retrieved chunks and keep the ones that pass the cutoff.
+ * Without a reranker, or if scoring fails, the retrieval order is kept and
+ * no cutoff is applied, so a reranker outage never hides every answer. A
+ * cancelled request is not an outage, its AbortError is thrown.
+ * @param {Reranker|null} reranker - Reranker from createReranker
+ * @param {string} query - Question
+ * @param {Array} documents - Retrieved chunks, best first
+ * @param {{cutoff?: number, topN?: number, signal?: AbortSignal}} [options] - Minimum relevance,
+ *   maximum number of chunks and a signal that cancels the scoring
+ * @returns {Promise<{documents: Array, scored: Array}>} Chunks that passed,
+ *   best first, and all chunks with metadata.rerankScore (to debug the cutoff)
+ */
+async function rerankDocuments(
+  reranker,
+  query,
+  documents,
+  {
+    cutoff = Number(process.env.RERANK_CUTOFF ?? DEFAULT_CUTOFF),
+    topN = Number(process.env.RERANK_TOP_N ?? DEFAULT_TOP_N),
+    signal,
+  } = {}
+) {
+  if (!reranker || documents.length === 0) {
+    return { documents: documents.slice(0, topN), scored: documents };
+  }
+
+  let scores = null;
+  try {
+    scores = await reranker.score(query, documents, { signal });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.warn(`Reranker ${reranker.name} failed: ${error.message}`);
+  }
+
+  if (!scores) {
+    console.warn(`Reranker ${reranker.name} gave no scores, keeping order`);
+    return { documents: documents.slice(0, topN), scored: documents };
+  }
+
+  const reranked = documents
+    .map((doc, i) => ({
+      ...doc,
+      metadata: { ...doc.metadata, rerankScore: scores[i] },
+    }))
+    .sort((a, b) => b.metadata.rerankScore - a.metadata.rerankScore);
+
+  const passed = reranked.filter((doc) => doc.metadata.rerankScore >= cutoff);
+  console.log(
+    `Reranked ${documents.length} chunks with ${reranker.name}: ${passed.length} at or above cutoff ${cutoff}`
+  );
+
+  return { documents: passed.slice(0, topN), scored: reranked };
+}
+
+export {
+  DEFAULT_CUTOFF,
+  createLlmReranker,
+  createCrossEncoderReranker,
+  createReranker,
+  rerankDocuments,
+};
@@ -0,0 +1,134 @@
+// Retry with exponential backoff and a concurrency limiter for calls to
+// rate-limited APIs (Azure OpenAI, Pinecone)
+
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 6,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// HTTP status of an error from the OpenAI SDK, axios or the Pinecone client
+// (Pinecone only mentions the status in its message)
+const errorStatus = (error) =>
+  error.status ??
+  error.response?.status ??
+  (Number(error.message?.match(/\bstatus(?: code)?:? (\d{3})\b/i)?.[1]) ||
+    undefined);
+
+const readHeader = (headers, name) =>
+  typeof headers?.get === "function" ? headers.get(name) : headers?.[name];
+
+/**
+ * Delay requested by the server through Retry-After (seconds or HTTP date)
+ * or retry-after-ms, if any.
+ * @param {Error} error - Failed call error
+ * @returns {number|null} Delay in milliseconds
+ */
+function retryAfterMs(error) {
+  const headers = error.headers || error.response?.headers;
+
+  const ms = Number(readHeader(headers, "retry-after-ms"));
+  if (ms > 0) return ms;
+
+  const value = readHeader(headers, "retry-after");
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a failed call is worth retrying: rate limits, server errors,
+ * timeouts and dropped connections. Client errors (400, 401, 404) are not.
+ * @param {Error} error - Failed call error
+ * @returns {boolean} True if the call should be retried
+ */
+function isRetryable(error) {
+  const status = errorStatus(error);
+  if (status) return status === 408 || status === 429 || status >= 500;
+
+  return (
+    [
+      "TimeoutError",
+      "PineconeConnectionError",
+      "PineconeInternalServerError",
+      "PineconeUnavailableError",
+    ].includes(error.name) ||
+    ["ECONNRESET", "ETIMEDOUT", "ECONNREFUSED", "EAI_AGAIN"].includes(
+      error.code
+    ) ||
+    /rate limit|too many requests|fetch failed|socket hang up/i.test(
+      error.message || ""
+    )
+  );
+}
+
+/**
+ * Call a function, retrying retryable failures with exponential backoff and
+ * jitter. A Retry-After from the server overrides the computed delay.
+ * @param {() => Promise<any>} fn - Function to call
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs] - Delay before the first retry
+ * @param {number} [options.maxDelayMs] - Upper bound on the backoff delay
+ * @param {string} [options.label] - Name of the call, used in log messages
+ * @returns {Promise<any>} Result of fn
+ */
+async function withRetry(fn, options = {}) {
+  const { retries, baseDelayMs, maxDelayMs, label } = {
+    ...DEFAULT_RETRY_OPTIONS,
+    ...options,
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const delay =
+        retryAfterMs(error) ?? backoff / 2 + Math.random() * (backoff / 2);
+
+      console.warn(
+        `${label || "Call"} failed (${errorStatus(error) || error.message}), retry ${attempt + 1}/${retries} in ${Math.round(delay / 1000)}s`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Create a limiter that runs at most `concurrency` calls at a time.
+ * @param {number} concurrency - Maximum number of calls in flight
+ * @returns {(fn: () => Promise<any>) => Promise<any>} Limited call
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (active >= concurrency || waiting.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = waiting.shift();
+    fn()
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (fn) =>
+    new Promise((resolve, reject) => {
+      waiting.push({ fn, resolve, reject });
+      next();
+    });
+}
+
+export { withRetry, isRetryable, retryAfterMs, createLimiter };
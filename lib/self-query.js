@@ -0,0 +1,111 @@
+// Self-query: infer metadata constraints (category, location, document) from
+// the question and turn them into a Pinecone metadata filter
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { StringOutputParser } from "@langchain/core/output_parsers";
+import { detectLocations } from "./classifier.js";
+
+// Filtered searches returning fewer chunks than this are retried unfiltered
+const MIN_FILTERED_RESULTS = 3;
+// Document titles listed in the prompt, the rest can't be picked
+const MAX_DOCUMENTS_IN_PROMPT = 200;
+
+/**
+ * Create an extractor of metadata constraints. The LLM picks from the
+ * taxonomy's categories and locations and from the known documents; anything
+ * else it returns is discarded.
+ * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} chatModel - Chat model
+ * @param {Object} taxonomy - Taxonomy returned by loadTaxonomy
+ * @param {Array<{source: string, title: string}>} [documents] - Known documents, e.g. from the keyword index
+ * @returns {(question: string, options?: {signal?: AbortSignal}) => Promise<{category: string|null, location: string|null, source: string|null}>}
+ *   Constraints, null where the question sets none
+ */
+function createFilterExtractor(chatModel, taxonomy, documents = []) {
+  const prompt = ChatPromptTemplate.fromMessages([
+    [
+      "system",
+      `You extract search constraints from questions about a company wiki.
+Only set a constraint when the question clearly restricts the answer to it; use null otherwise.
+- category: one of the categories below
+- location: one of the locations below (an office or city the question is about)
+- document: the title of one document below, only if the question names that document
+
+Categories:
+{categories}
+
+Locations: {locations}
+
+Documents:
+{documents}
+
+Answer with JSON only: {{"category": ..., "location": ..., "document": ...}}`,
+    ],
+    ["human", "{question}"],
+  ]);
+  const chain = prompt.pipe(chatModel).pipe(new StringOutputParser());
+
+  const categories = new Set(
+    taxonomy.categories.map((category) => category.name)
+  );
+  const locations = new Set(
+    taxonomy.locations.map((location) => location.name)
+  );
+  const listed = documents.slice(0, MAX_DOCUMENTS_IN_PROMPT);
+  const sourcesByTitle = new Map(
+    listed.map((doc) => [doc.title.toLowerCase(), doc.source])
+  );
+
+  return async (question, { signal } = {}) => {
+    const answer = await chain.invoke(
+      {
+        question,
+        categories: taxonomy.categories
+          .map((category) => `- ${category.name}: ${category.description}`)
+          .join("\n"),
+        locations: [...locations].join(", ") || "none",
+        documents: listed.map((doc) => `- ${doc.title}`).join("\n") || "none",
+      },
+      { signal }
+    );
+
+    let extracted = {};
+    try {
+      extracted = JSON.parse(answer.match(/\{[\s\S]*\}/)?.[0] || "{}");
+    } catch (error) {
+      console.warn("Could not parse the inferred filter, searching unfiltered");
+    }
+
+    // A location is only trusted if the question actually names it
+    const location = locations.has(extracted.location)
+      ? extracted.location
+      : null;
+
+    return {
+      category: categories.has(extracted.category) ? extracted.category : null,
+      location:
+        location && detectLocations(question, taxonomy).includes(location)
+          ? location
+          : null,
+      source:
+        sourcesByTitle.get(String(extracted.document || "").toLowerCase()) ||
+        null,
+    };
+  };
+}
+
+/**
+ * Translate constraints into a Pinecone metadata filter. Categories and
+ * locations are lists in the metadata, so they are matched with $in.
+ * @param {{category?: string|null, location?: string|null, source?: string|null}|null} constraints
+ * @returns {Object|undefined} Metadata filter, undefined without constraints
+ */
+function toMetadataFilter(constraints) {
+  // No constraints (null) when self-query is disabled
+  const { category, location, source } = constraints || {};
+  const filter = {};
+  if (category) filter.categories = { $in: [category] };
+  if (location) filter.locations = { $in: [location] };
+  if (source) filter.source = { $eq: source };
+  return Object.keys(filter).length > 0 ? filter : undefined;
+}
+
+export { MIN_FILTERED_RESULTS, createFilterExtractor, toMetadataFilter };
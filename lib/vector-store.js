@@ -0,0 +1,489 @@
+// Vector store factory: Pinecone, a local store persisted on disk (offline
+// development and tests) or Qdrant, selected with VECTOR_STORE. All of them
+// take the same chunk IDs, namespaces and Pinecone-style metadata filters.
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import { Pinecone } from "@pinecone-database/pinecone";
+import { PineconeStore } from "@langchain/pinecone";
+import { Document } from "@langchain/core/documents";
+import { VectorStore } from "@langchain/core/vectorstores";
+import { matchesFilter } from "./keyword-index.js";
+import { REPO_ROOT } from "./paths.js";
+
+const VECTOR_STORE_TYPES = ["pinecone", "local", "qdrant"];
+// Used when PINECONE_INDEX is not set, e.g. offline with the local store
+const DEFAULT_INDEX_NAME = "knowledge-base";
+// Default local store location (kept out of git, see .gitignore), one file
+// per index/namespace, override with LOCAL_VECTOR_STORE_DIR
+const LOCAL_VECTOR_STORE_DIR = path.join(REPO_ROOT, ".vector-store");
+const LOCAL_VECTOR_STORE_VERSION = 1;
+const QDRANT_DEFAULT_URL = "http://localhost:6333";
+const QDRANT_SCROLL_LIMIT = 1000;
+
+/**
+ * Name of the index: the Pinecone index, the local store directory or the
+ * Qdrant collection.
+ * @returns {string} Index name
+ */
+const getIndexName = () => process.env.PINECONE_INDEX || DEFAULT_INDEX_NAME;
+
+// Initialize Pinecone client
+const initPinecone = () => {
+  if (!process.env.PINECONE_API_KEY) {
+    throw new Error(
+      "PINECONE_API_KEY is not defined in environment variables (or set VECTOR_STORE=local)"
+    );
+  }
+  return new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
+};
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Vector store kept in memory and persisted to a JSON file per
+ * index/namespace. Search is exact (cosine similarity over every vector),
+ * which is fast enough for a wiki-sized corpus.
+ */
+class LocalVectorStore extends VectorStore {
+  /**
+   * @param {import("@langchain/core/embeddings").EmbeddingsInterface} embeddings - Embeddings
+   * @param {{indexName: string, namespace: string, dir?: string}} options
+   */
+  constructor(
+    embeddings,
+    {
+      indexName,
+      namespace,
+      dir = process.env.LOCAL_VECTOR_STORE_DIR || LOCAL_VECTOR_STORE_DIR,
+    }
+  ) {
+    super(embeddings, {});
+    this.namespace = namespace;
+    this.filePath = path.join(dir, indexName, `${namespace}.json`);
+    this.records = new Map();
+
+    if (fs.existsSync(this.filePath)) {
+      const stored = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      if (stored.version === LOCAL_VECTOR_STORE_VERSION) {
+        stored.records.forEach((record) => this.records.set(record.id, record));
+      }
+    }
+  }
+
+  _vectorstoreType() {
+    return "local";
+  }
+
+  // Write to a temp file first so an interrupted run never corrupts the store
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(
+      tmpPath,
+      JSON.stringify({
+        version: LOCAL_VECTOR_STORE_VERSION,
+        records: [...this.records.values()],
+      })
+    );
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  async addVectors(vectors, documents, { ids } = {}) {
+    const vectorIds = ids || documents.map(() => crypto.randomUUID());
+    documents.forEach((doc, i) => {
+      this.records.set(vectorIds[i], {
+        id: vectorIds[i],
+        vector: vectors[i],
+        pageContent: doc.pageContent,
+        metadata: doc.metadata,
+      });
+    });
+    this.persist();
+    return vectorIds;
+  }
+
+  async addDocuments(documents, options) {
+    const vectors = await this.embeddings.embedDocuments(
+      documents.map((doc) => doc.pageContent)
+    );
+    return this.addVectors(vectors, documents, options);
+  }
+
+  async similaritySearchVectorWithScore(query, k, filter) {
+    const results = [];
+    for (const record of this.records.values()) {
+      if (!matchesFilter(record.metadata, filter)) continue;
+      results.push([
+        new Document({
+          pageContent: record.pageContent,
+          metadata: record.metadata,
+        }),
+        cosineSimilarity(query, record.vector),
+      ]);
+    }
+    return results.sort((a, b) => b[1] - a[1]).slice(0, k);
+  }
+
+  async delete({ ids = [], filter } = {}) {
+    ids.forEach((id) => this.records.delete(id));
+    if (filter) {
+      for (const [id, record] of this.records) {
+        if (matchesFilter(record.metadata, filter)) this.records.delete(id);
+      }
+    }
+    this.persist();
+  }
+
+  /**
+   * IDs of the vectors whose metadata matches a filter.
+   * @param {Object} [filter] - Pinecone-style metadata filter
+   * @returns {Promise<string[]>} Vector IDs
+   */
+  async listIds(filter) {
+    return [...this.records.values()]
+      .filter((record) => matchesFilter(record.metadata, filter))
+      .map((record) => record.id);
+  }
+}
+
+// Qdrant point IDs must be integers or UUIDs, so namespace and chunk ID are
+// hashed into a UUID; the chunk ID is kept in the payload as vectorId
+const toPointId = (namespace, id) => {
+  const hex = crypto
+    .createHash("sha256")
+    .update(`${namespace}\n${id}`)
+    .digest("hex");
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20, 32),
+  ].join("-");
+};
+
+/**
+ * Translate a Pinecone-style metadata filter into a Qdrant filter. Array
+ * payload fields match if any element matches, as in Pinecone.
+ * @param {Object} [filter] - Pinecone-style metadata filter
+ * @returns {{must: Array, must_not: Array}} Qdrant filter
+ */
+const toQdrantFilter = (filter = {}) => {
+  const must = [];
+  const mustNot = [];
+
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === "$and") {
+      must.push(...condition.map(toQdrantFilter));
+      continue;
+    }
+    if (key === "$or") {
+      must.push({ should: condition.map(toQdrantFilter) });
+      continue;
+    }
+
+    const operators =
+      condition !== null && typeof condition === "object"
+        ? condition
+        : { $eq: condition };
+    for (const [operator, operand] of Object.entries(operators)) {
+      switch (operator) {
+        case "$eq":
+          must.push({ key, match: { value: operand } });
+          break;
+        case "$ne":
+          mustNot.push({ key, match: { value: operand } });
+          break;
+        case "$in":
+          must.push({ key, match: { any: operand } });
+          break;
+        case "$nin":
+          mustNot.push({ key, match: { any: operand } });
+          break;
+        case "$gt":
+        case "$gte":
+        case "$lt":
+        case "$lte":
+          must.push({ key, range: { [operator.slice(1)]: operand } });
+          break;
+        default:
+          throw new Error(`Unsupported filter operator ${operator}`);
+      }
+    }
+  }
+
+  return { must, must_not: mustNot };
+};
+
+/**
+ * Vector store backed by a Qdrant collection over its REST API. Namespaces
+ * share the collection and are kept apart by a `namespace` payload field.
+ * Configured with QDRANT_URL and QDRANT_API_KEY.
+ */
+class QdrantStore extends VectorStore {
+  /**
+   * @param {import("@langchain/core/embeddings").EmbeddingsInterface} embeddings - Embeddings
+   * @param {{collection: string, namespace: string, url?: string, apiKey?: string}} options
+   */
+  constructor(
+    embeddings,
+    {
+      collection,
+      namespace,
+      url = process.env.QDRANT_URL || QDRANT_DEFAULT_URL,
+      apiKey = process.env.QDRANT_API_KEY,
+    }
+  ) {
+    super(embeddings, {});
+    this.collection = collection;
+    this.namespace = namespace;
+    this.client = axios.create({
+      baseURL: `${url.replace(/\/$/, "")}/collections/${encodeURIComponent(collection)}`,
+      headers: apiKey ? { "api-key": apiKey } : {},
+    });
+  }
+
+  _vectorstoreType() {
+    return "qdrant";
+  }
+
+  // Create the collection on first write, sized by the first vector
+  async ensureCollection(dimension) {
+    if (this.collectionReady) return;
+    try {
+      await this.client.get("");
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+      await this.client.put("", {
+        vectors: { size: dimension, distance: "Cosine" },
+      });
+      await this.client.put("/index?wait=true", {
+        field_name: "namespace",
+        field_schema: "keyword",
+      });
+    }
+    this.collectionReady = true;
+  }
+
+  // Every request is restricted to the namespace of this store
+  namespaced(filter) {
+    const qdrantFilter = toQdrantFilter(filter);
+    qdrantFilter.must.push({
+      key: "namespace",
+      match: { value: this.namespace },
+    });
+    return qdrantFilter;
+  }
+
+  async addVectors(vectors, documents, { ids } = {}) {
+    if (vectors.length === 0) return [];
+    await this.ensureCollection(vectors[0].length);
+
+    const vectorIds = ids || documents.map(() => crypto.randomUUID());
+    await this.client.put("/points?wait=true", {
+      points: documents.map((doc, i) => ({
+        id: toPointId(this.namespace, vectorIds[i]),
+        vector: vectors[i],
+        payload: {
+          ...doc.metadata,
+          text: doc.pageContent,
+          namespace: this.namespace,
+          vectorId: vectorIds[i],
+        },
+      })),
+    });
+    return vectorIds;
+  }
+
+  async addDocuments(documents, options) {
+    const vectors = await this.embeddings.embedDocuments(
+      documents.map((doc) => doc.pageContent)
+    );
+    return this.addVectors(vectors, documents, options);
+  }
+
+  async similaritySearchVectorWithScore(query, k, filter) {
+    let response;
+    try {
+      response = await this.client.post("/points/search", {
+        vector: query,
+        limit: k,
+        filter: this.namespaced(filter),
+        with_payload: true,
+      });
+    } catch (error) {
+      // Nothing was indexed yet
+      if (error.response?.status === 404) return [];
+      throw error;
+    }
+
+    return response.data.result.map(({ payload, score }) => {
+      const { text, namespace, vectorId, ...metadata } = payload;
+      return [new Document({ pageContent: text, metadata }), score];
+    });
+  }
+
+  async delete({ ids, filter } = {}) {
+    if (ids?.length > 0) {
+      await this.client.post("/points/delete?wait=true", {
+        points: ids.map((id) => toPointId(this.namespace, id)),
+      });
+    }
+    if (filter) {
+      await this.client.post("/points/delete?wait=true", {
+        filter: this.namespaced(filter),
+      });
+    }
+  }
+
+  /**
+   * IDs of the vectors whose metadata matches a filter.
+   * @param {Object} [filter] - Pinecone-style metadata filter
+   * @returns {Promise<string[]>} Vector IDs
+   */
+  async listIds(filter) {
+    const ids = [];
+    let offset;
+    do {
+      const response = await this.client.post("/points/scroll", {
+        filter: this.namespaced(filter),
+        limit: QDRANT_SCROLL_LIMIT,
+        with_payload: ["vectorId"],
+        offset,
+      });
+      response.data.result.points.forEach((point) =>
+        ids.push(point.payload.vectorId)
+      );
+      offset = response.data.result.next_page_offset;
+    } while (offset !== null && offset !== undefined);
+    return ids;
+  }
+}
+
+/**
+ * Create the vector store configured with VECTOR_STORE ("pinecone" by
+ * default, "local" or "qdrant") for one namespace of the index.
+ * @param {import("@langchain/core/embeddings").EmbeddingsInterface} embeddings - Embeddings
+ * @param {{namespace: string, indexName?: string, type?: string}} options
+ * @returns {Promise<VectorStore>} Vector store bound to the namespace
+ */
+async function createVectorStore(
+  embeddings,
+  {
+    namespace,
+    indexName = getIndexName(),
+    type = process.env.VECTOR_STORE || "pinecone",
+  }
+) {
+  switch (type) {
+    case "pinecone":
+      return PineconeStore.fromExistingIndex(embeddings, {
+        pineconeIndex: initPinecone().Index(indexName),
+        namespace,
+        textKey: "text",
+      });
+    case "local":
+      return new LocalVectorStore(embeddings, { indexName, namespace });
+    case "qdrant":
+      return new QdrantStore(embeddings, { collection: indexName, namespace });
+    default:
+      throw new Error(
+        `Unknown vector store "${type}", use ${VECTOR_STORE_TYPES.join(", ")}`
+      );
+  }
+}
+
+/**
+ * Vector counts of the configured store, in the shape of Pinecone's
+ * describeIndexStats.
+ * @param {{indexName?: string, type?: string}} [options]
+ * @returns {Promise<{dimension: number|undefined, totalRecordCount: number, namespaces: Object<string, {recordCount: number}>}>}
+ */
+async function describeVectorStore({
+  indexName = getIndexName(),
+  type = process.env.VECTOR_STORE || "pinecone",
+} = {}) {
+  switch (type) {
+    case "pinecone":
+      return initPinecone().Index(indexName).describeIndexStats();
+    case "local": {
+      const dir = path.join(
+        process.env.LOCAL_VECTOR_STORE_DIR || LOCAL_VECTOR_STORE_DIR,
+        indexName
+      );
+      const files = fs.existsSync(dir)
+        ? fs.readdirSync(dir).filter((file) => file.endsWith(".json"))
+        : [];
+
+      const description = {
+        dimension: undefined,
+        totalRecordCount: 0,
+        namespaces: {},
+      };
+      for (const file of files) {
+        const store = new LocalVectorStore(null, {
+          indexName,
+          namespace: path.basename(file, ".json"),
+        });
+        description.namespaces[store.namespace] = {
+          recordCount: store.records.size,
+        };
+        description.totalRecordCount += store.records.size;
+        description.dimension ??= store.records
+          .values()
+          .next().value?.vector.length;
+      }
+      return description;
+    }
+    case "qdrant": {
+      const store = new QdrantStore(null, { collection: indexName });
+      let info;
+      try {
+        info = (await store.client.get("")).data.result;
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+        return { dimension: undefined, totalRecordCount: 0, namespaces: {} };
+      }
+
+      const facets = (
+        await store.client.post("/facet", { key: "namespace", exact: true })
+      ).data.result.hits;
+      return {
+        dimension: info.config.params.vectors.size,
+        totalRecordCount: info.points_count,
+        namespaces: Object.fromEntries(
+          facets.map((hit) => [hit.value, { recordCount: hit.count }])
+        ),
+      };
+    }
+    default:
+      throw new Error(
+        `Unknown vector store "${type}", use ${VECTOR_STORE_TYPES.join(", ")}`
+      );
+  }
+}
+
+export {
+  VECTOR_STORE_TYPES,
+  LOCAL_VECTOR_STORE_DIR,
+  LocalVectorStore,
+  QdrantStore,
+  cosineSimilarity,
+  getIndexName,
+  initPinecone,
+  toQdrantFilter,
+  createVectorStore,
+  describeVectorStore,
+};
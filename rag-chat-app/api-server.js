@@ -7,6 +7,8 @@ import express from "express";
 import cors from "cors";
 import bodyParser from "body-parser";
 import { askQuestion } from "../enhanced-rag-chain.js";
+import { LANGUAGES } from "../lib/language.js";
+import { listPromptVersions } from "../lib/prompts.js";
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -22,7 +24,25 @@ app.use(bodyParser.json());
 app.post("/ask", async (req, res) => {
   try {
     // Get session ID from request or generate a new one
-    const { question, sessionId = generateSessionId() } = req.body;
+    // The retrieval strategy ("single", "multi-query", "hyde") and its LLM
+    // call budget can be chosen per request, and the answer language ("en",
+    // "pl") forced instead of following the question, and unsupported
+    // claims annotated, revised or left unchecked (groundedness); agent mode
+    // (agent, agentMaxSteps) gathers the context with tool calls,
+    // cache: false answers without the answer cache, and promptVersion picks
+    // the answer prompt instead of the session's A/B assignment
+    const {
+      question,
+      sessionId = generateSessionId(),
+      strategy,
+      llmBudget,
+      answerLanguage,
+      groundedness,
+      agent,
+      agentMaxSteps,
+      cache,
+      promptVersion,
+    } = req.body;
 
     if (!question) {
       return res.status(400).json({
@@ -30,6 +50,10 @@ app.post("/ask", async (req, res) => {
         error: "Question is required",
       });
     }
+    const invalid = validateOptions({ answerLanguage, promptVersion });
+    if (invalid) {
+      return res.status(400).json({ status: "error", error: invalid });
+    }
 
     // Track active sessions
     activeSessions.add(sessionId);
@@ -39,9 +63,18 @@ app.post("/ask", async (req, res) => {
     console.log(`Active sessions: ${activeSessions.size}`);
 
     // Process the question using the enhanced RAG chain with the session ID for conversation history
-    const result = await askQuestion(question, sessionId);
+    const result = await askQuestion(question, sessionId, {
+      strategy,
+      llmBudget,
+      answerLanguage,
+      groundedness,
+      agent,
+      agentMaxSteps,
+      cache,
+      promptVersion,
+    });
 
-    return res.json(result);
+    return res.status(result.status === "success" ? 200 : 500).json(result);
   } catch (error) {
     console.error("Error processing question:", error);
 
@@ -53,6 +86,105 @@ app.post("/ask", async (req, res) => {
   }
 });
 
+// Streaming variant of /ask as server-sent events: "retrieval" with the
+// candidate sources, "token" for every delta of the answer as it is written
+// (screened for leaked instructions on the way), "replace" with the checked
+// answer if verification or screening changed it, then "done" with the same
+// body /ask returns (citations, session info), or "error"
+app.post("/ask/stream", async (req, res) => {
+  const {
+    question,
+    sessionId = generateSessionId(),
+    strategy,
+    llmBudget,
+    answerLanguage,
+    groundedness,
+    agent,
+    agentMaxSteps,
+    cache,
+    promptVersion,
+  } = req.body;
+
+  if (!question) {
+    return res.status(400).json({
+      status: "error",
+      error: "Question is required",
+    });
+  }
+  const invalid = validateOptions({ answerLanguage, promptVersion });
+  if (invalid) {
+    return res.status(400).json({ status: "error", error: invalid });
+  }
+
+  activeSessions.add(sessionId);
+  console.log(
+    `Received streaming question: "${question}" with session ID: ${sessionId}`
+  );
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+  const controller = new AbortController();
+  const send = (event, data) => {
+    if (!res.writableEnded && !controller.signal.aborted) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  // A client that goes away cancels the LLM calls instead of paying for an
+  // answer nobody reads
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      console.log(`Client disconnected, aborting session ${sessionId}`);
+      controller.abort();
+    }
+  });
+
+  try {
+    const result = await askQuestion(question, sessionId, {
+      strategy,
+      llmBudget,
+      answerLanguage,
+      groundedness,
+      agent,
+      agentMaxSteps,
+      cache,
+      promptVersion,
+      signal: controller.signal,
+      onRetrieval: (retrieval) =>
+        send("retrieval", { sessionId, ...retrieval }),
+      onToken: (delta) => send("token", { delta }),
+      onReplace: (answer) => send("replace", { answer }),
+    });
+
+    send(result.status === "error" ? "error" : "done", result);
+  } catch (error) {
+    console.error("Error processing streaming question:", error);
+    send("error", {
+      status: "error",
+      error: "Failed to process your question",
+      message: error.message,
+    });
+  }
+  res.end();
+});
+
+// Reject options the chain would fail on, so a bad request is a 400 and not
+// a 500. Returns the error message, or null if the options are valid.
+function validateOptions({ answerLanguage, promptVersion }) {
+  if (answerLanguage && !LANGUAGES[answerLanguage]) {
+    return `Unknown answer language "${answerLanguage}", use ${Object.keys(LANGUAGES).join(", ")}`;
+  }
+  const versions = listPromptVersions("answer");
+  if (promptVersion && !versions.includes(promptVersion)) {
+    return `Unknown prompt version "${promptVersion}", use ${versions.join(", ")}`;
+  }
+  return null;
+}
+
 // Helper function to generate a random session ID if none is provided
 function generateSessionId() {
   return `session_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
@@ -81,6 +213,9 @@ app.listen(port, () => {
   console.log(`RAG Chat API server listening on port ${port}`);
   console.log(`Health check: http://localhost:${port}/health`);
   console.log(`Chat endpoint: http://localhost:${port}/ask (POST)`);
+  console.log(
+    `Streaming endpoint: http://localhost:${port}/ask/stream (POST, SSE)`
+  );
   console.log(`Sessions endpoint: http://localhost:${port}/sessions (GET)`);
   console.log(`Conversation history is enabled!`);
 });
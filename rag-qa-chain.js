@@ -1,9 +1,5 @@
-// RAG Question-Answering Chain using Pinecone Vector Store
-import { Pinecone } from "@pinecone-database/pinecone";
+// RAG Question-Answering Chain using the configured vector store
 import { Document } from "@langchain/core/documents";
-import { PineconeStore } from "@langchain/pinecone";
-import { AzureOpenAIEmbeddings } from "@langchain/openai";
-import { AzureChatOpenAI } from "@langchain/openai";
 import { StringOutputParser } from "@langchain/core/output_parsers";
 import {
   RunnablePassthrough,
@@ -11,6 +7,11 @@ import {
 } from "@langchain/core/runnables";
 import { ChatPromptTemplate } from "@langchain/core/prompts";
 import * as dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createVectorStore, getIndexName } from "./lib/vector-store.js";
+import { createChatModel, createEmbeddings } from "./lib/providers.js";
+import { createPromptSelector } from "./lib/prompts.js";
 
 // Load environment variables
 dotenv.config();
@@ -21,7 +22,9 @@ const formatDocumentsAsString = (documents) => {
     .map((document) => {
       // Include metadata in the context
       const metadataStr = Object.entries(document.metadata)
-        .filter(([key]) => ["source", "title", "category"].includes(key))
+        .filter(([key]) =>
+          ["source", "title", "headingPath", "category"].includes(key)
+        )
         .map(([key, value]) => `${key}: ${value}`)
         .join(", ");
 
@@ -30,45 +33,9 @@ const formatDocumentsAsString = (documents) => {
     .join("\n\n");
 };
 
-// Create Azure OpenAI embeddings instance
-const createEmbeddings = () => {
-  return new AzureOpenAIEmbeddings({
-    azureOpenAIApiDeploymentName:
-      process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT_NAME,
-    modelName: process.env.AZURE_EMBEDDING_MODEL,
-    azureOpenAIApiVersion: process.env.AZURE_OPENAI_API_VERSION,
-    azureOpenAIApiInstanceName: process.env.AZURE_OPENAI_ENDPOINT.replace(
-      "https://",
-      ""
-    ).replace(".openai.azure.com", ""),
-    azureOpenAIApiKey: process.env.AZURE_OPENAI_API_KEY,
-  });
-};
-
-// Create Azure Chat OpenAI model
-const createChatModel = () => {
-  return new AzureChatOpenAI({
-    azureOpenAIApiKey: process.env.AZURE_OPENAI_API_KEY,
-    azureOpenAIApiVersion: process.env.AZURE_OPENAI_API_VERSION,
-    azureOpenAIApiInstanceName: new URL(
-      process.env.AZURE_OPENAI_ENDPOINT
-    ).hostname.split(".")[0],
-    azureOpenAIApiDeploymentName: process.env.AZURE_OPENAI_DEPLOYMENT_NAME,
-    modelName: process.env.AZURE_OPENAI_CHAT_MODEL,
-    temperature: 0.1, // Lower temperature for more factual answers
-  });
-};
-
-// Initialize Pinecone client
-const initPinecone = () => {
-  const pinecone = new Pinecone({
-    apiKey: process.env.PINECONE_API_KEY,
-  });
-  return pinecone;
-};
-
-// Create a RAG chain for question answering
-async function createRagChain() {
+// Create a RAG chain for question answering, with the default prompt version
+// unless promptVersion picks another
+async function createRagChain({ promptVersion } = {}) {
   try {
     // Initialize embeddings
     const embeddings = createEmbeddings();
@@ -78,22 +45,14 @@ async function createRagChain() {
     const chatModel = createChatModel();
     console.log("Chat model initialized");
 
-    // Initialize Pinecone client
-    const pinecone = initPinecone();
-    console.log("Pinecone client initialized");
-
     // Index name for our documents
-    const indexName = process.env.PINECONE_INDEX;
-
-    // Get the index
-    const index = pinecone.Index(indexName);
-    console.log(`Using Pinecone index: ${indexName}`);
+    const indexName = getIndexName();
+    console.log(`Using index: ${indexName}`);
 
-    // Create a vector store from the existing index
-    const vectorStore = await PineconeStore.fromExistingIndex(embeddings, {
-      pineconeIndex: index,
+    // Connect to the configured vector store (VECTOR_STORE)
+    const vectorStore = await createVectorStore(embeddings, {
+      indexName,
       namespace: "wiki", // Use the namespace where your wiki documents are stored
-      textKey: "text",
     });
 
     // Create a retriever from the vector store
@@ -105,18 +64,16 @@ async function createRagChain() {
     });
     console.log("Vector store retriever created");
 
-    // Create system & human prompt template for the chat model
-    const SYSTEM_TEMPLATE = `You are a helpful assistant for Amsterdam Standard company.
-Use the following pieces of context to answer the question at the end.
-If you don't know the answer, just say that you don't know, don't try to make up an answer.
-Keep your answers informative and concise.
-
-Context:
-----------------
-{context}`;
+    // Create system & human prompt template for the chat model, the system
+    // prompt read from the versioned templates in prompts/simple-answer
+    const { version, template } = createPromptSelector("simple-answer", {
+      inputs: ["context"],
+      required: ["context"],
+    })({ version: promptVersion });
+    console.log(`Using prompt version: ${version}`);
 
     const prompt = ChatPromptTemplate.fromMessages([
-      ["system", SYSTEM_TEMPLATE],
+      ["system", template],
       ["human", "{question}"],
     ]);
 
@@ -175,7 +132,14 @@ async function runDemo() {
   }
 }
 
-// Run the demo
-runDemo()
-  .then(() => console.log("\nDemo completed successfully!"))
-  .catch((error) => console.error("Demo failed:", error));
+export { createRagChain, answerQuestion };
+
+// Run the demo when executed directly (`node rag-qa-chain.js`)
+if (
+  process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  runDemo()
+    .then(() => console.log("\nDemo completed successfully!"))
+    .catch((error) => console.error("Demo failed:", error));
+}
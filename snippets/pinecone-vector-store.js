@@ -1,10 +1,8 @@
-// Pinecone Vector Store Demo with LangChain
-import { AzureChatOpenAI } from "@langchain/openai";
+// Vector Store Demo with LangChain (Pinecone by default, see VECTOR_STORE)
 import { Document } from "@langchain/core/documents";
-import { PineconeStore } from "@langchain/pinecone";
-import { Pinecone } from "@pinecone-database/pinecone";
 import * as dotenv from "dotenv";
-import { AzureOpenAIEmbeddings } from "@langchain/openai";
+import { createVectorStore, getIndexName } from "../lib/vector-store.js";
+import { createEmbeddings } from "../lib/providers.js";
 
 // Load environment variables
 dotenv.config();
@@ -36,92 +34,30 @@ const sampleDocuments = [
 // Create Document objects from sample data
 const documents = sampleDocuments.map((doc) => new Document(doc));
 
-// Create Azure OpenAI embeddings instance
-const createEmbeddings = () => {
-  return new AzureOpenAIEmbeddings({
-    azureOpenAIApiDeploymentName:
-      process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT_NAME,
-    modelName: process.env.AZURE_EMBEDDING_MODEL,
-    azureOpenAIApiVersion: process.env.AZURE_OPENAI_API_VERSION,
-    azureOpenAIApiInstanceName: process.env.AZURE_OPENAI_ENDPOINT.replace(
-      "https://",
-      ""
-    ).replace(".openai.azure.com", ""),
-    azureOpenAIApiKey: process.env.AZURE_OPENAI_API_KEY,
-  });
-};
-
-// Create Azure OpenAI chat model
-const createChatModel = () => {
-  return new AzureChatOpenAI({
-    azureOpenAIApiKey: process.env.AZURE_OPENAI_API_KEY,
-    azureOpenAIApiVersion: process.env.AZURE_OPENAI_API_VERSION,
-    azureOpenAIApiInstanceName: new URL(
-      process.env.AZURE_OPENAI_ENDPOINT
-    ).hostname.split(".")[0],
-    azureOpenAIApiDeploymentName: process.env.AZURE_OPENAI_DEPLOYMENT_NAME,
-    modelName: process.env.AZURE_OPENAI_CHAT_MODEL,
-  });
-};
-
-// Initialize Pinecone client
-const initPinecone = () => {
-  const pinecone = new Pinecone({
-    apiKey: process.env.PINCONE_API_KEY,
-  });
-  return pinecone;
-};
-
-// Main function to demonstrate Pinecone usage
-async function runPineconeDemo() {
-  console.log("Starting Pinecone vector store demo...");
+// Main function to demonstrate vector store usage
+async function runVectorStoreDemo() {
+  console.log("Starting vector store demo...");
 
   try {
     // Initialize embeddings
     const embeddings = createEmbeddings();
     console.log("Embeddings model initialized");
 
-    // Initialize Pinecone client
-    const pinecone = initPinecone();
-    console.log("Pinecone client initialized");
-
     // Index name for our documents
-    const indexName = process.env.PINCONE_INDEX;
-
-    // List available indexes
-    const indexes = await pinecone.listIndexes();
-    console.log("Available Pinecone indexes:", indexes);
-
-    // Check if our index exists, if not create it
-    let index;
-    try {
-      index = pinecone.Index(indexName);
-      console.log(`Using existing Pinecone index: ${indexName}`);
-    } catch (error) {
-      console.log(`Index ${indexName} not found, creating new index...`);
-
-      // For demo purposes, use an existing index or create one in Pinecone console
-      index = pinecone.Index(indexName);
-    }
+    const indexName = getIndexName();
 
     // Collection name within the index
     const namespace = "docs";
 
-    // Create a Pinecone vector store with our documents
-    console.log("Creating Pinecone vector store and adding documents...");
-    const vectorStore = await PineconeStore.fromDocuments(
-      documents,
-      embeddings,
-      {
-        pineconeIndex: index,
-        namespace: namespace,
-        textKey: "text",
-      }
-    );
+    // Connect to the configured vector store and add our documents
+    console.log("Creating vector store and adding documents...");
+    const vectorStore = await createVectorStore(embeddings, {
+      indexName,
+      namespace,
+    });
+    await vectorStore.addDocuments(documents);
 
-    console.log(
-      `Added ${documents.length} documents to Pinecone index '${indexName}'`
-    );
+    console.log(`Added ${documents.length} documents to index '${indexName}'`);
 
     // Perform a similarity search
     const query = "What services does Amsterdam Standard offer?";
@@ -136,11 +72,11 @@ async function runPineconeDemo() {
       console.log(`Source: ${doc.metadata.source}, Page: ${doc.metadata.page}`);
     });
 
-    console.log("\nPinecone vector store demo completed successfully!");
+    console.log("\nVector store demo completed successfully!");
   } catch (error) {
-    console.error("Error in Pinecone demo:", error);
+    console.error("Error in vector store demo:", error);
   }
 }
 
 // Run the demo
-runPineconeDemo();
+runVectorStoreDemo();
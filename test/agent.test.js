@@ -0,0 +1,197 @@
+import { jest } from "@jest/globals";
+import { Document } from "@langchain/core/documents";
+import {
+  createRetrievalAgent,
+  createWikiTools,
+  dateMath,
+} from "../lib/agent.js";
+import { FakeChatModel } from "../lib/providers.js";
+
+const chunk = (source, text) =>
+  new Document({
+    pageContent: text,
+    metadata: { source, chunk: 1, chunkId: `${source}#1` },
+  });
+
+const CHUNKS = {
+  wroclaw: chunk("Benefits/Wroclaw.md", "Wrocław: MultiSport card."),
+  amsterdam: chunk("Benefits/Amsterdam.md", "Amsterdam: gym allowance."),
+};
+
+// Tools over two chunks: the search returns the chunk named in the query
+const createTools = () =>
+  createWikiTools({
+    search: async (query) =>
+      Object.entries(CHUNKS)
+        .filter(([name]) => query.toLowerCase().includes(name))
+        .map(([, doc]) => doc),
+    fetchSourceChunks: async () => [],
+  });
+
+// An agent whose model replies with the given tool calls in turn
+const createAgent = (replies) =>
+  createRetrievalAgent(
+    new FakeChatModel({
+      responses: replies.map((reply) =>
+        typeof reply === "string" ? reply : JSON.stringify(reply)
+      ),
+    }),
+    createTools()
+  );
+
+describe("dateMath", () => {
+  test("counts days and working days, both dates included", () => {
+    expect(dateMath({ from: "2026-03-02", to: "2026-03-13" })).toBe(
+      "From 2026-03-02 (Monday) to 2026-03-13 (Friday): 11 days, 10 working days (Monday to Friday, both dates included)"
+    );
+    expect(dateMath({ from: "2026-03-07", to: "2026-03-08" })).toMatch(
+      /: 1 days, 0 working days/
+    );
+  });
+
+  test("counts backwards when the dates are swapped", () => {
+    expect(dateMath({ from: "2026-03-13", to: "2026-03-02" })).toMatch(
+      /: -11 days, 10 working days/
+    );
+  });
+
+  test("adds days across the end of a month", () => {
+    expect(dateMath({ date: "2026-02-27", add_days: 3 })).toBe(
+      "2026-02-27 (Friday) + 3 days = 2026-03-02 (Monday)"
+    );
+    expect(dateMath({ date: "2026-03-02", add_days: -3 })).toMatch(
+      /= 2026-02-27 \(Friday\)$/
+    );
+  });
+
+  test("starts from today without a date", () => {
+    const today = new Date().toISOString().slice(0, 10);
+
+    expect(dateMath({ add_days: 0 })).toMatch(
+      new RegExp(`^${today} .* \\+ 0 days = ${today} `)
+    );
+    expect(dateMath({ from: "today", to: today })).toMatch(/: 0 days/);
+  });
+
+  test.each(["next week", "2026-3-2", "2026-02-30", "2026-13-01"])(
+    "rejects the invalid date %s",
+    (value) => {
+      expect(() => dateMath({ from: value, to: "2026-03-02" })).toThrow(
+        `Invalid date "${value}"`
+      );
+    }
+  );
+});
+
+describe("createRetrievalAgent", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("gathers the chunks of every search until it finishes", async () => {
+    const agent = createAgent([
+      {
+        thought: "Wrocław first",
+        tool: "search_wiki",
+        input: { query: "Wroclaw benefits" },
+      },
+      {
+        thought: "Then Amsterdam",
+        tool: "search_wiki",
+        input: { query: "Amsterdam benefits" },
+      },
+      { thought: "Both found", tool: "finish" },
+    ]);
+
+    const { documents, trace, stopReason } = await agent("Compare benefits");
+
+    expect(stopReason).toBe("finished");
+    expect(documents).toEqual([CHUNKS.wroclaw, CHUNKS.amsterdam]);
+    expect(
+      trace.map(({ step, tool, documents: ids }) => [step, tool, ids])
+    ).toEqual([
+      [1, "search_wiki", [1]],
+      [2, "search_wiki", [2]],
+    ]);
+    expect(trace[0].observation).toMatch(/^\[1\] Benefits\/Wroclaw\.md: /);
+  });
+
+  test("stops at the step limit", async () => {
+    const agent = createAgent([
+      { tool: "date_math", input: { date: "2026-02-27", add_days: 3 } },
+    ]);
+
+    const { trace, stopReason } = await agent("When is payday?", {
+      maxSteps: 2,
+    });
+
+    expect(stopReason).toBe("step-limit");
+    expect(trace).toHaveLength(2);
+    expect(trace[0].observation).toBe(
+      "2026-02-27 (Friday) + 3 days = 2026-03-02 (Monday)"
+    );
+  });
+
+  test("reports an unknown tool to the model and goes on", async () => {
+    const agent = createAgent([
+      { tool: "search_confluence", input: { query: "Amsterdam" } },
+      { tool: "search_wiki", input: { query: "Amsterdam" } },
+      { tool: "finish" },
+    ]);
+
+    const { documents, trace, stopReason } = await agent("Amsterdam gym?");
+
+    expect(stopReason).toBe("finished");
+    expect(trace[0]).toMatchObject({
+      tool: "search_confluence",
+      documents: [],
+    });
+    expect(trace[0].observation).toMatch(
+      /^Error: Unknown tool "search_confluence", use search_wiki, .* or finish$/
+    );
+    expect(documents).toEqual([CHUNKS.amsterdam]);
+  });
+
+  test("reports a failing tool to the model", async () => {
+    const agent = createAgent([
+      { tool: "date_math", input: { from: "2026-02-30", to: "2026-03-02" } },
+      { tool: "finish" },
+    ]);
+
+    const { trace } = await agent("How many days?");
+
+    expect(trace[0].observation).toBe(
+      'Error: Invalid date "2026-02-30", use YYYY-MM-DD or "today"'
+    );
+  });
+
+  test("stops at a reply without a tool call", async () => {
+    const agent = createAgent([
+      { tool: "search_wiki", input: { query: "Wroclaw" } },
+      "The benefits are a MultiSport card.",
+    ]);
+
+    const { documents, trace, stopReason } = await agent("Wrocław benefits?");
+
+    expect(stopReason).toBe("invalid-response");
+    expect(trace).toHaveLength(1);
+    expect(documents).toEqual([CHUNKS.wroclaw]);
+  });
+
+  test("skips chunks beyond the token budget", async () => {
+    const agent = createAgent([
+      { tool: "search_wiki", input: { query: "Wroclaw and Amsterdam" } },
+      { tool: "finish" },
+    ]);
+
+    const { documents, trace } = await agent("Benefits?", { tokenBudget: 10 });
+
+    expect(documents).toEqual([CHUNKS.wroclaw]);
+    expect(trace[0].observation).toMatch(
+      /\n\(context full, skipped Benefits\/Amsterdam\.md\)$/
+    );
+  });
+});
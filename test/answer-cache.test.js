@@ -0,0 +1,85 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { jest } from "@jest/globals";
+import { AnswerCache } from "../lib/answer-cache.js";
+import { loadManifest, saveManifest } from "../lib/index-manifest.js";
+
+const embedding = [1, 0, 0];
+const answer = {
+  language: "en",
+  sources: ["Holidays.md"],
+  result: { answer: "New Year, Easter Monday and Christmas." },
+};
+
+describe("AnswerCache", () => {
+  let dir;
+  let manifestPath;
+  const open = () =>
+    new AnswerCache({
+      indexName: "test",
+      namespace: "wiki",
+      dir,
+      manifestPath,
+    });
+  // Ingestion (re-)indexing a source at the given time
+  const index = (source, indexedAt) => {
+    const manifest = loadManifest("test", "wiki", manifestPath);
+    manifest.documents[source] = { indexedAt };
+    saveManifest(manifest, manifestPath);
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "answer-cache-"));
+    manifestPath = path.join(dir, "index-manifest.json");
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("answers a question again until its source is re-indexed", () => {
+    index("Holidays.md", "2026-01-05T10:00:00.000Z");
+    expect(open().add("What are the holidays?", embedding, answer)).toBe(true);
+
+    // A new instance reads what the first one stored
+    const cache = open();
+    const hit = cache.lookup(embedding, { language: "en" });
+    expect(hit.entry.result).toEqual(answer.result);
+    expect(hit.similarity).toBeCloseTo(1);
+
+    index("Holidays.md", "2026-02-01T10:00:00.000Z");
+    // The manifest mtime may not change within the same millisecond
+    cache.manifestMtime = null;
+    expect(cache.lookup(embedding, { language: "en" })).toBeNull();
+  });
+
+  test("does not cache without an index manifest", () => {
+    const cache = open();
+
+    expect(cache.add("What are the holidays?", embedding, answer)).toBe(false);
+    expect(cache.lookup(embedding, { language: "en" })).toBeNull();
+    expect(fs.existsSync(cache.filePath)).toBe(false);
+  });
+
+  test("drops entries stored without an indexedAt", () => {
+    // Stored before the source was in the manifest, which still lacks it
+    index("Tools.md", "2026-01-05T10:00:00.000Z");
+    const cache = open();
+    cache.entries.push({
+      question: "What are the holidays?",
+      embedding,
+      language: "en",
+      variant: "",
+      sources: { "Holidays.md": null },
+      result: answer.result,
+      lastUsedAt: Date.now(),
+      hits: 0,
+    });
+
+    expect(cache.lookup(embedding, { language: "en" })).toBeNull();
+    expect(cache.entries).toEqual([]);
+  });
+});
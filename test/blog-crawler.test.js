@@ -0,0 +1,137 @@
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import { jest } from "@jest/globals";
+import { processBlogArticles } from "../blog-to-pinecone.js";
+import { crawlBlog } from "../lib/blog-crawler.js";
+
+const FIXTURES_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "blog"
+);
+
+// Saved pages by path; offsite-2024 is the same article under a second URL
+const ROUTES = {
+  "/blog": "index.html",
+  "/blog/page/2": "page-2.html",
+  "/blog/tag/culture": "tag-culture.html",
+  "/blog/holiday-policy": "holiday-policy.html",
+  "/blog/remote-work": "remote-work.html",
+  "/blog/team-offsite": "team-offsite.html",
+  "/blog/offsite-2024": "team-offsite.html",
+};
+
+describe("crawlBlog", () => {
+  let server;
+  let baseUrl;
+  const requested = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const { pathname } = new URL(req.url, "http://localhost");
+      requested.push(pathname);
+      const file = ROUTES[pathname.replace(/\/+$/, "")];
+      if (!file) {
+        res.writeHead(404).end("Not found");
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end(fs.readFileSync(path.join(FIXTURES_DIR, file)));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/blog/`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    requested.length = 0;
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("follows pagination and tag pages and extracts every article once", async () => {
+    const { articles, stats } = await crawlBlog({ baseUrl, delayMs: 0 });
+
+    expect(stats).toEqual({
+      listings: 3,
+      articles: 3,
+      duplicates: 1,
+      failed: 1,
+      remaining: 0,
+    });
+    // Tracking parameters and fragments do not cause a second fetch
+    expect(requested.filter((url) => url === "/blog/remote-work")).toHaveLength(
+      1
+    );
+    expect(requested).not.toContain("/blog/feed.xml");
+    expect(requested).not.toContain("/careers");
+
+    const byTitle = Object.fromEntries(
+      articles.map((article) => [article.title, article])
+    );
+    expect(Object.keys(byTitle).sort()).toEqual([
+      "Our holiday policy",
+      "Remote work",
+      "Team offsite",
+    ]);
+
+    expect(byTitle["Our holiday policy"]).toMatchObject({
+      url: `${baseUrl}holiday-policy`,
+      author: "Anna Kowalska",
+      publishedAt: "2024-03-01",
+      tags: ["hr", "holidays"],
+    });
+    expect(byTitle["Our holiday policy"].content).toContain("26 days");
+    expect(byTitle["Our holiday policy"].content).not.toContain("newsletter");
+
+    expect(byTitle["Remote work"]).toMatchObject({
+      url: `${baseUrl}remote-work`,
+      author: "Jan de Vries",
+      publishedAt: "2024-05-20",
+      tags: [],
+    });
+
+    // Canonical URL, whichever of its two URLs was fetched
+    expect(byTitle["Team offsite"]).toMatchObject({
+      url: `${baseUrl}team-offsite`,
+      publishedAt: "2024-09-12",
+    });
+    expect(byTitle["Team offsite"].content).not.toContain("# Team offsite");
+  });
+
+  test("reports the pages left when it stops at maxPages", async () => {
+    const { articles, stats } = await crawlBlog({
+      baseUrl,
+      delayMs: 0,
+      maxPages: 3,
+    });
+
+    // The listing, its next page and the first article
+    expect(requested).toEqual([
+      "/blog",
+      "/blog/page/2",
+      "/blog/holiday-policy",
+    ]);
+    expect(articles).toHaveLength(1);
+    expect(stats.remaining).toBe(4);
+  });
+
+  test("labels the article chunks as blog for category filters", async () => {
+    const { articles } = await crawlBlog({ baseUrl, delayMs: 0 });
+    const documents = await processBlogArticles(articles);
+
+    expect(documents.length).toBeGreaterThanOrEqual(articles.length);
+    for (const { metadata } of documents) {
+      expect(metadata).toMatchObject({
+        category: "blog",
+        categories: ["blog"],
+      });
+    }
+  });
+});
@@ -0,0 +1,65 @@
+import {
+  classifyByRules,
+  detectLocations,
+  loadTaxonomy,
+} from "../lib/classifier.js";
+
+const taxonomy = loadTaxonomy();
+
+describe("detectLocations", () => {
+  test("finds offices, also in Polish inflections", () => {
+    expect(
+      detectLocations(
+        "Biuro w Krakowie i Poznaniu, a team in Amsterdam",
+        taxonomy
+      )
+    ).toEqual(["Amsterdam", "Kraków", "Poznań"]);
+  });
+
+  test("does not read the company name as the Amsterdam office", () => {
+    expect(
+      detectLocations(
+        "amsterdam-standard/values.md\nAt Amsterdam Standard every employee gets 26 days off",
+        taxonomy
+      )
+    ).toEqual([]);
+  });
+
+  test("still finds Amsterdam next to the company name", () => {
+    expect(
+      detectLocations("Amsterdam Standard has an office in Amsterdam", taxonomy)
+    ).toEqual(["Amsterdam"]);
+  });
+});
+
+describe("classifyByRules", () => {
+  test("does not count the company name as a location keyword", () => {
+    const labels = classifyByRules(
+      {
+        source: "culture.md",
+        text: "Amsterdam Standard values. Amsterdam Standard is remote first.",
+      },
+      taxonomy
+    );
+
+    expect(labels.map(({ category }) => category)).not.toContain("locations");
+  });
+
+  test("does not read the company name in a filename as a location", () => {
+    const labels = classifyByRules(
+      { source: "docs/amsterdam-standard-handbook.md", text: "Our values." },
+      taxonomy
+    );
+
+    expect(labels).toEqual([]);
+  });
+
+  test("still matches a location in the rest of the filename", () => {
+    const labels = classifyByRules(
+      { source: "amsterdam-standard-amsterdam-office.md", text: "" },
+      taxonomy
+    );
+
+    expect(labels.map(({ category }) => category)).toEqual(["locations"]);
+  });
+});
@@ -0,0 +1,59 @@
+import { jest } from "@jest/globals";
+import { Document } from "@langchain/core/documents";
+import { expandContext } from "../lib/context-expansion.js";
+import { createChunkId } from "../lib/index-manifest.js";
+
+// Chunks of one source, numbered in order like wiki-to-pinecone.js does
+const chunksOf = (source, texts) =>
+  texts.map(
+    (text, i) =>
+      new Document({
+        pageContent: text,
+        metadata: {
+          source,
+          chunk: i + 1,
+          totalChunks: texts.length,
+          chunkId: createChunkId(source, text),
+        },
+      })
+  );
+
+describe("expandContext", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const texts = ["Step 1: open Jira", "Step 2: log time", "Step 3: submit"];
+
+  test("adds the neighbours of a hit and merges them into one block", async () => {
+    const chunks = chunksOf("timesheets.md", texts);
+    const [context] = await expandContext([chunks[1]], {
+      mode: "neighbours",
+      fetchSourceChunks: async () => chunks,
+    });
+
+    expect(context.pageContent).toBe(texts.join("\n\n"));
+    expect(context.metadata.chunkRange).toBe("1-3");
+  });
+
+  test("uses current positions when a section was inserted before a hit", async () => {
+    // The hit still carries the number it had before "Step 0" was inserted
+    const [stale] = chunksOf("timesheets.md", texts).slice(1);
+    const current = chunksOf("timesheets.md", ["Step 0: get access", ...texts]);
+
+    const context = await expandContext([stale], {
+      mode: "neighbours",
+      fetchSourceChunks: async () => current,
+    });
+
+    expect(context).toHaveLength(1);
+    expect(context[0].pageContent).toBe(texts.join("\n\n"));
+    expect(context[0].metadata).toMatchObject({
+      chunk: 3,
+      chunkRange: "2-4",
+      chunkIds: current.slice(1).map((doc) => doc.metadata.chunkId),
+    });
+  });
+});
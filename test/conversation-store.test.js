@@ -0,0 +1,193 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { jest } from "@jest/globals";
+import {
+  FileConversationStore,
+  MemoryConversationStore,
+  appendToConversation,
+  createHistorySummarizer,
+} from "../lib/conversation-store.js";
+import { FakeChatModel } from "../lib/providers.js";
+
+const HOUR = 60 * 60 * 1000;
+
+const turn = (n) => [
+  { role: "human", content: `Question ${n}` },
+  { role: "ai", content: `Answer ${n}` },
+];
+
+describe("conversation stores", () => {
+  let dir;
+  let now;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "conversations-"));
+    now = Date.parse("2026-03-02T09:00:00Z");
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const stores = {
+    memory: (options) => new MemoryConversationStore(options),
+    file: (options) => new FileConversationStore({ dir, ...options }),
+  };
+
+  describe.each(Object.keys(stores))("%s store", (type) => {
+    test("expires a session after the TTL", async () => {
+      const store = stores[type]({ ttlHours: 2 });
+      await store.set("alice", { summary: "", messages: turn(1) });
+
+      now += HOUR;
+      expect((await store.get("alice")).messages).toEqual(turn(1));
+
+      now += 2 * HOUR;
+      expect(await store.get("alice")).toEqual({ summary: "", messages: [] });
+      expect(await store.read("alice")).toBeNull();
+    });
+
+    test("keeps sessions forever with a TTL of 0", async () => {
+      const store = stores[type]({ ttlHours: 0 });
+      await store.set("alice", { summary: "", messages: turn(1) });
+
+      now += 1000 * HOUR;
+      expect((await store.get("alice")).messages).toEqual(turn(1));
+    });
+
+    test("purges expired sessions only", async () => {
+      const store = stores[type]({ ttlHours: 2 });
+      await store.set("alice", { summary: "", messages: turn(1) });
+      now += 3 * HOUR;
+      await store.write("bob", {
+        summary: "",
+        messages: turn(2),
+        updatedAt: now,
+      });
+
+      expect(await store.purgeExpired()).toBe(1);
+      expect(await store.read("alice")).toBeNull();
+      expect((await store.read("bob")).messages).toEqual(turn(2));
+    });
+  });
+
+  test("keeps file sessions in a new instance of the store", async () => {
+    await new FileConversationStore({ dir, ttlHours: 2 }).set("alice", {
+      summary: "Asked about holidays",
+      messages: turn(1),
+    });
+
+    // A new instance stands in for a restart of the server
+    const conversation = await new FileConversationStore({
+      dir,
+      ttlHours: 2,
+    }).get("alice");
+
+    expect(conversation).toMatchObject({
+      summary: "Asked about holidays",
+      messages: turn(1),
+    });
+  });
+});
+
+describe("appendToConversation", () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryConversationStore({ ttlHours: 0 });
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("keeps every message up to the limit", async () => {
+    const summarize = jest.fn();
+    await appendToConversation(store, "alice", turn(1), { summarize });
+    const updated = await appendToConversation(store, "alice", turn(2), {
+      summarize,
+      maxMessages: 4,
+      keepMessages: 2,
+    });
+
+    expect(updated).toEqual({
+      summary: "",
+      messages: [...turn(1), ...turn(2)],
+    });
+    expect(summarize).not.toHaveBeenCalled();
+  });
+
+  test("folds the oldest messages into the summary", async () => {
+    const summarize = jest.fn(async () => "Asked about holidays");
+    const options = { summarize, maxMessages: 4, keepMessages: 2 };
+    await appendToConversation(store, "alice", turn(1), options);
+    await appendToConversation(store, "alice", turn(2), options);
+
+    const updated = await appendToConversation(
+      store,
+      "alice",
+      turn(3),
+      options
+    );
+
+    expect(summarize.mock.calls[0].slice(0, 2)).toEqual([
+      "",
+      [...turn(1), ...turn(2)],
+    ]);
+    expect(updated).toEqual({
+      summary: "Asked about holidays",
+      messages: turn(3),
+    });
+    expect(await store.get("alice")).toMatchObject(updated);
+  });
+
+  test("drops the oldest messages when summarising fails", async () => {
+    await store.set("alice", { summary: "Earlier", messages: turn(1) });
+
+    const updated = await appendToConversation(store, "alice", turn(2), {
+      summarize: async () => {
+        throw new Error("rate limited");
+      },
+      maxMessages: 2,
+      keepMessages: 2,
+    });
+
+    expect(updated).toEqual({ summary: "Earlier", messages: turn(2) });
+  });
+
+  test("saves nothing when the request is aborted", async () => {
+    const controller = new AbortController();
+    await store.set("alice", { summary: "", messages: turn(1) });
+
+    // Aborted while the old messages are summarised
+    const appended = appendToConversation(store, "alice", turn(2), {
+      summarize: async (summary, messages, { signal }) => {
+        controller.abort();
+        signal.throwIfAborted();
+      },
+      maxMessages: 2,
+      keepMessages: 2,
+      signal: controller.signal,
+    });
+
+    await expect(appended).rejects.toThrow(/abort/i);
+    expect((await store.get("alice")).messages).toEqual(turn(1));
+  });
+
+  test("sends the summary and the folded messages to the chat model", async () => {
+    // The fake model echoes the human message
+    const summarize = createHistorySummarizer(new FakeChatModel());
+
+    const summary = await summarize("", turn(1));
+
+    expect(summary).toContain("Summary so far:\n(none)");
+    expect(summary).toContain("User: Question 1\n\nAssistant: Answer 1");
+  });
+});
@@ -0,0 +1,119 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { getLoader, loadDirectory } from "../lib/document-loaders.js";
+
+const FIXTURES_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "documents"
+);
+
+const load = (source) => {
+  const filePath = path.join(FIXTURES_DIR, source);
+  return getLoader(filePath).load(filePath);
+};
+
+describe("document loaders", () => {
+  test("keeps the headings and tables of a Word document", async () => {
+    const [doc] = await load("handbook.docx");
+
+    expect(doc.pageContent).toBe(
+      [
+        "# Employee Handbook",
+        "Welcome to Amsterdam Standard.",
+        "## Equipment",
+        "Every employee gets a laptop and a monitor.",
+        "| Item | Budget |\n| --- | --- |\n| Laptop | 2000 EUR |",
+      ].join("\n\n")
+    );
+    expect(doc.metadata).toEqual({ title: "Employee Handbook" });
+  });
+
+  test("reads the main content of an HTML page", async () => {
+    const [doc] = await load("policies/remote-work.html");
+
+    expect(doc.pageContent).toBe(
+      [
+        "# Remote work",
+        "You can work from home up to three days a week.",
+        "## Core hours",
+        "- Be online from 10:00 to 15:00.\n- Keep your Slack status up to date.",
+      ].join("\n\n")
+    );
+    expect(doc.pageContent).not.toMatch(/Home|tracking|sans-serif/);
+    expect(doc.metadata).toEqual({ title: "Remote work policy" });
+  });
+
+  test("turns a CSV file into a table, quoted commas included", async () => {
+    const [doc] = await load("policies/holidays.csv");
+
+    expect(doc.pageContent).toBe(
+      [
+        "| Holiday | Date |",
+        "| --- | --- |",
+        "| New Year | January 1 |",
+        "| Easter Monday, observed | April 21 |",
+      ].join("\n")
+    );
+    expect(doc.metadata).toEqual({ sheet: "holidays" });
+  });
+
+  test("loads every non-empty sheet of a workbook", async () => {
+    const documents = await load("reports/budget.xlsx");
+
+    expect(documents.map((doc) => doc.metadata)).toEqual([
+      { title: "Team budget", sheet: "Q1" },
+      { title: "Team budget", sheet: "Q2" },
+    ]);
+    expect(documents[0].pageContent).toBe(
+      [
+        "# Q1",
+        "",
+        "| Team | Budget |",
+        "| --- | --- |",
+        "| Design | 1200 |",
+        "| Engineering | 3400 |",
+      ].join("\n")
+    );
+  });
+
+  test("loads a PDF page by page", async () => {
+    const documents = await load("onboarding.pdf");
+
+    expect(
+      documents.map(({ pageContent, metadata }) => [pageContent, metadata])
+    ).toEqual([
+      ["Onboarding checklist", { title: "Onboarding", page: 1, totalPages: 2 }],
+      [
+        "Sign the NDA on your first day",
+        { title: "Onboarding", page: 2, totalPages: 2 },
+      ],
+    ]);
+  });
+});
+
+describe("loadDirectory", () => {
+  test("loads subdirectories and reports unsupported and failed files", async () => {
+    const { files, summary } = await loadDirectory(FIXTURES_DIR);
+
+    // Hidden files are skipped
+    expect(files.map(({ source, loader }) => [source, loader])).toEqual([
+      ["handbook.docx", "docx"],
+      ["onboarding.pdf", "pdf"],
+      ["policies/holidays.csv", "csv"],
+      ["policies/remote-work.html", "html"],
+      ["reports/budget.xlsx", "xlsx"],
+    ]);
+    expect(summary.loaded).toEqual({
+      docx: 1,
+      pdf: 1,
+      csv: 1,
+      html: 1,
+      xlsx: 1,
+    });
+    expect(summary.unsupported).toEqual(["notes.rtf"]);
+    expect(summary.failed).toEqual([
+      { source: "reports/broken.docx", error: expect.any(String) },
+    ]);
+  });
+});
@@ -0,0 +1,104 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { jest } from "@jest/globals";
+import { createCachedEmbeddings } from "../lib/embedding-cache.js";
+import { FakeEmbeddings } from "../lib/providers.js";
+
+describe("createCachedEmbeddings", () => {
+  let cacheDir;
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "embedding-cache-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  // Fake embeddings that record the texts sent to the model
+  const createModel = (fields = {}) => {
+    const model = Object.assign(new FakeEmbeddings({ dimension: 8 }), fields);
+    jest.spyOn(model, "embedDocuments");
+    jest.spyOn(model, "embedQuery");
+    return model;
+  };
+
+  test("embeds only the texts missing from the cache", async () => {
+    const model = createModel();
+    const embeddings = createCachedEmbeddings(model, {
+      model: "fake-8",
+      cacheDir,
+    });
+
+    const first = await embeddings.embedDocuments(["holidays", "laptops"]);
+    const second = await embeddings.embedDocuments([
+      "laptops",
+      "holidays",
+      "budget",
+    ]);
+
+    expect(model.embedDocuments.mock.calls).toEqual([
+      [["holidays", "laptops"]],
+      [["budget"]],
+    ]);
+    expect(second).toEqual([first[1], first[0], model.embed("budget")]);
+    expect(embeddings.stats).toEqual({ hits: 2, misses: 3 });
+  });
+
+  test("embeds a text repeated in one batch once", async () => {
+    const model = createModel();
+    const embeddings = createCachedEmbeddings(model, {
+      model: "fake-8",
+      cacheDir,
+    });
+
+    const vectors = await embeddings.embedDocuments([
+      "holidays",
+      "laptops",
+      "holidays",
+    ]);
+
+    expect(model.embedDocuments.mock.calls).toEqual([
+      [["holidays", "laptops"]],
+    ]);
+    expect(vectors[2]).toEqual(vectors[0]);
+  });
+
+  test("shares the cache between documents and queries", async () => {
+    const model = createModel();
+    const embeddings = createCachedEmbeddings(model, {
+      model: "fake-8",
+      cacheDir,
+    });
+
+    await embeddings.embedDocuments(["holidays"]);
+    const vector = await embeddings.embedQuery("holidays");
+
+    expect(model.embedQuery).not.toHaveBeenCalled();
+    expect(vector).toEqual(model.embed("holidays"));
+  });
+
+  test("keeps the vectors of Azure deployments apart", async () => {
+    const first = createModel({
+      model: "text-embedding-3-small",
+      azureOpenAIApiDeploymentName: "embeddings-eu",
+    });
+    const second = createModel({
+      model: "text-embedding-3-small",
+      azureOpenAIApiDeploymentName: "embeddings-us",
+    });
+
+    await createCachedEmbeddings(first, { cacheDir }).embedQuery("holidays");
+    await createCachedEmbeddings(second, { cacheDir }).embedQuery("holidays");
+
+    expect(first.embedQuery).toHaveBeenCalledTimes(1);
+    expect(second.embedQuery).toHaveBeenCalledTimes(1);
+  });
+
+  test("needs a model name", () => {
+    expect(() => createCachedEmbeddings(createModel(), { cacheDir })).toThrow(
+      "needs a model name"
+    );
+  });
+});
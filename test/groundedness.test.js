@@ -0,0 +1,150 @@
+import { jest } from "@jest/globals";
+import {
+  createGroundednessVerifier,
+  splitClaims,
+} from "../lib/groundedness.js";
+import { FakeChatModel } from "../lib/providers.js";
+
+const documents = [
+  "Company holidays are New Year, Easter Monday and Christmas.",
+  "The integration budget is 200 PLN per person and quarter.",
+].map((pageContent) => ({ pageContent, metadata: {} }));
+
+describe("splitClaims", () => {
+  test("splits sentences and list items with the blocks they cite", () => {
+    expect(
+      splitClaims(
+        "Holidays:\n- New Year is a day off [1].\n- The budget is 200 PLN [2, 1]. Anything else?"
+      )
+    ).toEqual([
+      {
+        sentence: "- New Year is a day off [1].",
+        claim: "New Year is a day off.",
+        citations: [1],
+      },
+      {
+        sentence: "- The budget is 200 PLN [2, 1].",
+        claim: "The budget is 200 PLN.",
+        citations: [2, 1],
+      },
+    ]);
+  });
+});
+
+describe("groundedness verifier", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("supports claims quoting their blocks without an LLM call", async () => {
+    const chatModel = new FakeChatModel({ responses: ['["contradicted"]'] });
+    const verify = createGroundednessVerifier(chatModel);
+
+    const result = await verify(
+      "Company holidays are New Year, Easter Monday and Christmas [1].",
+      documents
+    );
+
+    expect(chatModel.calls).toBe(0);
+    expect(result).toMatchObject({ score: 1, revised: false });
+    expect(result.claims[0].label).toBe("supported");
+  });
+
+  test("checks claims recombining the words of their blocks", async () => {
+    const chatModel = new FakeChatModel({ responses: ['["contradicted"]'] });
+    const verify = createGroundednessVerifier(chatModel);
+
+    const result = await verify("Employees get 20 days of paid leave [1].", [
+      {
+        pageContent:
+          "Employees get 26 days of paid leave. Contractors get 20 days.",
+        metadata: {},
+      },
+    ]);
+
+    expect(chatModel.calls).toBe(1);
+    expect(result.score).toBe(0);
+    expect(result.claims[0].label).toBe("contradicted");
+  });
+
+  test("labels the other claims and annotates the failed ones", async () => {
+    const chatModel = new FakeChatModel({
+      responses: ['["supported", "unsupported", "contradicted"]'],
+    });
+    const verify = createGroundednessVerifier(chatModel);
+
+    const result = await verify(
+      [
+        "Company holidays are New Year and Christmas [1].",
+        "Labour Day is a day off too [1].",
+        "The integration budget is 500 PLN [2].",
+      ].join(" "),
+      documents
+    );
+
+    expect(chatModel.calls).toBe(1);
+    expect(result.claims.map(({ label }) => label)).toEqual([
+      "supported",
+      "unsupported",
+      "contradicted",
+    ]);
+    expect(result.score).toBeCloseTo(1 / 3);
+    expect(result.answer).toBe(
+      [
+        "Company holidays are New Year and Christmas [1].",
+        "Labour Day is a day off too [1] (not confirmed by the wiki).",
+        "The integration budget is 500 PLN [2] (contradicted by the wiki).",
+      ].join(" ")
+    );
+  });
+
+  test("annotates in the language of the answer", async () => {
+    const verify = createGroundednessVerifier(
+      new FakeChatModel({ responses: ['["unsupported"]'] })
+    );
+
+    const result = await verify("Budżet wynosi 500 PLN [2].", documents, {
+      language: "pl",
+    });
+
+    expect(result.answer).toBe(
+      "Budżet wynosi 500 PLN [2] (niepotwierdzone w wiki)."
+    );
+  });
+
+  test("revises an answer with failed claims", async () => {
+    const chatModel = new FakeChatModel({
+      responses: [
+        '["contradicted"]',
+        "The integration budget is 200 PLN per person and quarter [2].",
+      ],
+    });
+    const verify = createGroundednessVerifier(chatModel);
+
+    const result = await verify(
+      "The integration budget is 500 PLN [2].",
+      documents,
+      { mode: "revise" }
+    );
+
+    expect(chatModel.calls).toBe(2);
+    expect(result).toMatchObject({
+      answer: "The integration budget is 200 PLN per person and quarter [2].",
+      score: 0,
+      revised: true,
+    });
+  });
+
+  test("returns null when the labels cannot be parsed", async () => {
+    const verify = createGroundednessVerifier(
+      new FakeChatModel({ responses: ["All good!"] })
+    );
+
+    expect(
+      await verify("The integration budget is 500 PLN [2].", documents)
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,110 @@
+import { Document } from "@langchain/core/documents";
+import { createChunkId, diffAgainstManifest } from "../lib/index-manifest.js";
+
+// Chunks of one source, numbered in order like wiki-to-pinecone.js does
+const chunksOf = (source, texts, metadata = {}) =>
+  texts.map(
+    (text, i) =>
+      new Document({
+        pageContent: text,
+        metadata: {
+          source,
+          chunk: i + 1,
+          totalChunks: texts.length,
+          chunkId: createChunkId(source, text),
+          createdAt: new Date().toISOString(),
+          ...metadata,
+        },
+      })
+  );
+
+const emptyManifest = () => ({
+  indexName: "test",
+  namespace: "wiki",
+  documents: {},
+});
+
+// Manifest after a sync of the given chunks
+const syncedManifest = (documents) => ({
+  ...emptyManifest(),
+  documents: diffAgainstManifest(emptyManifest(), documents).documents,
+});
+
+describe("diffAgainstManifest", () => {
+  const texts = ["# Holidays\n\nNew Year", "## Summer\n\nTwo weeks"];
+
+  test("embeds new documents and skips unchanged ones", () => {
+    const documents = chunksOf("holidays.md", texts);
+    expect(diffAgainstManifest(emptyManifest(), documents).stats.added).toBe(1);
+
+    const { toEmbed, toDelete, stats } = diffAgainstManifest(
+      syncedManifest(documents),
+      chunksOf("holidays.md", texts)
+    );
+    expect(toEmbed).toHaveLength(0);
+    expect(toDelete).toHaveLength(0);
+    expect(stats.unchanged).toBe(1);
+  });
+
+  test("upserts unchanged chunks again when a section is inserted", () => {
+    const manifest = syncedManifest(chunksOf("holidays.md", texts));
+    const inserted = chunksOf("holidays.md", [
+      texts[0],
+      "## Spring\n\nEaster Monday",
+      texts[1],
+    ]);
+
+    const { toEmbed, toDelete, stats } = diffAgainstManifest(
+      manifest,
+      inserted
+    );
+    // Every chunk has a new position or total, so all three are stored
+    expect(toEmbed.map((doc) => doc.metadata.chunk)).toEqual([1, 2, 3]);
+    expect(toEmbed.every((doc) => doc.metadata.totalChunks === 3)).toBe(true);
+    expect(toDelete).toHaveLength(0);
+    expect(stats.changed).toBe(1);
+  });
+
+  test("upserts chunks whose categories changed", () => {
+    const manifest = syncedManifest(
+      chunksOf("holidays.md", texts, { categories: ["hr"] })
+    );
+    const { toEmbed } = diffAgainstManifest(
+      manifest,
+      chunksOf("holidays.md", texts, { categories: ["time-off"] })
+    );
+    expect(toEmbed).toHaveLength(2);
+  });
+
+  test("deletes the vectors of removed documents unless pruning is off", () => {
+    const manifest = syncedManifest([
+      ...chunksOf("holidays.md", texts),
+      ...chunksOf("tools.md", ["# Tools\n\nSlack"]),
+    ]);
+    const current = chunksOf("holidays.md", texts);
+
+    expect(diffAgainstManifest(manifest, current).toDelete).toHaveLength(1);
+    const kept = diffAgainstManifest(manifest, current, { prune: false });
+    expect(kept.toDelete).toHaveLength(0);
+    expect(Object.keys(kept.documents)).toContain("tools.md");
+  });
+
+  test("keeps the vectors of sources that failed to load", () => {
+    const manifest = syncedManifest([
+      ...chunksOf("holidays.md", texts),
+      ...chunksOf("tools.md", ["# Tools\n\nSlack"]),
+      ...chunksOf("handbook.pdf", ["Handbook"]),
+    ]);
+    const { toDelete, documents, stats } = diffAgainstManifest(
+      manifest,
+      chunksOf("holidays.md", texts),
+      { keepSources: ["handbook.pdf"] }
+    );
+
+    expect(toDelete).toEqual(manifest.documents["tools.md"].chunkIds);
+    expect(stats.removed).toBe(1);
+    expect(documents["handbook.pdf"]).toEqual(
+      manifest.documents["handbook.pdf"]
+    );
+  });
+});
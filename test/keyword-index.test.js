@@ -0,0 +1,71 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { jest } from "@jest/globals";
+import { Document } from "@langchain/core/documents";
+import {
+  loadKeywordIndex,
+  removeSourceFromKeywordIndex,
+  saveKeywordIndex,
+  searchKeywordIndex,
+} from "../lib/keyword-index.js";
+
+const chunk = (source, text) =>
+  new Document({
+    pageContent: text,
+    metadata: { source, chunkId: `${source}#${text}` },
+  });
+
+describe("keyword index", () => {
+  let dir;
+  const options = () => ({ indexName: "test", namespace: "wiki", dir });
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "keyword-index-"));
+    saveKeywordIndex(
+      [
+        chunk("holidays.md", "Company holidays: New Year and Easter Monday"),
+        chunk("tools.md", "We chat on Slack and track work in Jira"),
+        chunk("handbook.pdf", "The handbook explains the Jira workflow"),
+      ],
+      options()
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("finds exact terms", () => {
+    const index = loadKeywordIndex("test", "wiki", dir);
+    const [[best]] = searchKeywordIndex(index, "slack", 2);
+    expect(best.metadata.source).toBe("tools.md");
+  });
+
+  test("keeps only the listed sources missing from a run", () => {
+    saveKeywordIndex([chunk("holidays.md", "Company holidays: New Year")], {
+      ...options(),
+      keepSources: ["handbook.pdf"],
+    });
+
+    const sources = loadKeywordIndex("test", "wiki", dir).docs.map(
+      (doc) => doc.metadata.source
+    );
+    expect(sources.sort()).toEqual(["handbook.pdf", "holidays.md"]);
+  });
+
+  test("removes a purged source", () => {
+    expect(
+      removeSourceFromKeywordIndex("tools.md", { ...options(), dryRun: true })
+    ).toBe(1);
+    expect(removeSourceFromKeywordIndex("tools.md", options())).toBe(1);
+
+    const index = loadKeywordIndex("test", "wiki", dir);
+    expect(index.docs).toHaveLength(2);
+    expect(index.docFreqs.slack).toBeUndefined();
+    const [[best]] = searchKeywordIndex(index, "jira", 2);
+    expect(best.metadata.source).toBe("handbook.pdf");
+  });
+});
@@ -0,0 +1,52 @@
+import {
+  CORPUS_LANGUAGE,
+  createQueryTranslator,
+  detectLanguage,
+} from "../lib/language.js";
+import { FakeChatModel } from "../lib/providers.js";
+
+describe("detectLanguage", () => {
+  test.each([
+    ["What are the company holidays?", "en"],
+    ["How do I request days off?", "en"],
+    // Polish place names do not outweigh English function words
+    ["What is the MultiSport policy in Wrocław?", "en"],
+    ["Jakie są dni wolne w firmie?", "pl"],
+    ["Ile dni urlopu mam?", "pl"],
+    ["Czy w Amsterdamie jest siłownia?", "pl"],
+  ])("detects %j as %s", (text, language) => {
+    expect(detectLanguage(text)).toBe(language);
+  });
+
+  test.each(["Slack", "Jira Confluence", "OKR 2026", ""])(
+    "has no answer for %j",
+    (text) => {
+      expect(detectLanguage(text)).toBeNull();
+    }
+  );
+});
+
+describe("createQueryTranslator", () => {
+  test("asks for a translation into the corpus language", async () => {
+    const model = new FakeChatModel({
+      responses: ['"How many vacation days do I have?"'],
+    });
+    const translate = createQueryTranslator(model);
+
+    expect(CORPUS_LANGUAGE).toBe("en");
+    expect(await translate("Ile dni urlopu mam?", "pl")).toBe(
+      "How many vacation days do I have?"
+    );
+    expect(model.calls).toBe(1);
+  });
+
+  test("keeps the query when the translation is empty", async () => {
+    const translate = createQueryTranslator(
+      new FakeChatModel({ responses: ["  "] })
+    );
+
+    expect(await translate("Ile dni urlopu mam?", "pl")).toBe(
+      "Ile dni urlopu mam?"
+    );
+  });
+});
@@ -0,0 +1,89 @@
+import { splitMarkdown } from "../lib/markdown-splitter.js";
+
+// 20 tokens, about 80 characters per chunk
+const chunkSize = 20;
+const maxChars = chunkSize * 4;
+
+describe("splitMarkdown", () => {
+  test("carries the heading path and a GitHub-style anchor", async () => {
+    const chunks = await splitMarkdown(
+      [
+        "# Holidays",
+        "Company holidays.",
+        "## Zgłaszanie [urlopu](https://hr.example.com)",
+        "Use the HR tool.",
+        "## Wrocław office",
+        "Closed on 24.12.",
+        // Setext heading, underlined
+        "Kraków office\n-------------",
+        "Open as usual.",
+        "## Wrocław office",
+        "See above.",
+      ].join("\n\n"),
+      { chunkSize }
+    );
+
+    expect(
+      chunks.map(({ headingPath, anchor }) => [headingPath, anchor])
+    ).toEqual([
+      ["Holidays", "holidays"],
+      ["Holidays > Zgłaszanie urlopu", "zgłaszanie-urlopu"],
+      ["Holidays > Wrocław office", "wrocław-office"],
+      ["Holidays > Kraków office", "kraków-office"],
+      ["Holidays > Wrocław office", "wrocław-office-1"],
+    ]);
+    expect(chunks[1]).toMatchObject({
+      content: "Holidays > Zgłaszanie urlopu\n\nUse the HR tool.",
+      text: "Use the HR tool.",
+      headings: ["Holidays", "Zgłaszanie urlopu"],
+    });
+  });
+
+  test("keeps a list that fits in one chunk together", async () => {
+    const list = "- Slack\n  - #general\n\n- Jira";
+    const chunks = await splitMarkdown(`# Tools\n\n${list}`, { chunkSize });
+
+    expect(chunks.map(({ text }) => text)).toEqual([list]);
+  });
+
+  test("splits a long code block between lines and re-fences every piece", async () => {
+    const body = Array.from(
+      { length: 12 },
+      (_, i) => `const step${i} = run(${i});`
+    );
+    const chunks = await splitMarkdown(
+      ["# Deploy", "```js", ...body, "```"].join("\n"),
+      { chunkSize }
+    );
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const { content, text } of chunks) {
+      expect(content.length).toBeLessThanOrEqual(maxChars);
+      expect(text.startsWith("```js\n")).toBe(true);
+      expect(text.endsWith("\n```")).toBe(true);
+    }
+    expect(chunks.flatMap(({ text }) => text.split("\n").slice(1, -1))).toEqual(
+      body
+    );
+  });
+
+  test("splits a long table between rows and repeats its header", async () => {
+    const header = ["| Office | Days |", "| --- | --- |"];
+    const rows = ["Amsterdam", "Wrocław", "Kraków", "Rzeszów", "Poznań"].map(
+      (office, i) => `| ${office} | ${20 + i} |`
+    );
+    const chunks = await splitMarkdown(
+      ["## Days off", [...header, ...rows].join("\n")].join("\n\n"),
+      { chunkSize }
+    );
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const { content, text } of chunks) {
+      expect(content.length).toBeLessThanOrEqual(maxChars);
+      expect(text.split("\n").slice(0, 2)).toEqual(header);
+    }
+    expect(chunks.flatMap(({ text }) => text.split("\n").slice(2))).toEqual(
+      rows
+    );
+  });
+});
@@ -0,0 +1,129 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  createPromptSelector,
+  listPromptVersions,
+  loadPromptTemplate,
+} from "../lib/prompts.js";
+
+const VARIABLES = {
+  inputs: ["context", "conversationHistory"],
+  required: ["context"],
+};
+
+describe("prompt templates", () => {
+  let dir;
+
+  const writePrompt = (version, template) => {
+    fs.mkdirSync(path.join(dir, "answer"), { recursive: true });
+    fs.writeFileSync(path.join(dir, "answer", `${version}.txt`), template);
+  };
+  const writeConfig = (config) =>
+    fs.writeFileSync(
+      path.join(dir, "prompts.json"),
+      JSON.stringify({ answer: config })
+    );
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "prompts-"));
+    writePrompt("v1", "Answer from the context.\n\n{context}\n");
+    writePrompt("v2", "History:\n{conversationHistory}\n\nContext:\n{context}");
+    writePrompt("v10", "Context:\n{context}");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("lists the versions in numeric order", () => {
+    expect(listPromptVersions("answer", dir)).toEqual(["v1", "v2", "v10"]);
+    expect(listPromptVersions("missing", dir)).toEqual([]);
+  });
+
+  test("loads a template without its trailing newline", () => {
+    expect(loadPromptTemplate("answer", "v1", VARIABLES, dir)).toBe(
+      "Answer from the context.\n\n{context}"
+    );
+  });
+
+  test("rejects a template with unknown variables", () => {
+    writePrompt("v3", "{context}\n\nAnswer in {language}.");
+
+    expect(() => loadPromptTemplate("answer", "v3", VARIABLES, dir)).toThrow(
+      /uses unknown variables \{language\}/
+    );
+  });
+
+  test("rejects a template without a required variable", () => {
+    writePrompt("v3", "Answer from {conversationHistory}.");
+
+    expect(() => loadPromptTemplate("answer", "v3", VARIABLES, dir)).toThrow(
+      /must use \{context\}/
+    );
+  });
+
+  test("rejects unknown versions and paths", () => {
+    expect(() => loadPromptTemplate("answer", "v9", VARIABLES, dir)).toThrow(
+      'Unknown version "v9" of prompt answer, use v1, v2, v10'
+    );
+    expect(() =>
+      loadPromptTemplate("answer", "../answer/v1", VARIABLES, dir)
+    ).toThrow(/Unknown version/);
+  });
+
+  describe("createPromptSelector", () => {
+    test("uses the requested version, then the default one", () => {
+      writeConfig({ default: "v2" });
+      const selectPrompt = createPromptSelector("answer", VARIABLES, dir);
+
+      expect(selectPrompt({ version: "v1", sessionId: "a" })).toMatchObject({
+        version: "v1",
+        assignment: "request",
+      });
+      expect(selectPrompt({ sessionId: "a" })).toMatchObject({
+        version: "v2",
+        assignment: "default",
+      });
+    });
+
+    test("falls back to the latest version without a config", () => {
+      const selectPrompt = createPromptSelector("answer", VARIABLES, dir);
+
+      expect(selectPrompt()).toMatchObject({
+        version: "v10",
+        assignment: "default",
+      });
+    });
+
+    test("assigns every session a stable version by its weights", () => {
+      writeConfig({ default: "v1", experiment: { v1: 1, v2: 1, v10: 0 } });
+      const selectPrompt = createPromptSelector("answer", VARIABLES, dir);
+      const sessions = Array.from({ length: 200 }, (_, i) => `session-${i}`);
+
+      const versions = sessions.map(
+        (sessionId) => selectPrompt({ sessionId }).version
+      );
+
+      // The same session gets the same version, also from a new selector
+      const again = createPromptSelector("answer", VARIABLES, dir);
+      expect(sessions.map((sessionId) => again({ sessionId }).version)).toEqual(
+        versions
+      );
+      expect(selectPrompt({ sessionId: "session-0" }).assignment).toBe(
+        "session"
+      );
+      // Both halves of the split are used, a weight of 0 never is
+      const counts = versions.reduce(
+        (count, version) => ({
+          ...count,
+          [version]: (count[version] || 0) + 1,
+        }),
+        {}
+      );
+      expect(Object.keys(counts).sort()).toEqual(["v1", "v2"]);
+      expect(counts.v1).toBeGreaterThan(60);
+      expect(counts.v2).toBeGreaterThan(60);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import {
+  createQueryCondenser,
+  needsCondensation,
+} from "../lib/query-transform.js";
+import { FakeChatModel } from "../lib/providers.js";
+
+const history = [
+  { role: "human", content: "What are the benefits in Wrocław?" },
+  { role: "ai", content: "Multisport cards and medical care [1]." },
+];
+
+describe("needsCondensation", () => {
+  test("never condenses the first question of a session", () => {
+    expect(needsCondensation("Does it include dental care?", [])).toBe(false);
+    expect(needsCondensation("And Kraków?", [])).toBe(false);
+  });
+
+  test.each([
+    "Does it include dental care for children?",
+    "And what about the office in Kraków?",
+    "Ile kosztuje ten karnet dla dzieci?",
+    "A co z biurem w Krakowie?",
+  ])("condenses the follow-up %s", (question) => {
+    expect(needsCondensation(question, history)).toBe(true);
+  });
+
+  test.each([
+    "Is there a parking lot in Poznań?",
+    "Do we get ten days of leave per year?",
+    "Is there a ten percent discount on Multisport?",
+    "Czy w biurze w Poznaniu jest parking?",
+  ])("searches the standalone question %s as it is", (question) => {
+    expect(needsCondensation(question, history)).toBe(false);
+  });
+});
+
+describe("query condenser", () => {
+  test("makes no LLM call without history", async () => {
+    const chatModel = new FakeChatModel({ responses: ["rewritten"] });
+    const condense = createQueryCondenser(chatModel);
+
+    expect(await condense("Is it paid?", [])).toEqual({
+      query: "Is it paid?",
+      condensed: false,
+    });
+    expect(chatModel.calls).toBe(0);
+  });
+
+  test("rewrites a follow-up into a standalone query", async () => {
+    const condense = createQueryCondenser(
+      new FakeChatModel({
+        responses: ['"Does the Wrocław medical care include dental care?"'],
+      })
+    );
+
+    expect(await condense("Does it include dental care?", history)).toEqual({
+      query: "Does the Wrocław medical care include dental care?",
+      condensed: true,
+    });
+  });
+});
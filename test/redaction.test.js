@@ -0,0 +1,164 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { jest } from "@jest/globals";
+import {
+  loadRedactionConfig,
+  redactText,
+  writeRedactionReport,
+} from "../lib/redaction.js";
+
+// Defaults only, whatever redaction.json in the repository says
+const config = loadRedactionConfig("missing-redaction.json");
+
+describe("redactText", () => {
+  test("masks an IBAN followed by a currency code", () => {
+    const { text, findings } = redactText(
+      "Konto: PL61 1090 1014 0000 0712 1981 2874 PLN",
+      config
+    );
+
+    expect(text).toBe("Konto: [REDACTED:IBAN] PLN");
+    expect(findings).toEqual([
+      { detector: "iban", action: "mask", line: 1, preview: "PL***74" },
+    ]);
+  });
+
+  test("masks IBANs of other lengths, grouped or not", () => {
+    const { text } = redactText(
+      [
+        "DE89 3704 0044 0532 0130 00 EUR",
+        "NL91ABNA0417164300",
+        "61 1090 1014 0000 0712 1981 2874",
+      ].join("\n"),
+      config
+    );
+
+    expect(text.split("\n")).toEqual([
+      "[REDACTED:IBAN] EUR",
+      "[REDACTED:IBAN]",
+      "[REDACTED:IBAN]",
+    ]);
+  });
+
+  test("keeps numbers that fail the IBAN checksum", () => {
+    const { findings } = redactText(
+      "Ref: PL62 1090 1014 0000 0712 1981 2874 PLN",
+      config
+    );
+
+    expect(findings.filter(({ detector }) => detector === "iban")).toEqual([]);
+  });
+});
+
+describe("phone detector", () => {
+  test("masks phone numbers with a country prefix or in groups", () => {
+    const { text } = redactText(
+      [
+        "Tel. +48 123 456 789.",
+        "Recepcja: 0048 22 123 45 67",
+        "+31 20 123 4567, ask for Anna",
+        "Call 600-700-800 or 22 123 45 67",
+      ].join("\n"),
+      config
+    );
+
+    expect(text.split("\n")).toEqual([
+      "Tel. [REDACTED:PHONE].",
+      "Recepcja: [REDACTED:PHONE]",
+      "[REDACTED:PHONE], ask for Anna",
+      "Call [REDACTED:PHONE] or [REDACTED:PHONE]",
+    ]);
+  });
+
+  test.each([
+    "Wigilia: 24.12 - 26.12.2025",
+    "Majówka 2.05 - 3.05.2025",
+    "Budżet: 1 500 000 000 PLN",
+    "Wersja 1.2.3.4567.89",
+    "Od 12.05 123 456 789 kroków",
+  ])("keeps dates, amounts and versions: %s", (input) => {
+    const { text, findings } = redactText(input, config);
+
+    expect(text).toBe(input);
+    expect(findings).toEqual([]);
+  });
+});
+
+describe("highEntropy detector", () => {
+  test("keeps git commit SHAs", () => {
+    const input = "Fixed in 1262248e0c5b3f0d6a9e4b7c8d2f1a3e5b6c7d8e.";
+    const { text, findings } = redactText(input, config);
+
+    expect(text).toBe(input);
+    expect(findings).toEqual([]);
+  });
+
+  test("masks random tokens and other long hex strings", () => {
+    const { text } = redactText(
+      [
+        "See q8Zr4Lx0Vb7Nw2Pk9Tc5Hs1Jd6Fm3Gy",
+        "hash: 9F86D081884C7D659A2FEAA0C55AD015A3BF4F1B2B0B822CD15D6C15B0F00A08",
+      ].join("\n"),
+      config
+    );
+
+    expect(text.split("\n")).toEqual([
+      "See [REDACTED:HIGHENTROPY]",
+      "hash: [REDACTED:HIGHENTROPY]",
+    ]);
+  });
+});
+
+describe("writeRedactionReport", () => {
+  const report = [
+    {
+      source: "tools.md",
+      findings: [
+        {
+          detector: "email",
+          action: "mask",
+          line: 3,
+          preview: "a***@example.com",
+        },
+      ],
+    },
+  ];
+  let dir;
+  let log;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "redaction-report-"));
+    log = jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("writes the audit report", () => {
+    const reportPath = path.join(dir, "report.json");
+
+    writeRedactionReport(report, { ...config, reportPath });
+
+    expect(JSON.parse(fs.readFileSync(reportPath, "utf8")).files).toEqual(
+      report
+    );
+  });
+
+  test("prints the audit report on a dry run instead of writing it", () => {
+    const reportPath = path.join(dir, "report.json");
+
+    writeRedactionReport(report, { ...config, reportPath }, { dryRun: true });
+
+    expect(fs.existsSync(reportPath)).toBe(false);
+    const printed = log.mock.calls.map(([line]) => line).at(-1);
+    expect(printed).toMatch(
+      /^Redaction audit report \(dry run, not written\):\n/
+    );
+    expect(JSON.parse(printed.slice(printed.indexOf("\n") + 1)).files).toEqual(
+      report
+    );
+  });
+});
@@ -0,0 +1,95 @@
+import http from "http";
+import { jest } from "@jest/globals";
+import {
+  createCrossEncoderReranker,
+  rerankDocuments,
+} from "../lib/reranker.js";
+
+const documents = ["Holidays", "Slack", "Jira"].map((pageContent) => ({
+  pageContent,
+  metadata: { source: `${pageContent.toLowerCase()}.md` },
+}));
+
+describe("cross-encoder reranker", () => {
+  let server;
+  let url;
+  // Response of the /rerank endpoint, set per test
+  let results;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ results }));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/rerank`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("keeps probabilities as they are", async () => {
+    results = [
+      { index: 0, relevance_score: 0.9 },
+      { index: 1, relevance_score: 0.2 },
+      { index: 2, relevance_score: 0.6 },
+    ];
+    const reranker = createCrossEncoderReranker({ url });
+
+    expect(await reranker.score("holidays?", documents)).toEqual([
+      0.9, 0.2, 0.6,
+    ]);
+  });
+
+  test("squashes logits, even when a batch happens to fall within 0-1", async () => {
+    results = [
+      { index: 0, relevance_score: 0.9 },
+      { index: 1, relevance_score: 0.2 },
+      { index: 2, relevance_score: 0 },
+    ];
+    const reranker = createCrossEncoderReranker({ url, scores: "logit" });
+    const scores = await reranker.score("holidays?", documents);
+
+    expect(scores[0]).toBeCloseTo(0.711, 3);
+    expect(scores[2]).toBe(0.5);
+  });
+
+  test("scores documents missing from the response 0", async () => {
+    // Endpoints with top_n only return the best documents
+    results = [{ index: 1, relevance_score: 3.2 }];
+    const reranker = createCrossEncoderReranker({ url, scores: "logit" });
+
+    const { documents: passed, scored } = await rerankDocuments(
+      reranker,
+      "slack?",
+      documents,
+      { cutoff: 0.5 }
+    );
+    expect(passed.map((doc) => doc.pageContent)).toEqual(["Slack"]);
+    expect(scored.map((doc) => doc.metadata.rerankScore).slice(1)).toEqual([
+      0, 0,
+    ]);
+  });
+
+  test("scores results without a usable score 0", async () => {
+    results = [
+      { index: 0 },
+      { index: 1, score: null },
+      { index: 2, relevance_score: "high" },
+    ];
+    const reranker = createCrossEncoderReranker({ url, scores: "logit" });
+
+    expect(await reranker.score("holidays?", documents)).toEqual([0, 0, 0]);
+  });
+
+  test("rejects unknown score types", () => {
+    expect(() => createCrossEncoderReranker({ url, scores: "raw" })).toThrow(
+      /use probability or logit/
+    );
+  });
+});
@@ -0,0 +1,113 @@
+import { jest } from "@jest/globals";
+import {
+  createLimiter,
+  isRetryable,
+  retryAfterMs,
+  withRetry,
+} from "../lib/retry.js";
+
+const httpError = (status, headers) =>
+  Object.assign(new Error(`Request failed with status ${status}`), {
+    status,
+    headers,
+  });
+
+describe("retryAfterMs", () => {
+  test("reads Retry-After in seconds", () => {
+    expect(retryAfterMs(httpError(429, { "retry-after": "3" }))).toBe(3000);
+  });
+
+  test("reads Retry-After as an HTTP date", () => {
+    const date = new Date(Date.now() + 30000).toUTCString();
+    const delay = retryAfterMs(
+      httpError(503, new Headers({ "Retry-After": date }))
+    );
+
+    // The date has whole seconds only
+    expect(delay).toBeGreaterThan(28000);
+    expect(delay).toBeLessThanOrEqual(30000);
+  });
+
+  test("prefers retry-after-ms", () => {
+    expect(
+      retryAfterMs(
+        httpError(429, { "retry-after-ms": "250", "retry-after": "3" })
+      )
+    ).toBe(250);
+  });
+
+  test("is null without the headers", () => {
+    expect(retryAfterMs(httpError(429))).toBeNull();
+  });
+});
+
+describe("withRetry", () => {
+  beforeAll(() => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("retries rate limits until the call succeeds", async () => {
+    const fn = jest
+      .fn()
+      .mockRejectedValueOnce(httpError(429, { "retry-after-ms": "1" }))
+      .mockRejectedValueOnce(httpError(500))
+      .mockResolvedValue("ok");
+
+    await expect(withRetry(fn, { baseDelayMs: 1 })).resolves.toBe("ok");
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test.each([400, 401])("does not retry status %i", async (status) => {
+    const error = httpError(status);
+    const fn = jest.fn().mockRejectedValue(error);
+
+    await expect(withRetry(fn, { baseDelayMs: 1 })).rejects.toBe(error);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(isRetryable(error)).toBe(false);
+  });
+
+  test("gives up after the given number of retries", async () => {
+    const error = httpError(503);
+    const fn = jest.fn().mockRejectedValue(error);
+
+    await expect(withRetry(fn, { retries: 2, baseDelayMs: 1 })).rejects.toBe(
+      error
+    );
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe("createLimiter", () => {
+  test("runs at most the given number of calls at a time", async () => {
+    const limit = createLimiter(2);
+    let active = 0;
+    let maxActive = 0;
+    const task = async (value) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      active--;
+      return value;
+    };
+
+    const results = await Promise.all(
+      [1, 2, 3, 4, 5].map((value) => limit(() => task(value)))
+    );
+
+    expect(results).toEqual([1, 2, 3, 4, 5]);
+    expect(maxActive).toBe(2);
+  });
+
+  test("keeps going after a failed call", async () => {
+    const limit = createLimiter(1);
+
+    await expect(
+      limit(() => Promise.reject(new Error("failed")))
+    ).rejects.toThrow("failed");
+    await expect(limit(() => Promise.resolve("next"))).resolves.toBe("next");
+  });
+});
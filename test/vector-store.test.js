@@ -0,0 +1,87 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Document } from "@langchain/core/documents";
+import { FakeEmbeddings } from "../lib/providers.js";
+import { LocalVectorStore, describeVectorStore } from "../lib/vector-store.js";
+
+const chunks = [
+  ["holidays.md", "Company holidays: New Year and Easter Monday", ["time-off"]],
+  ["tools.md", "We chat on Slack and track work in Jira", ["tools"]],
+  ["handbook.md", "Holidays are requested in the HR tool", ["hr", "time-off"]],
+].map(
+  ([source, text, categories]) =>
+    new Document({
+      pageContent: text,
+      metadata: { source, categories, category: categories[0] },
+    })
+);
+
+describe("LocalVectorStore", () => {
+  let dir;
+  const options = () => ({ indexName: "test", namespace: "wiki", dir });
+  const open = () => new LocalVectorStore(new FakeEmbeddings(), options());
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vector-store-"));
+    await open().addDocuments(chunks, {
+      ids: chunks.map((doc) => `${doc.metadata.source}#1`),
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("persists vectors and finds the most similar ones", async () => {
+    // A new instance reads what the first one stored
+    const results = await open().similaritySearchWithScore(
+      "company holidays",
+      2
+    );
+
+    expect(results).toHaveLength(2);
+    expect(results[0][0].metadata.source).toBe("holidays.md");
+    expect(results[0][1]).toBeGreaterThan(results[1][1]);
+  });
+
+  test("applies Pinecone-style metadata filters", async () => {
+    const store = open();
+
+    const inTimeOff = await store.similaritySearch("holidays", 3, {
+      categories: { $in: ["time-off"] },
+    });
+    expect(inTimeOff.map((doc) => doc.metadata.source).sort()).toEqual([
+      "handbook.md",
+      "holidays.md",
+    ]);
+
+    const tools = await store.similaritySearch("holidays", 3, {
+      category: "tools",
+    });
+    expect(tools.map((doc) => doc.metadata.source)).toEqual(["tools.md"]);
+  });
+
+  test("deletes by ID and by filter", async () => {
+    const store = open();
+    await store.delete({ ids: ["tools.md#1"] });
+    expect(await store.listIds()).toEqual(["holidays.md#1", "handbook.md#1"]);
+
+    await store.delete({ filter: { source: { $eq: "handbook.md" } } });
+    expect(await open().listIds()).toEqual(["holidays.md#1"]);
+  });
+
+  test("reports vector counts per namespace", async () => {
+    process.env.LOCAL_VECTOR_STORE_DIR = dir;
+    try {
+      const description = await describeVectorStore({
+        indexName: "test",
+        type: "local",
+      });
+      expect(description.totalRecordCount).toBe(3);
+      expect(description.namespaces).toEqual({ wiki: { recordCount: 3 } });
+    } finally {
+      delete process.env.LOCAL_VECTOR_STORE_DIR;
+    }
+  });
+});
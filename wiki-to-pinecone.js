@@ -1,257 +1,296 @@
-// Process Wiki files and store in Pinecone Vector Database
-import fs from "fs";
+// Process Wiki files and store them in the vector store (Pinecone by default)
 import path from "path";
-import { Pinecone } from "@pinecone-database/pinecone";
+import { fileURLToPath } from "url";
 import { Document } from "@langchain/core/documents";
-import { PineconeStore } from "@langchain/pinecone";
-import { AzureOpenAIEmbeddings } from "@langchain/openai";
-import { RecursiveCharacterTextSplitter } from "langchain/text_splitter";
-import { TokenTextSplitter } from "langchain/text_splitter";
 import * as dotenv from "dotenv";
+import { createChunkId, syncWithManifest } from "./lib/index-manifest.js";
+import { createCachedEmbeddings } from "./lib/embedding-cache.js";
+import { saveKeywordIndex } from "./lib/keyword-index.js";
+import { createVectorStore, getIndexName } from "./lib/vector-store.js";
+import {
+  createChatModel,
+  createEmbeddings,
+  getEmbeddingModelName,
+} from "./lib/providers.js";
+import { hybridSearch } from "./enhanced-rag-chain.js";
+import { splitMarkdown } from "./lib/markdown-splitter.js";
+import { loadDirectory, logLoadSummary } from "./lib/document-loaders.js";
+import {
+  loadTaxonomy,
+  classifyByRules,
+  detectLocations,
+  createLlmClassifier,
+  toCategoryMetadata,
+  logCategoryReport,
+} from "./lib/classifier.js";
+import {
+  loadRedactionConfig,
+  redactText,
+  writeRedactionReport,
+} from "./lib/redaction.js";
+import { REPO_ROOT } from "./lib/paths.js";
 
 // Load environment variables
 dotenv.config();
 
 // Constants
-const WIKI_DIR = path.join(process.cwd(), "drive-download");
+const WIKI_DIR = path.join(REPO_ROOT, "drive-download");
 // Token-based constants are better for LLM context windows than character-based
-const CHUNK_SIZE = 1000; // Tokens per chunk
-const CHUNK_OVERLAP = 100; // Overlap between chunks
+const CHUNK_SIZE = 1000; // Max tokens per chunk, chunks follow markdown sections
 const MAX_TOKENS = 8000; // Max tokens for embedding model (text-embedding-3-small)
-
-// Create Azure OpenAI embeddings instance
-const createEmbeddings = () => {
-  return new AzureOpenAIEmbeddings({
-    azureOpenAIApiDeploymentName:
-      process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT_NAME,
-    modelName: process.env.AZURE_EMBEDDING_MODEL,
-    azureOpenAIApiVersion: process.env.AZURE_OPENAI_API_VERSION,
-    azureOpenAIApiInstanceName: process.env.AZURE_OPENAI_ENDPOINT.replace(
-      "https://",
-      ""
-    ).replace(".openai.azure.com", ""),
-    azureOpenAIApiKey: process.env.AZURE_OPENAI_API_KEY,
-  });
-};
-
-// Initialize Pinecone client
-const initPinecone = () => {
-  const pinecone = new Pinecone({
-    apiKey: process.env.PINECONE_API_KEY,
-  });
-  return pinecone;
-};
-
-// Read and process wiki files
-const processWikiFiles = async () => {
+const WIKI_NAMESPACE = "wiki";
+
+// Read and process wiki files (recursively, in any supported format).
+// Returns the chunks and the sources that failed to load or process. A dry
+// run prints the redaction audit report instead of writing it.
+const processWikiFiles = async (
+  wikiDir = WIKI_DIR,
+  { dryRun = false } = {}
+) => {
   try {
-    // Get list of all files in wiki directory
-    const files = fs.readdirSync(WIKI_DIR);
-    console.log(`Found ${files.length} files in the wiki directory`);
-
-    // Initialize token-based text splitter (better for LLMs than character-based)
-    const tokenSplitter = new TokenTextSplitter({
-      chunkSize: CHUNK_SIZE,
-      chunkOverlap: CHUNK_OVERLAP,
-    });
-
-    // Fallback to character-based splitting if token-based has issues
-    const charSplitter = new RecursiveCharacterTextSplitter({
-      chunkSize: 1500, // ~1000 tokens in characters
-      chunkOverlap: 150,
-    });
+    // Load every file below the wiki directory with the loader for its type
+    const { files, summary } = await loadDirectory(wikiDir);
+    console.log(`Loaded ${files.length} files from the wiki directory`);
+
+    // Categories come from the taxonomy config, the LLM is only asked about
+    // documents that no rule matches (and only if enabled there), at
+    // temperature 0 so classification is deterministic
+    const taxonomy = loadTaxonomy();
+    const classifyWithLlm = taxonomy.llm.enabled
+      ? createLlmClassifier(createChatModel({ temperature: 0 }), taxonomy)
+      : null;
+
+    // PII and secrets are redacted before anything is split, embedded or
+    // stored, so neither the embedding API nor Pinecone sees them
+    const redactionConfig = loadRedactionConfig();
+    const redactionReport = [];
 
     // Process each file
     const allDocuments = [];
 
-    for (const filename of files) {
-      const filePath = path.join(WIKI_DIR, filename);
-
-      // Skip directories
-      if (fs.statSync(filePath).isDirectory()) continue;
-
+    for (const { source, loader, documents: loaded } of files) {
       try {
-        // Read file content
-        const content = fs.readFileSync(filePath, "utf8");
-        const fileBaseName = path.basename(filename, path.extname(filename));
-
-        console.log(`Processing file: ${filename}`);
-
-        // Try token-based splitting first
-        let docs = [];
-        try {
-          // Split text into chunks by tokens
-          const textChunks = await tokenSplitter.splitText(content);
-
-          // Create Document objects from chunks
-          docs = textChunks.map(
-            (chunk, i) =>
-              new Document({
-                pageContent: chunk,
-                metadata: {
-                  source: filename,
-                  title: fileBaseName,
-                  chunk: i + 1,
-                  totalChunks: textChunks.length,
-                  chunkMethod: "token",
-                  tokenSize: CHUNK_SIZE,
-                  createdAt: new Date().toISOString(),
-                  category: getCategoryFromFilename(filename),
-                },
-              })
+        const fileBaseName = path.basename(source, path.extname(source));
+
+        console.log(`Processing file: ${source} (${loader})`);
+
+        const findings = [];
+        const documents = loaded.map((part) => {
+          const redacted = redactText(part.pageContent, redactionConfig);
+          findings.push(
+            ...redacted.findings.map((finding) => ({
+              ...finding,
+              // Line numbers are per page/sheet for multi-part files
+              ...(part.metadata.page && { page: part.metadata.page }),
+              ...(part.metadata.sheet && { sheet: part.metadata.sheet }),
+            }))
           );
-        } catch (tokenError) {
-          console.warn(
-            `Token splitting failed for ${filename}, falling back to character splitting`
+          return new Document({
+            pageContent: redacted.text,
+            metadata: part.metadata,
+          });
+        });
+        redactionReport.push({ source, findings });
+
+        // Split along headings, keeping lists, code blocks and tables intact.
+        // Loaders return one document per page/sheet, each split on its own.
+        const textChunks = [];
+        for (const part of documents) {
+          const partChunks = await splitMarkdown(part.pageContent, {
+            chunkSize: CHUNK_SIZE,
+          });
+          textChunks.push(
+            ...partChunks.map((chunk) => ({ ...chunk, native: part.metadata }))
           );
+        }
 
-          // Fallback to character-based splitting
-          const textChunks = await charSplitter.splitText(content);
-
-          docs = textChunks.map(
-            (chunk, i) =>
-              new Document({
-                pageContent: chunk,
-                metadata: {
-                  source: filename,
-                  title: fileBaseName,
-                  chunk: i + 1,
-                  totalChunks: textChunks.length,
-                  chunkMethod: "character",
-                  charSize: 1500,
-                  createdAt: new Date().toISOString(),
-                  category: getCategoryFromFilename(filename),
-                },
-              })
-          );
+        // Classify each chunk on its own text, falling back to the whole
+        // document's labels and then to the LLM
+        const fullText = documents.map((part) => part.pageContent).join("\n\n");
+        const documentLabels = classifyByRules(
+          { source, text: fullText },
+          taxonomy
+        ).map((label) => label.category);
+        let llmLabels = null;
+
+        const chunkCategories = [];
+        for (const chunk of textChunks) {
+          const chunkLabels = classifyByRules(
+            { source, text: chunk.text },
+            taxonomy
+          ).map((label) => label.category);
+
+          if (chunkLabels.length > 0) {
+            chunkCategories.push(
+              toCategoryMetadata(chunkLabels, "rules", taxonomy)
+            );
+          } else if (documentLabels.length > 0) {
+            chunkCategories.push(
+              toCategoryMetadata(documentLabels, "rules", taxonomy)
+            );
+          } else if (classifyWithLlm) {
+            llmLabels =
+              llmLabels || (await classifyWithLlm({ source, text: fullText }));
+            chunkCategories.push(
+              toCategoryMetadata(llmLabels, "llm", taxonomy)
+            );
+          } else {
+            chunkCategories.push(toCategoryMetadata([], "default", taxonomy));
+          }
         }
 
+        // Locations (offices) a chunk is about, from its path, heading path
+        // and text, for filters like { locations: { $in: ["Poznań"] } }
+        const chunkLocations = textChunks.map((chunk) =>
+          detectLocations(`${source}\n${chunk.content}`, taxonomy)
+        );
+
+        // Create Document objects from chunks, the heading path is part of
+        // the embedded text so sections are found by their context too
+        const docs = textChunks.map(
+          ({ native, ...chunk }, i) =>
+            new Document({
+              pageContent: chunk.content,
+              metadata: {
+                ...native,
+                source: source,
+                title: native.title || fileBaseName,
+                fileType: loader,
+                section: chunk.headings[chunk.headings.length - 1] || "",
+                headingPath: chunk.headingPath,
+                // PDF viewers understand #page=N when there is no heading
+                anchor:
+                  chunk.anchor || (native.page ? `page=${native.page}` : ""),
+                chunk: i + 1,
+                totalChunks: textChunks.length,
+                chunkId: createChunkId(source, chunk.content),
+                chunkMethod: "markdown",
+                tokenSize: CHUNK_SIZE,
+                createdAt: new Date().toISOString(),
+                ...chunkCategories[i],
+                // Only set when known, chunks about no office have no key
+                ...(chunkLocations[i].length > 0 && {
+                  locations: chunkLocations[i],
+                }),
+              },
+            })
+        );
+
         allDocuments.push(...docs);
-        console.log(`Split ${filename} into ${docs.length} chunks`);
+        console.log(`Split ${source} into ${docs.length} chunks`);
       } catch (error) {
-        console.error(`Error processing file ${filename}:`, error.message);
+        console.error(`Error processing file ${source}:`, error.message);
+        summary.failed.push({ source, error: error.message });
       }
     }
 
+    logLoadSummary(summary);
+    writeRedactionReport(redactionReport, redactionConfig, { dryRun });
+    logCategoryReport(allDocuments);
     console.log(`Total chunks created: ${allDocuments.length}`);
-    return allDocuments;
+    return {
+      documents: allDocuments,
+      failed: summary.failed.map(({ source }) => source),
+    };
   } catch (error) {
     console.error("Error processing wiki files:", error);
     throw error;
   }
 };
 
-// Helper function to categorize documents based on filename
-function getCategoryFromFilename(filename) {
-  const lowerFilename = filename.toLowerCase();
-
-  if (lowerFilename.includes("holiday") || lowerFilename.includes("vacation")) {
-    return "time-off";
-  } else if (
-    lowerFilename.includes("tool") ||
-    lowerFilename.includes("software")
-  ) {
-    return "tools";
-  } else if (
-    lowerFilename.includes("feedback") ||
-    lowerFilename.includes("review")
-  ) {
-    return "hr";
-  } else if (
-    lowerFilename.includes("amsterdam") ||
-    lowerFilename.includes("wrocław") ||
-    lowerFilename.includes("kraków") ||
-    lowerFilename.includes("rzeszów") ||
-    lowerFilename.includes("poznań")
-  ) {
-    return "locations";
-  } else {
-    return "general";
-  }
-}
-
 // Main function to process wiki files and store in Pinecone
-async function processWikiToPinecone() {
+// Options: dir to index, target namespace, full re-embed, dryRun to only
+// chunk the files, concurrency of embedding batches, prune to delete the
+// vectors of documents no longer in dir, and demo to run sample queries
+// afterwards.
+async function processWikiToPinecone({
+  dir = WIKI_DIR,
+  namespace = WIKI_NAMESPACE,
+  full = false,
+  dryRun = false,
+  concurrency = 2,
+  prune = true,
+  demo = false,
+} = {}) {
   console.log("Starting Wiki to Pinecone process...");
 
   try {
     // Process Wiki files
-    const documents = await processWikiFiles();
+    const { documents, failed } = await processWikiFiles(dir, { dryRun });
 
     if (documents.length === 0) {
       console.log("No documents to process. Exiting.");
-      return;
+      return documents;
     }
 
-    // Initialize embeddings
-    const embeddings = createEmbeddings();
-    console.log("Embeddings model initialized");
-
-    // Initialize Pinecone client
-    const pinecone = initPinecone();
-    console.log("Pinecone client initialized");
-
-    // Index name for our documents
-    const indexName = process.env.PINECONE_INDEX;
-
-    // Check if index exists
-    const indexes = await pinecone.listIndexes();
-    console.log("Available Pinecone indexes:", indexes);
-
-    // Get or create the index
-    let index;
-    try {
-      index = pinecone.Index(indexName);
-      console.log(`Using existing Pinecone index: ${indexName}`);
-    } catch (error) {
-      console.log(`Index ${indexName} not found, using existing index...`);
-      index = pinecone.Index(indexName);
+    if (dryRun) {
+      console.log("Dry run - nothing was embedded or stored.");
+      return documents;
     }
 
-    // Collection/namespace name within the index
-    const namespace = "wiki";
-
-    // Store documents in batches to avoid rate limits
-    const BATCH_SIZE = 100;
+    // Initialize embeddings, cached on disk so unchanged text is never
+    // embedded twice (also across --full runs). The client does not retry
+    // because syncWithManifest retries whole batches, honouring Retry-After.
+    const embeddings = createCachedEmbeddings(
+      createEmbeddings({ maxRetries: 0 }),
+      { model: getEmbeddingModelName() }
+    );
+    console.log("Embeddings model initialized");
 
-    for (let i = 0; i < documents.length; i += BATCH_SIZE) {
-      const batch = documents.slice(i, i + BATCH_SIZE);
-      console.log(
-        `Processing batch ${Math.floor(i / BATCH_SIZE) + 1}/${Math.ceil(documents.length / BATCH_SIZE)}`
-      );
+    // Index name for our documents
+    const indexName = getIndexName();
 
-      // Create a Pinecone vector store with our documents
-      await PineconeStore.fromDocuments(batch, embeddings, {
-        pineconeIndex: index,
-        namespace: namespace,
-        textKey: "text",
-      });
+    // Connect to the configured vector store (VECTOR_STORE)
+    const vectorStore = await createVectorStore(embeddings, {
+      indexName,
+      namespace,
+    });
+    console.log(
+      `Using vector store index ${indexName}, namespace ${namespace}`
+    );
 
-      console.log(`Added batch of ${batch.length} documents to Pinecone`);
-    }
+    // Embed new/changed chunks and delete stale vectors. A file that failed
+    // to load is not a removed document, so its vectors are kept; without
+    // prune (a subdirectory of the wiki) none are deleted.
+    await syncWithManifest(vectorStore, documents, {
+      indexName,
+      namespace,
+      full,
+      prune,
+      keepSources: failed,
+      concurrency,
+    });
 
     console.log(
-      `Successfully added ${documents.length} chunks to Pinecone index '${indexName}'`
+      `Embedding cache: ${embeddings.stats.hits} hits, ${embeddings.stats.misses} misses`
     );
 
-    // Create a reference to the vector store
-    const vectorStore = await PineconeStore.fromExistingIndex(embeddings, {
-      pineconeIndex: index,
-      namespace: namespace,
-      textKey: "text",
+    // BM25 index over the same chunks, for hybrid search
+    const keywordIndex = saveKeywordIndex(documents, {
+      indexName,
+      namespace,
+      prune,
+      keepSources: failed,
     });
+    console.log(
+      `Successfully synced ${documents.length} chunks with index '${indexName}'`
+    );
 
     // Demonstrate various query types
-    await demonstrateQueries(vectorStore);
+    if (demo) {
+      await demonstrateQueries(vectorStore, keywordIndex);
+    }
 
     console.log("\nWiki to Pinecone process completed successfully!");
+    return documents;
   } catch (error) {
     console.error("Error in Wiki to Pinecone process:", error);
+    throw error;
   }
 }
 
 // Demonstrate different query capabilities
-async function demonstrateQueries(vectorStore) {
+async function demonstrateQueries(vectorStore, keywordIndex) {
   console.log("\n=== QUERY DEMONSTRATIONS ===");
 
   // Basic similarity search
@@ -271,17 +310,14 @@ async function demonstrateQueries(vectorStore) {
   );
   displayResults(categoryResults);
 
-  // Search with hybrid scoring (if supported)
-  try {
-    console.log(`\n3. Attempting hybrid search (semantic + keyword)...`);
-    const hybridQuery = "communication guidelines for remote work";
-    // Note: This requires implementation details for hybrid search specific to Pinecone
-    // This is a simplified example
-    const hybridResults = await vectorStore.similaritySearch(hybridQuery, 2);
-    displayResults(hybridResults);
-  } catch (error) {
-    console.log("Hybrid search not implemented or error:", error.message);
-  }
+  // Hybrid search: vector and BM25 keyword results fused by rank
+  const hybridQuery = "communication guidelines for remote work";
+  console.log(`\n3. Hybrid search (semantic + keyword) for: "${hybridQuery}"`);
+  const hybridResults = await hybridSearch(vectorStore, hybridQuery, {
+    k: 2,
+    keywordIndex,
+  });
+  displayResults(hybridResults.documents);
 }
 
 // Helper function to display search results
@@ -290,12 +326,34 @@ function displayResults(results) {
     console.log(`\nResult ${i + 1}:`);
     console.log(`Content: ${doc.pageContent.substring(0, 150)}...`);
     console.log(`Source: ${doc.metadata.source}`);
-    console.log(`Category: ${doc.metadata.category || "N/A"}`);
+    if (doc.metadata.headingPath) {
+      console.log(`Section: ${doc.metadata.headingPath}`);
+    }
+    console.log(
+      `Category: ${(doc.metadata.categories || [doc.metadata.category || "N/A"]).join(", ")}`
+    );
     if (doc.metadata.chunk) {
       console.log(`Chunk: ${doc.metadata.chunk}/${doc.metadata.totalChunks}`);
     }
+    if (doc.metadata.ranks) {
+      console.log(
+        `Ranks: ${Object.entries(doc.metadata.ranks)
+          .map(([retriever, rank]) => `${retriever} #${rank}`)
+          .join(", ")}`
+      );
+    }
   });
 }
 
-// Run the process
-processWikiToPinecone();
+export { WIKI_DIR, WIKI_NAMESPACE, processWikiFiles, processWikiToPinecone };
+
+// Run the process when executed directly (`node wiki-to-pinecone.js [--full]`)
+if (
+  process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  processWikiToPinecone({
+    full: process.argv.includes("--full"),
+    demo: true,
+  }).catch(() => process.exit(1));
+}